@@ -13,6 +13,7 @@ const tokenValidator = require('../../tokenValidator');
  - post /generatePublicKey
  - get /delegates
  - get /delegates/fee
+ - get /votes/history
  - put /delegates
  - get /
  - get /count
@@ -53,6 +54,7 @@ function AccountsHttpApi(accountsModule, app, logger, cache, config) {
         'post /generatePublicKey': 'generatePublicKey',
         'get /delegates': 'getDelegates',
         'get /delegates/fee': 'getDelegatesFee',
+        'get /votes/history': 'getVoteHistory',
         'put /delegates': 'addDelegates',
         'get /': 'getAccount',
         'get /count': 'totalAccounts',
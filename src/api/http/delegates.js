@@ -8,6 +8,7 @@ const httpApi = require('../../helpers/httpApi');
  - get    /count
  - get    /search
  - get    /voters
+ - get    /votes/history
  - get    /get
  - get    /
  - get    /fee
@@ -42,6 +43,7 @@ function DelegatesHttpApi(delegatesModule, app, logger, cache, config) {
         'get /count': 'count',
         'get /search': 'search',
         'get /voters': 'getVoters',
+        'get /votes/history': 'getVoteHistory',
         'get /get': 'getDelegate',
         'get /': 'getDelegates',
         'get /fee': 'getFee',
@@ -6,12 +6,26 @@ const httpApi = require('../../helpers/httpApi');
  * - End point: `/api/frogings`
  * - Public API:
  - post /freeze
+ - post /unstake
  - get /count
  - post /getAllOrders
  - post /getAllActiveOrders
  - get /countStakeholders
  - get /getTotalDDKStaked
  - post /getMyDDKFrozen
+ - get /getRewardHistory
+ - get /projection
+ - get /lineage
+ - get /orders
+ - get /staked
+ - get /stats
+ - get /airdrop
+ - get /pools
+ - get /pools/get
+ - get /pools/orders
+ - post /pools
+ - post /pools/join
+ - post /pools/leave
  * @memberof module:frogings
  * @requires helpers/Router
  * @requires helpers/httpApi
@@ -31,13 +45,26 @@ function FrogingsHttpApi(frogingsModule, app, logger, cache) {
     router.map(frogingsModule.shared, {
 
         'post /freeze': 'addTransactionForFreeze',
+        'post /unstake': 'addTransactionForUnstake',
         'get /count': 'getFrozensCount',
         'post /getAllOrders': 'getAllFreezeOrders',
         'post /getAllActiveOrders': 'getAllActiveFreezeOrders',
         'get /countStakeholders': 'countStakeholders',
         'get /getTotalDDKStaked': 'totalDDKStaked',
         'post /getMyDDKFrozen': 'getMyDDKFrozen',
-        'get /getRewardHistory': 'getRewardHistory'
+        'get /getRewardHistory': 'getRewardHistory',
+        'get /projection': 'getProjection',
+        'get /lineage': 'getStakeLineage',
+        'get /orders': 'getStakeOrders',
+        'get /staked': 'getStakedAmount',
+        'get /stats': 'getStakeStats',
+        'get /airdrop': 'getAirdropStatus',
+        'get /pools': 'getStakePools',
+        'get /pools/get': 'getStakePool',
+        'get /pools/orders': 'getStakePoolOrders',
+        'post /pools': 'addTransactionForStakePool',
+        'post /pools/join': 'addTransactionForStakePoolJoin',
+        'post /pools/leave': 'addTransactionForStakePoolLeave'
     });
 
     httpApi.registerEndpoint('/api/frogings', app, router, frogingsModule.isLoaded);
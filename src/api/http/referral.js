@@ -0,0 +1,41 @@
+const Router = require('../../helpers/router');
+const httpApi = require('../../helpers/httpApi');
+const tokenValidator = require('../../tokenValidator');
+
+/**
+ * Binds api with modules and creates common url.
+ * - End point: `/api/referral`
+ * - Public API:
+ - post /list
+ - post /rewardHistory
+ - post /tree
+ - post /change
+ * - Private API:
+ - post /sendEmail
+ * @memberof module:referrals
+ * @requires helpers/Router
+ * @requires helpers/httpApi
+ * @constructor
+ * @param {Object} referralsModule - Module referrals instance.
+ * @param {scope} app - Network app.
+ * @param config appConfig
+ */
+// Constructor
+function ReferralHttpApi(referralsModule, app, logger, cache, config) {
+    const router = new Router();
+
+    router.map(referralsModule.shared, {
+        'post /sendEmail': 'sendEmail',
+        'post /list': 'getReferralList',
+        'post /rewardHistory': 'getRewardHistory',
+        'post /tree': 'getReferralTree',
+        'post /change': 'addTransactionForReferralChange'
+    });
+
+    app.use('/api/referral/sendEmail', (req, res, next) => tokenValidator(req, res, next, config.jwt.secret));
+    httpApi.registerEndpoint('/api/referral', app, router, referralsModule.isLoaded);
+}
+
+module.exports = ReferralHttpApi;
+
+/** ************************************* END OF FILE ************************************ */
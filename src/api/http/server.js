@@ -2,7 +2,7 @@ const Router = require('../../helpers/router');
 const Accounts = require('../../modules/accounts');
 const tokenValidator = require('../../tokenValidator');
 const jwt = require('jsonwebtoken');
-const Cache = require('../../modules/cache');
+const Frogings = require('../../modules/frogings');
 /**
  * Renders main page wallet from public folder.
  * - Public API:
@@ -51,8 +51,8 @@ function ServerHttpApi(serverModule, app, logger, cache, config) {
                             mutatePayload: false
                         });
 
-                        Cache.prototype.getJsonForKey('referStatus', (error, resp) => {
-                            const enableRefer = (resp == null) ? true : resp;
+                        Frogings.prototype.shared.getAirdropStatus({ body: {} }, (error, airdropStatus) => {
+                            const enableRefer = !error && airdropStatus.enabled;
 
                             return res.status(200).json({
                                 status: true,
@@ -74,9 +74,6 @@ function ServerHttpApi(serverModule, app, logger, cache, config) {
         }
     );
 
-    // Referral API's
-    require('../../helpers/referal').api(app);
-
     router.use((req, res, next) => {
         if (req.url.indexOf('/api/') === -1 && req.url.indexOf('/peer/') === -1) {
             return res.redirect('/');
@@ -11,6 +11,9 @@ const constants = require('../../helpers/constants');
  *    - get    /count
  *    - get    /queued/get
  *    - get    /queued
+ *    - get    /queued/conflicted
+ *    - get    /status
+ *    - post   /validate
  *    - get    /multisignatures/get
  *  - get    /multisignatures
  *    - get    /unconfirmed/get
@@ -38,6 +41,9 @@ function TransactionsHttpApi(transactionsModule, app, logger, cache, config) {
         'get /count': 'getTransactionsCount',
         'get /queued/get': 'getQueuedTransaction',
         'get /queued': 'getQueuedTransactions',
+        'get /queued/conflicted': 'getConflictedTransactions',
+        'get /status': 'getTransactionStatus',
+        'post /validate': 'validateTransaction',
         'get /multisignatures/get': 'getMultisignatureTransaction',
         'get /multisignatures': 'getMultisignatureTransactions',
         'get /unconfirmed/get': 'getUnconfirmedTransaction',
@@ -19,6 +19,6 @@ module.exports = createServerRPCMethod(
                     : result);
             });
         } else {
-            return { error: ReservedError.ServerErrorInvalidMethodParameters };
+            resolve({ error: ReservedError.ServerErrorInvalidMethodParameters });
         }
     }));
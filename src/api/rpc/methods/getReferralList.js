@@ -0,0 +1,24 @@
+const { createServerRPCMethod, schemaValidator } = require('../util');
+const ReservedError = require('../errors');
+const { getReferralList } = require('../../../schema/referrals');
+
+
+module.exports = createServerRPCMethod(
+    'GET_REFERRAL_LIST',
+
+    /**
+     * @param {WebSocketServer} wss
+     * @param {object} params
+     * @param {object} scope - Application instance
+     */
+    (wss, params, scope) => new Promise((resolve) => {
+        if (schemaValidator(params, getReferralList)) {
+            scope.modules.referrals.shared.getReferralList({ body: params }, (error, result) => {
+                resolve(error
+                    ? { error }
+                    : result);
+            });
+        } else {
+            resolve({ error: ReservedError.ServerErrorInvalidMethodParameters });
+        }
+    }));
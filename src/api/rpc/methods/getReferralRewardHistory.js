@@ -0,0 +1,24 @@
+const { createServerRPCMethod, schemaValidator } = require('../util');
+const ReservedError = require('../errors');
+const { getRewardHistory } = require('../../../schema/referrals');
+
+
+module.exports = createServerRPCMethod(
+    'GET_REFERRAL_REWARD_HISTORY',
+
+    /**
+     * @param {WebSocketServer} wss
+     * @param {object} params
+     * @param {object} scope - Application instance
+     */
+    (wss, params, scope) => new Promise((resolve) => {
+        if (schemaValidator(params, getRewardHistory)) {
+            scope.modules.referrals.shared.getRewardHistory({ body: params }, (error, result) => {
+                resolve(error
+                    ? { error }
+                    : result);
+            });
+        } else {
+            resolve({ error: ReservedError.ServerErrorInvalidMethodParameters });
+        }
+    }));
@@ -0,0 +1,24 @@
+const { createServerRPCMethod, schemaValidator } = require('../util');
+const ReservedError = require('../errors');
+const { getReferralTree } = require('../../../schema/referrals');
+
+
+module.exports = createServerRPCMethod(
+    'GET_REFERRAL_TREE',
+
+    /**
+     * @param {WebSocketServer} wss
+     * @param {object} params
+     * @param {object} scope - Application instance
+     */
+    (wss, params, scope) => new Promise((resolve) => {
+        if (schemaValidator(params, getReferralTree)) {
+            scope.modules.referrals.shared.getReferralTree({ body: params }, (error, result) => {
+                resolve(error
+                    ? { error }
+                    : result);
+            });
+        } else {
+            resolve({ error: ReservedError.ServerErrorInvalidMethodParameters });
+        }
+    }));
@@ -0,0 +1,24 @@
+const { createServerRPCMethod, schemaValidator } = require('../util');
+const ReservedError = require('../errors');
+const { getStakeOrders } = require('../../../schema/frogings');
+
+
+module.exports = createServerRPCMethod(
+    'GET_STAKE_ORDERS',
+
+    /**
+     * @param {WebSocketServer} wss
+     * @param {object} params
+     * @param {object} scope - Application instance
+     */
+    (wss, params, scope) => new Promise((resolve) => {
+        if (schemaValidator(params, getStakeOrders)) {
+            scope.modules.frogings.shared.getStakeOrders({ body: params }, (error, result) => {
+                resolve(error
+                    ? { error }
+                    : result);
+            });
+        } else {
+            resolve({ error: ReservedError.ServerErrorInvalidMethodParameters });
+        }
+    }));
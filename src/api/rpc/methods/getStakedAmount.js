@@ -0,0 +1,24 @@
+const { createServerRPCMethod, schemaValidator } = require('../util');
+const ReservedError = require('../errors');
+const { getStakedAmount } = require('../../../schema/frogings');
+
+
+module.exports = createServerRPCMethod(
+    'GET_STAKED_AMOUNT',
+
+    /**
+     * @param {WebSocketServer} wss
+     * @param {object} params
+     * @param {object} scope - Application instance
+     */
+    (wss, params, scope) => new Promise((resolve) => {
+        if (schemaValidator(params, getStakedAmount)) {
+            scope.modules.frogings.shared.getStakedAmount({ body: params }, (error, result) => {
+                resolve(error
+                    ? { error }
+                    : result);
+            });
+        } else {
+            resolve({ error: ReservedError.ServerErrorInvalidMethodParameters });
+        }
+    }));
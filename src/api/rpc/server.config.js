@@ -29,6 +29,7 @@ const AddTransactions = require('./methods/addTransactions.js');
 const GetTransactionHistory = require('./methods/getTransactionHistory.js');
 const TransactionSend = require('./methods/transactionSend.js');
 const TransactionStake = require('./methods/transactionStake.js');
+const ValidateTransaction = require('./methods/validateTransaction.js');
 
 /**
  * logic.transactions.shared
@@ -67,6 +68,19 @@ const GetPublicKey = require('./methods/getPublickey.js');
 const GeneratePublicKey = require('./methods/generatePublicKey.js');
 const OpenAccount = require('./methods/openAccount.js');
 
+/**
+ * modules.frogings.shared
+ */
+const GetStakeOrders = require('./methods/getStakeOrders.js');
+const GetStakedAmount = require('./methods/getStakedAmount.js');
+
+/**
+ * modules.referrals.shared
+ */
+const GetReferralList = require('./methods/getReferralList.js');
+const GetReferralRewardHistory = require('./methods/getReferralRewardHistory.js');
+const GetReferralTree = require('./methods/getReferralTree.js');
+
 
 const methods = [
     GetStatus,
@@ -78,6 +92,7 @@ const methods = [
     GetTransactionHistory,
     TransactionSend,
     TransactionStake,
+    ValidateTransaction,
     GetPeer,
     GetPeers,
     GetBroadhash,
@@ -105,6 +120,11 @@ const methods = [
     GeneratePublicKey,
     CreateTransaction,
     OpenAccount,
+    GetStakeOrders,
+    GetStakedAmount,
+    GetReferralList,
+    GetReferralRewardHistory,
+    GetReferralTree,
 ];
 
 const env = process.env;
@@ -44,9 +44,9 @@ const cluster = require('./elasticsearch/cluster.js');
 const logman = new Logger();
 const logger = logman.logger;
 const {AccountSessions} = require('./helpers/accountSessions');
+const { TransactionStatusTracker } = require('./helpers/transactionStatusTracker');
 const utils = require('./utils');
 const elasticsearchSync = require('./helpers/elasticsearch');
-const referal = require('./helpers/referal');
 const cronjob = require('node-cron-job');
 const serverRPCConfig = require('./api/rpc/server.config');
 const ServerRPCApi = require('./api/rpc/server');
@@ -149,6 +149,7 @@ const config = {
         sql: require('./modules/sql.js'),
         cache: require('./modules/cache.js'),
         frogings: require('./modules/frogings.js'),
+        referrals: require('./modules/referrals.js'),
         // sendFreezeOrder: require('./modules/sendFreezeOrder.js')
     },
     api: {
@@ -163,6 +164,7 @@ const config = {
         transactions: { http: require('./api/http/transactions.js') },
         transport: { http: require('./api/http/transport.js') },
         frogings: { http: require('./api/http/froging.js') },
+        referrals: { http: require('./api/http/referral.js') },
         // sendFreezeOrder: { http: './api/http/transferorder.js' }
     }
 };
@@ -314,6 +316,7 @@ d.run(() => {
 
             const accountSessions = AccountSessions.getInstance();
             AccountSessions.setIOInstance(io);
+            TransactionStatusTracker.setIOInstance(io);
 
             // handled socket's connection event
             io.on('connection', (socket) => {
@@ -491,6 +494,20 @@ d.run(() => {
             const cache = require('./helpers/cache.js');
             cache.connect(config.cacheEnabled, config.cache, logger, cb);
         },
+        /**
+         * Once db is connected, starts sending of queued mail
+         * with transport configured in `mail` section of config.
+         * @method mailer
+         * @param {object} scope - The results from current execution,
+         * at leats will contain the required elements.
+         * @param {function} cb - Callback function.
+         */
+        mailer: ['config', 'logger', 'db', function (scope, cb) {
+            const mailer = require('./helpers/mailer.js');
+            mailer.init(scope.config.mail, scope.db, scope.logger);
+            mailer.start();
+            cb(null, mailer);
+        }],
         /**
          * Once db, bus, schema and genesisblock are completed,
          * loads transaction, block, account and peers from logic folder.
@@ -570,32 +587,35 @@ d.run(() => {
          * at leats will contain the required elements.
          * @param {nodeStyleCallback} cb - Callback function with resulted load.
          */
-        modules: ['network', 'connect', 'config', 'logger', 'bus', 'sequence', 'dbSequence', 'balancesSequence', 'db', 'logic', 'cache', function (scope, cb) {
-            const tasks = {};
+        modules: [
+            'network', 'connect', 'config', 'logger', 'bus', 'sequence', 'dbSequence', 'balancesSequence', 'db',
+            'logic', 'cache', 'mailer', function (scope, cb) {
+                const tasks = {};
 
-            Object.keys(config.modules).forEach((name) => {
-                tasks[name] = function (cb) {
-                    const d = require('domain').create();
+                Object.keys(config.modules).forEach((name) => {
+                    tasks[name] = function (cb) {
+                        const d = require('domain').create();
 
-                    d.on('error', (err) => {
-                        scope.logger.error(`Domain ${name}`, { message: err.message, stack: err.stack });
-                    });
+                        d.on('error', (err) => {
+                            scope.logger.error(`Domain ${name}`, { message: err.message, stack: err.stack });
+                        });
 
-                    d.run(() => {
-                        scope.logger.debug('Loading module', name);
-                        const Klass = config.modules[name];
-                        const obj = new Klass(cb, scope);
-                        modules.push(obj);
-                        scope.logger.debug(`[App][loader][modules][${name}] loaded`);
-                    });
-                };
-            });
+                        d.run(() => {
+                            scope.logger.debug('Loading module', name);
+                            const Klass = config.modules[name];
+                            const obj = new Klass(cb, scope);
+                            modules.push(obj);
+                            scope.logger.debug(`[App][loader][modules][${name}] loaded`);
+                        });
+                    };
+                });
 
-            async.parallel(tasks, (err, results) => {
-                scope.logger.info('[App][loader][modules] loaded');
-                cb(err, results);
-            });
-        }],
+                async.parallel(tasks, (err, results) => {
+                    scope.logger.info('[App][loader][modules] loaded');
+                    cb(err, results);
+                });
+            }
+        ],
         binding: ['modules', 'bus', 'logic', function (scope, cb) {
             scope.logger.debug('[App][loader][binding] start loading');
 
@@ -710,7 +730,6 @@ d.run(() => {
             // TODO: make it NORMAL
             cronjob.setJobsPath(path.join(process.cwd(), 'src', '/jobs.js'));  // Absolute path to the jobs module.
             jobs.attachScope(scope);
-            referal.Referals(scope);
 
             cronjob.startJob('archiveLogFiles');
             /**
@@ -48,6 +48,12 @@ module.exports = {
                 delayMs: 0,
                 delayAfter: 0,
                 windowMs: 60000
+            },
+            emailLimits: {
+                max: 5,
+                delayMs: 0,
+                delayAfter: 0,
+                windowMs: 3600000
             }
         }
     },
@@ -75,7 +81,9 @@ module.exports = {
         relayLimit: 2
     },
     transactions: {
-        maxTxsPerQueue: 1000
+        maxTxsPerQueue: 1000,
+        maxTxsPerPool: 10000,
+        maxTxsPerSender: 100
     },
     forging: {
         force: true,
@@ -112,6 +120,16 @@ module.exports = {
     ddkSupply: {
         totalSupply: 4500000000000000
     },
+    stakeNotifications: {
+        webhook: {
+            url: env.STAKE_WEBHOOK_URL || '',
+            timeout: 5000
+        }
+    },
+    // [{ start: <activation_height>, percent: <stake_reward_percent> }]
+    stakeRewards: [
+        { start: 0, percent: 10 }
+    ],
     session: {
         secret: env.SESSION_SECRET
     },
@@ -126,7 +144,31 @@ module.exports = {
         secret: env.JWT_SECRET,
         tokenLife: 300
     },
-    mailFrom: env.MAIL_FROM,
+    mail: {
+        // postmark, smtp or file
+        driver: env.MAIL_DRIVER || 'postmark',
+        from: env.MAIL_FROM,
+        // shared referral links are this url followed by account address
+        referralUrl: env.REFERRAL_URL || '',
+        postmark: {
+            apiKey: env.POSTMARK_KEY
+        },
+        smtp: {
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT, 10) || 587,
+            secure: false,
+            user: env.SMTP_USER,
+            pass: env.SMTP_PASS
+        },
+        file: {
+            dir: env.MAIL_OUTBOX_DIR || 'mail-outbox'
+        },
+        queue: {
+            interval: 10000,
+            batchSize: 10,
+            maxAttempts: 5
+        }
+    },
     hashSecret: env.HASH_SECRET,
     users: [
         {
@@ -13,7 +13,7 @@ const env = process.env;
  * @param Object sender - get sender(public address) details required to send transation
  * @param String nethash - get blockchain's nethash
  * @param String jwt - get secret for JSON Web Token
- * @param Object mailFrom, mailTo, accessToken, clientId, clientSecret, hashSecret - cridentials required for emails service
+ * @param Object mail, mailTo, accessToken, clientId, clientSecret, hashSecret - cridentials required for emails service
  * @param Object users - users list
  * @return Object - with environment credentials
  *
@@ -55,7 +55,10 @@ module.exports = {
     jwt: {
         secret: env.JWT_SECRET,
     },
-    mailFrom: env.MAIL_FROM,
+    mail: {
+        from: env.MAIL_FROM,
+        referralUrl: env.REFERRAL_URL
+    },
     mailTo: env.MAILTO,
     accessToken: env.ACCESSTOKEN,
     clientId: env.CLIENT_ID,
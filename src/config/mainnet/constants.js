@@ -3,6 +3,8 @@
  * @memberof module:helpers
  * @property {number} activeDelegates - The default number of delegates.
  * @property {number} maxVotesPerTransaction - The maximum number of votes in vote type transaction.
+ * @property {number} maxRecipientsPerTransaction - The maximum number of recipients in batch send transaction.
+ * @property {number} maxTransactionDataLength - The maximum number of bytes in data of send transaction.
  * @property {number} addressLength - The default address length.
  * @property {number} blockHeaderLength - The default block header length.
  * @property {number} blockReceiptTimeOut
@@ -15,6 +17,12 @@
  * @property {number} fees.delegate
  * @property {number} fees.multisignature
  * @property {number} fees.dapp
+ * @property {number} fees.batchrecipient - Fee for each recipient of batch send transaction.
+ * @property {number} fees.databyte - Fee for each byte of transaction data.
+ * @property {number} fees.unstake - Percent of unstaked amount taken as early unstake fee.
+ * @property {number} fees.stakepool - Fee for registering a staking pool.
+ * @property {number} fees.stakepoolmember - Fee for attaching or detaching a stake order to a pool.
+ * @property {number} fees.referralchange - Fee for changing introducer of an account.
  * @property {number} feeStart
  * @property {number} feeStartVolume
  * @property {number} fixedPoint
@@ -52,6 +60,8 @@ module.exports = {
     maxVotes: 201,
     maxVotesPerTransaction: 3,
     maxTransferCount: 3,
+    maxRecipientsPerTransaction: 100,
+    maxTransactionDataLength: 64,
     addressLength: 208,
     blockHeaderLength: 248,
     blockReceiptTimeOut: 20, // 2 blocks
@@ -66,7 +76,13 @@ module.exports = {
         dapp: 2500000000,
         froze: 0.01,
         sendfreeze: 0.1,
-        reward: 0
+        unstake: 0.01,
+        stakepool: 1000000000,
+        stakepoolmember: 10000000,
+        referralchange: 10000000,
+        reward: 0,
+        batchrecipient: 1000000,
+        databyte: 100000
     },
     feeStart: 1,
     feeStartVolume: 10000 * 100000000,
@@ -122,25 +138,11 @@ module.exports = {
         rTime: 8,
         vTime: 10080,
         milestone: 8, // for testing, taking 2 min
-        rewards: {
-            milestones: [
-                10, // 10% For 0-6 months
-                10, // 10% For 7-12 months
-                10, // 8% For 13-18 months
-                10, // 6% For 19-24 months
-                10, // 4% For 25-30 months
-                10  // 2% For 31 months and above
-            ],
-            distance: 30, // Distance between each milestone is 6 months
-        },
         rewardVoteCount: 4,
-        unstakeVoteCount: 24
+        unstakeVoteCount: 24,
+        unstakePenalty: 10 // percent of amount unstaked before unstakeVoteCount votes
     },
-    defaultLock: 0,
-    TemplateId: {
-        referralMail: 8248756,
-        welcomeMail: 8265262
-    }
+    defaultLock: 0
 };
 
 /** ************************************* END OF FILE ************************************ */
@@ -47,9 +47,7 @@ module.exports.connect = function (cacheEnabled, config, logger, cb) {
         }
     });
 
-    const defaultValues = {
-        referStatus: true
-    };
+    const defaultValues = {};
 
     function setDefaultValues(cb) {
         async.eachOfSeries(defaultValues, (value, key, callback) => {
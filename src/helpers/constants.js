@@ -123,7 +123,14 @@ const constants = {
         DDK8999840344646463126: 'DPREORDERDNC',
         DDK7214959811294852078: 'DBOUNTY',
     },
-    TRANSACTION_QUEUE_EXPIRE: 60 * 5
+    TRANSACTION_QUEUE_EXPIRE: 60 * 5,
+    // Interval of sweeping expired transactions out of queue and pool, ms
+    TRANSACTION_EXPIRY_SWEEP_INTERVAL: 10000,
+    // Interval of checking stake orders with passed vote milestone, ms
+    STAKE_VOTE_DUE_CHECK_INTERVAL: 60000,
+    // Number of recent rounds airdrop spending rate is averaged over for depletion projection
+    AIRDROP_DEPLETION_ROUNDS: 100,
+    TRANSACTION_STATUS_EXPIRE: 60 * 60
 };
 
 Object.assign(constants, envConstants);
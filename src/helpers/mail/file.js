@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Creates directory with its missing parents, existing directory is not an error.
+ * `recursive` option of `fs.mkdir` is not supported by Node 8.
+ * @private
+ * @param {string} dir - Absolute path.
+ * @throws {Error} Directory can not be created.
+ */
+const makeDir = (dir) => {
+    const parent = path.dirname(dir);
+
+    if (parent !== dir && !fs.existsSync(parent)) {
+        makeDir(parent);
+    }
+
+    try {
+        fs.mkdirSync(dir);
+    } catch (err) {
+        if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+};
+
+/**
+ * Writes mail as JSON files to local outbox directory instead of sending it.
+ * Used on offline networks to check mail flows.
+ * @memberof module:helpers
+ * @param {Object} options - `mail.file` section of config.
+ * @param {string} options.dir - Outbox directory, relative to working directory if not absolute.
+ * @return {Object} transport
+ * @throws {Error} Outbox directory can not be created.
+ */
+module.exports = function (options) {
+    const dir = path.resolve(options.dir);
+
+    makeDir(dir);
+
+    return {
+        /**
+         * @param {Object} message - from, to, subject, html
+         * @return {Promise}
+         */
+        send(message) {
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+            return new Promise((resolve, reject) => {
+                fs.writeFile(
+                    path.join(dir, fileName),
+                    JSON.stringify(message, null, 2),
+                    err => (err ? reject(err) : resolve())
+                );
+            });
+        }
+    };
+};
+
+/** ************************************* END OF FILE ************************************ */
@@ -0,0 +1,31 @@
+const postmark = require('postmark');
+
+/**
+ * Sends mail through Postmark API.
+ * @memberof module:helpers
+ * @param {Object} options - `mail.postmark` section of config.
+ * @param {string} options.apiKey - Postmark server token.
+ * @return {Object} transport
+ */
+module.exports = function (options) {
+    const client = new postmark.Client(options.apiKey);
+
+    return {
+        /**
+         * @param {Object} message - from, to, subject, html
+         * @return {Promise}
+         */
+        send(message) {
+            return new Promise((resolve, reject) => {
+                client.sendEmail({
+                    From: message.from,
+                    To: message.to,
+                    Subject: message.subject,
+                    HtmlBody: message.html
+                }, err => (err ? reject(err) : resolve()));
+            });
+        }
+    };
+};
+
+/** ************************************* END OF FILE ************************************ */
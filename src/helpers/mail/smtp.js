@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends mail through SMTP server.
+ * @memberof module:helpers
+ * @param {Object} options - `mail.smtp` section of config.
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {boolean} options.secure - Use TLS on connect, otherwise STARTTLS is used if supported.
+ * @param {string} options.user
+ * @param {string} options.pass
+ * @return {Object} transport
+ */
+module.exports = function (options) {
+    const transporter = nodemailer.createTransport({
+        host: options.host,
+        port: options.port,
+        secure: options.secure,
+        auth: {
+            user: options.user,
+            pass: options.pass
+        }
+    });
+
+    return {
+        /**
+         * @param {Object} message - from, to, subject, html
+         * @return {Promise}
+         */
+        send(message) {
+            return new Promise((resolve, reject) => {
+                transporter.sendMail(message, err => (err ? reject(err) : resolve()));
+            });
+        }
+    };
+};
+
+/** ************************************* END OF FILE ************************************ */
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const sql = require('../sql/mail.js');
+const jobsQueue = require('./jobsQueue.js');
+
+// Transports are required on use, so only the configured one has to be installed
+const transports = {
+    postmark: options => require('./mail/postmark.js')(options),
+    smtp: options => require('./mail/smtp.js')(options),
+    file: options => require('./mail/file.js')(options)
+};
+
+/**
+ * Renders mail from local templates and puts it to `mail_queue` table.
+ * Queued mail is sent by job with configured transport, failed sends are
+ * retried with doubling delay until `mail.queue.maxAttempts` is reached.
+ * Templates:
+ * - referral - username, referralLink
+ * - welcome - username, address, publicKey
+ * @memberof module:helpers
+ */
+const mailer = {
+
+    templates: {
+        referral: { subject: 'You are invited to DDK', file: 'referral.ejs' },
+        welcome: { subject: 'Welcome to DDK', file: 'welcome.ejs' }
+    },
+
+    compiled: {},
+
+    config: null,
+
+    transport: null,
+
+    db: null,
+
+    logger: null,
+
+    /**
+     * @param {Object} config - `mail` section of config.
+     * @param {Database} db
+     * @param {Object} logger
+     */
+    init(config, db, logger) {
+        if (!transports[config.driver]) {
+            throw new Error(`Unknown mail driver ${config.driver}`);
+        }
+
+        this.config = config;
+        this.transport = transports[config.driver](config[config.driver] || {});
+        this.db = db;
+        this.logger = logger;
+    },
+
+    /**
+     * @param {string} template - Name of template.
+     * @param {Object} model - Values used in template.
+     * @return {{ subject: string, html: string }}
+     */
+    render(template, model) {
+        if (!this.templates[template]) {
+            throw new Error(`Unknown mail template ${template}`);
+        }
+
+        if (!this.compiled[template]) {
+            const file = path.join(__dirname, 'mail', 'templates', this.templates[template].file);
+
+            this.compiled[template] = ejs.compile(fs.readFileSync(file, 'utf8'));
+        }
+
+        return {
+            subject: this.templates[template].subject,
+            html: this.compiled[template](model)
+        };
+    },
+
+    /**
+     * Queues rendered mail. It is sent by queue job, not on this call.
+     * @param {string} template - Name of template.
+     * @param {string} to - Recipient email.
+     * @param {Object} model - Values used in template.
+     * @return {Promise<number>} Id of queued mail.
+     */
+    async enqueue(template, to, model) {
+        const { subject, html } = this.render(template, model);
+        const row = await this.db.one(sql.addMail, { template, to, subject, html });
+
+        return row.id;
+    },
+
+    /**
+     * Sends due mail of the queue one by one.
+     * @return {Promise<number>} Count of sent mail.
+     */
+    async processQueue() {
+        const mails = await this.db.manyOrNone(sql.getDueMails, { limit: this.config.queue.batchSize });
+        let sent = 0;
+
+        for (const mail of mails) {
+            try {
+                await this.transport.send({
+                    from: this.config.from,
+                    to: mail.to,
+                    subject: mail.subject,
+                    html: mail.html
+                });
+                await this.db.none(sql.setMailSent, { id: mail.id });
+                sent++;
+            } catch (err) {
+                this.logger.warn(`[mailer] Failed to send mail ${mail.id}, attempt ${mail.attempts + 1}: ${err}`);
+                await this.db.none(sql.setMailAttemptFailed, {
+                    id: mail.id,
+                    error: String(err),
+                    maxAttempts: this.config.queue.maxAttempts,
+                    delay: this.config.queue.interval * (2 ** mail.attempts)
+                });
+            }
+        }
+
+        return sent;
+    },
+
+    /**
+     * Starts queue job.
+     * @implements {jobsQueue.register}
+     */
+    start() {
+        jobsQueue.register('mailQueue', (cb) => {
+            this.processQueue()
+                .catch((err) => {
+                    this.logger.error(`[mailer] Mail queue error: ${err}`);
+                })
+                .then(() => setImmediate(cb));
+        }, this.config.queue.interval);
+    }
+
+};
+
+module.exports = mailer;
+
+/** ************************************* END OF FILE ************************************ */
@@ -7,22 +7,31 @@ const defaults = {
     windowMs: 60000 // 1 minute window
 };
 
+// Sending of referral emails is always limited
+const emailDefaults = {
+    max: 5,
+    delayMs: 0, // Disabled
+    delayAfter: 0, // Disabled
+    windowMs: 3600000 // 1 hour window
+};
+
 /**
  * Returns limits object from input or default values.
  * @private
  * @param {Object} [limits]
+ * @param {Object} [defaultLimits]
  * @returns {Object} max, delayMs, delayAfter, windowMs
  */
-function applyLimits(limits) {
+function applyLimits(limits, defaultLimits = defaults) {
     if (typeof limits === 'object') {
         return {
-            max: Math.floor(limits.max) || defaults.max,
-            delayMs: Math.floor(limits.delayMs) || defaults.delayMs,
-            delayAfter: Math.floor(limits.delayAfter) || defaults.delayAfter,
-            windowMs: Math.floor(limits.windowMs) || defaults.windowMs
+            max: Math.floor(limits.max) || defaultLimits.max,
+            delayMs: Math.floor(limits.delayMs) || defaultLimits.delayMs,
+            delayAfter: Math.floor(limits.delayAfter) || defaultLimits.delayAfter,
+            windowMs: Math.floor(limits.windowMs) || defaultLimits.windowMs
         };
     }
-    return defaults;
+    return defaultLimits;
 }
 
 /**
@@ -32,7 +41,7 @@ function applyLimits(limits) {
  * @implements applyLimits
  * @param {Object} app - Application instance
  * @param {Object} config
- * @return {Object} limits per client and peer
+ * @return {Object} limits per client, peer and referral email
  */
 module.exports = function (app, config) {
     if (config.trustProxy) {
@@ -47,12 +56,14 @@ module.exports = function (app, config) {
 
     const limits = {
         client: applyLimits(config.api.options.limits),
-        peer: applyLimits(config.peers.options.limits)
+        peer: applyLimits(config.peers.options.limits),
+        email: applyLimits(config.api.options.emailLimits, emailDefaults)
     };
 
     limits.middleware = {
         client: app.use('/api/', new RateLimit(limits.client)),
-        peer: app.use('/peer/', new RateLimit(limits.peer))
+        peer: app.use('/peer/', new RateLimit(limits.peer)),
+        email: app.use('/api/referral/sendEmail', new RateLimit(limits.email))
     };
 
     return limits;
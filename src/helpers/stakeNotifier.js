@@ -0,0 +1,68 @@
+const popsicle = require('popsicle');
+const { AccountSessions } = require('./accountSessions');
+
+/**
+ * Sends stake order events to socket sessions of an address and,
+ * if `stakeNotifications.webhook.url` is configured, posts them to the webhook.
+ * Events:
+ * - stake/reward - vote reward of stake order
+ * - stake/unstaked - stake order is unstaked by vote or early unstake
+ * - stake/vote-due - next vote milestone of stake order has passed without vote,
+ *   sent to pool operator for orders attached to pool
+ * @memberof module:helpers
+ */
+const stakeNotifier = {
+
+    webhook: null,
+
+    logger: null,
+
+    /**
+     * @param {Object} [config] - `stakeNotifications` section of config.
+     * @param {Object} logger
+     */
+    init(config, logger) {
+        this.webhook = config && config.webhook && config.webhook.url ? config.webhook : null;
+        this.logger = logger;
+    },
+
+    /**
+     * @param {string} address
+     * @param {string} eventName
+     * @param {Object} message
+     */
+    send(address, eventName, message) {
+        AccountSessions.getInstance().send(address, eventName, message);
+
+        if (this.webhook) {
+            this.post(address, eventName, message);
+        }
+    },
+
+    /**
+     * Webhook delivery is not retried, failures are logged only.
+     * @private
+     */
+    post(address, eventName, message) {
+        popsicle.request({
+            url: this.webhook.url,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address, event: eventName, data: message }),
+            timeout: this.webhook.timeout
+        })
+            .then((res) => {
+                if (res.status >= 300) {
+                    this.logger.warn(`[stakeNotifier] Webhook responded ${res.status} on ${eventName} for ${address}`);
+                }
+            })
+            .catch((err) => {
+                this.logger.error(`[stakeNotifier] Webhook error on ${eventName} for ${address}: ${err.message}`);
+            });
+    }
+
+};
+
+module.exports = stakeNotifier;
+
+/** ************************************* END OF FILE ************************************ */
@@ -1,3 +1,5 @@
+import * as transactionTypes from 'src/helpers/transactionTypes.js';
+
 export const transactionSortFunc = (a, b) => {
     if (a.type < b.type) {
         return -1;
@@ -20,6 +22,18 @@ export const transactionSortFunc = (a, b) => {
     return 0;
 };
 
+// Amounts credited by transaction to its recipients
+export const getTransactionTransfers = (trs): Array<{ recipientId: string, amount: number }> => {
+    if (trs.type === transactionTypes.SEND) {
+        return [{ recipientId: trs.recipientId, amount: trs.amount }];
+    }
+    if (trs.type === transactionTypes.BATCH_SEND) {
+        return trs.asset.transfers;
+    }
+    return [];
+};
+
 export default exports = {
-    transactionSortFunc
+    transactionSortFunc,
+    getTransactionTransfers
 };
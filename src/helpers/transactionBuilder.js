@@ -0,0 +1,601 @@
+const crypto = require('crypto');
+const bignum = require('./bignum.js');
+const constants = require('./constants.js');
+const ed = require('./ed.js');
+const slots = require('./slots.js');
+const transactionTypes = require('./transactionTypes.js');
+const {
+    LENGTH, writeInt8, writeInt32LE, writeUInt64LE, writeNotNull
+} = require('./buffer.js');
+
+/**
+ * Builds, serializes and signs transactions without a running node,
+ * so secrets never leave the machine the transaction is signed on.
+ * Output of `getBytes` is identical to `Transaction.prototype.getBytes` of node logic.
+ * @example
+ * const keypair = transactionBuilder.makeKeypair(secret);
+ * const trs = transactionBuilder.create({
+ *     type: transactionTypes.SEND,
+ *     senderPublicKey: keypair.publicKey.toString('hex'),
+ *     recipientId: 'DDK14224602569244644359',
+ *     amount: 100000000
+ * });
+ * transactionBuilder.signTransaction(trs, keypair);
+ * // trs is ready for POST /api/transactions/validate or broadcasting to peers
+ * @memberof module:helpers
+ * @module helpers/transactionBuilder
+ */
+
+const TRANSACTION_BUFFER_SIZE =
+    LENGTH.HEX +         // salt
+    LENGTH.BYTE +        // type
+    LENGTH.UINT32 +      // timestamp
+    LENGTH.HEX +         // senderPublicKey
+    LENGTH.HEX +         // requesterPublicKey
+    LENGTH.INT64 +       // recipientId
+    LENGTH.INT64 +       // amount
+    LENGTH.DOUBLE_HEX +  // signature
+    LENGTH.DOUBLE_HEX;   // signSignature
+
+const PRIORITY_FEE_MARKER = 0xFE;
+
+const PRIORITY_FEE_BUFFER_SIZE =
+    LENGTH.BYTE +        // marker
+    LENGTH.INT64;        // priorityFee
+
+const OPTIONS_MARKER = 0xFF;
+
+const OPTIONS_BUFFER_SIZE =
+    LENGTH.BYTE +        // marker
+    LENGTH.UINT32 +      // expireTime
+    LENGTH.INT64 +       // expireHeight
+    LENGTH.UINT32;       // data length
+
+/**
+ * Creates keypair from secret the same way node does.
+ * @param {string} secret
+ * @return {Object} publicKey, privateKey
+ */
+const makeKeypair = secret => ed.makeKeypair(crypto.createHash('sha256').update(secret, 'utf8').digest());
+
+/**
+ * Generates address of account by public key.
+ * @param {string} publicKey - hex
+ * @return {string} address
+ */
+const getAddressByPublicKey = (publicKey) => {
+    const publicKeyHash = crypto.createHash('sha256').update(publicKey, 'hex').digest();
+    const temp = Buffer.alloc(8);
+
+    for (let i = 0; i < 8; i++) {
+        temp[i] = publicKeyHash[7 - i];
+    }
+
+    return `DDK${bignum.fromBuffer(temp).toString()}`;
+};
+
+/**
+ * Default airdrop reward of stake and vote transactions, node returns actual one for sender.
+ * @return {Object}
+ */
+const noAirdropReward = () => ({
+    withAirdropReward: false,
+    sponsors: {},
+    totalReward: 0
+});
+
+/**
+ * Asset builder, serializer and fee of stake pool join and leave transactions.
+ * @param {string} trsName
+ * @return {Object}
+ */
+const stakePoolMember = trsName => ({
+    create(data, trs) {
+        trs.recipientId = null;
+        trs.asset.stakePoolMember = {
+            poolId: data.poolId,
+            stakeId: data.stakeId
+        };
+        trs.trsName = trsName;
+        return trs;
+    },
+    getBytes: trs => Buffer.from(trs.asset.stakePoolMember.poolId + trs.asset.stakePoolMember.stakeId, 'utf8'),
+    calculateFee: () => constants.fees.stakepoolmember
+});
+
+/**
+ * Asset builders, serializers and fees by transaction type.
+ * Each one mirrors `create`, `getBytes` and `calculateFee` of the type logic.
+ */
+const types = {
+    [transactionTypes.SEND]: {
+        create(data, trs) {
+            trs.recipientId = data.recipientId;
+            trs.amount = data.amount;
+            if (data.lock) {
+                trs.asset.lock = data.lock;
+            }
+            trs.trsName = data.trsName || 'SEND';
+            return trs;
+        },
+        getBytes(trs) {
+            const lock = trs.asset && trs.asset.lock;
+            if (!lock) {
+                return Buffer.from([]);
+            }
+
+            const buff = Buffer.alloc(LENGTH.UINT32 + LENGTH.INT64);
+            const offset = writeInt32LE(buff, lock.unlockTime || 0, 0);
+            writeUInt64LE(buff, lock.unlockHeight || 0, offset);
+            return buff;
+        },
+        calculateFee: trs => (trs.amount * constants.fees.send) / 100
+    },
+
+    [transactionTypes.BATCH_SEND]: {
+        create(data, trs) {
+            trs.asset.transfers = data.transfers.map(transfer => ({
+                recipientId: transfer.recipientId,
+                amount: transfer.amount
+            }));
+            trs.amount = trs.asset.transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+            trs.trsName = 'BATCH_SEND';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc((LENGTH.INT64 + LENGTH.INT64) * trs.asset.transfers.length);
+            let offset = 0;
+
+            trs.asset.transfers.forEach((transfer) => {
+                offset = writeUInt64LE(buff, parseInt(transfer.recipientId.slice(3), 10), offset);
+                offset = writeUInt64LE(buff, transfer.amount, offset);
+            });
+            return buff;
+        },
+        calculateFee: trs =>
+            ((trs.amount * constants.fees.send) / 100) +
+            (trs.asset.transfers.length * constants.fees.batchrecipient)
+    },
+
+    [transactionTypes.STAKE]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.asset.stakeOrder = {
+                stakedAmount: data.freezedAmount,
+                nextVoteMilestone: trs.timestamp,
+                startTime: trs.timestamp
+            };
+            if (data.compound) {
+                trs.asset.stakeOrder.compound = true;
+            }
+            trs.asset.airdropReward = data.airdropReward || noAirdropReward();
+            if (data.stakeId) {
+                trs.stakeId = data.stakeId;
+            }
+            trs.stakedAmount = data.freezedAmount;
+            trs.trsName = 'STAKE';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(
+                LENGTH.INT64 +  // asset.stakeOrder.stakedAmount
+                LENGTH.UINT32 + // asset.stakeOrder.nextVoteMilestone
+                LENGTH.UINT32 + // asset.stakeOrders.startTime
+                LENGTH.BYTE +   // asset.airdropReward.withAirdropReward
+                LENGTH.INT64    // asset.airdropReward.totalReward
+            );
+            let offset = writeUInt64LE(buff, trs.asset.stakeOrder.stakedAmount || 0, 0);
+
+            if (trs.height <= constants.MASTER_NODE_MIGRATED_BLOCK) {
+                buff.writeInt32LE(trs.asset.stakeOrder.nextVoteMilestone, offset);
+            }
+            offset += LENGTH.UINT32;
+
+            offset = writeInt32LE(buff, trs.asset.stakeOrder.startTime, offset);
+            offset = writeInt8(buff, trs.asset.airdropReward.withAirdropReward ? 1 : 0, offset);
+            writeUInt64LE(buff, trs.asset.airdropReward.totalReward || 0, offset);
+
+            // airdropReward.sponsors up to 1 sponsors
+            const sponsorsBuffer = Buffer.alloc(LENGTH.INT64 + LENGTH.INT64);
+            const sponsors = trs.asset.airdropReward.sponsors;
+
+            if (sponsors && Object.keys(sponsors).length > 0) {
+                const address = Object.keys(sponsors)[0];
+                offset = writeUInt64LE(sponsorsBuffer, parseInt(address.slice(3), 10), 0);
+                writeUInt64LE(sponsorsBuffer, sponsors[address] || 0, offset);
+            }
+
+            if (trs.asset.stakeOrder.compound) {
+                return Buffer.concat([buff, sponsorsBuffer, Buffer.from([1])]);
+            }
+
+            return Buffer.concat([buff, sponsorsBuffer]);
+        },
+        calculateFee: trs => trs.stakedAmount * constants.fees.froze / 100
+    },
+
+    [transactionTypes.VOTE]: {
+        create(data, trs) {
+            const isDownVote = Boolean(data.votes && data.votes[0] && data.votes[0][0] === '-');
+
+            trs.asset.votes = data.votes;
+            trs.asset.reward = data.reward || 0;
+            trs.asset.unstake = data.unstake || 0;
+            trs.asset.airdropReward = data.airdropReward || noAirdropReward();
+            trs.recipientId = getAddressByPublicKey(trs.senderPublicKey);
+            trs.trsName = isDownVote ? 'DOWNVOTE' : 'VOTE';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(
+                LENGTH.INT64 + // reward
+                LENGTH.INT64   // unstake
+            );
+
+            let offset = writeUInt64LE(buff, trs.asset.reward, 0);
+            writeUInt64LE(buff, trs.asset.unstake ? (trs.asset.unstake * -1) : 0, offset);
+
+            // airdropReward.sponsors up to 15 sponsors
+            const sponsorsBuffer = Buffer.alloc((LENGTH.INT64 + LENGTH.INT64) * 15);
+
+            offset = 0;
+            Object.keys(trs.asset.airdropReward.sponsors).sort().forEach((address) => {
+                offset = writeUInt64LE(sponsorsBuffer, parseInt(address.slice(3), 10), offset);
+                offset = writeUInt64LE(sponsorsBuffer, trs.asset.airdropReward.sponsors[address] || 0, offset);
+            });
+
+            const voteBuffer = trs.asset.votes ? Buffer.from(trs.asset.votes.join(''), 'utf8') : Buffer.from([]);
+            return Buffer.concat([buff, sponsorsBuffer, voteBuffer]);
+        },
+        calculateFee: (trs, sender) =>
+            parseInt((parseInt(sender.totalFrozeAmount, 10) * constants.fees.vote) / 100, 10)
+    },
+
+    [transactionTypes.UNSTAKE]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.asset.unstake = {
+                stakeId: data.stakeId,
+                amount: data.amount,
+                penalty: Math.ceil((data.amount * constants.froze.unstakePenalty) / 100)
+            };
+            trs.trsName = 'UNSTAKE';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(LENGTH.INT64 + LENGTH.INT64);
+            const offset = writeUInt64LE(buff, trs.asset.unstake.amount, 0);
+            writeUInt64LE(buff, trs.asset.unstake.penalty, offset);
+            return Buffer.concat([buff, Buffer.from(trs.asset.unstake.stakeId, 'utf8')]);
+        },
+        calculateFee: trs => (trs.asset.unstake.amount * constants.fees.unstake) / 100
+    },
+
+    [transactionTypes.STAKE_POOL]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.asset.stakePool = {
+                name: data.name.toLowerCase(),
+                commission: data.commission
+            };
+            trs.trsName = 'STAKE_POOL';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(LENGTH.BYTE);
+            writeInt8(buff, trs.asset.stakePool.commission, 0);
+            return Buffer.concat([buff, Buffer.from(trs.asset.stakePool.name, 'utf8')]);
+        },
+        calculateFee: () => constants.fees.stakepool
+    },
+
+    [transactionTypes.STAKE_POOL_JOIN]: stakePoolMember('STAKE_POOL_JOIN'),
+
+    [transactionTypes.STAKE_POOL_LEAVE]: stakePoolMember('STAKE_POOL_LEAVE'),
+
+    [transactionTypes.SIGNATURE]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.amount = 0;
+            trs.asset.signature = {
+                publicKey: data.secondPublicKey
+            };
+            trs.trsName = 'SIGNATURE';
+            return trs;
+        },
+        getBytes: trs => Buffer.from(trs.asset.signature.publicKey, 'hex'),
+        calculateFee: () => constants.fees.secondsignature
+    },
+
+    [transactionTypes.DELEGATE]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.amount = 0;
+            trs.asset.delegate = {
+                username: data.username ? data.username.toLowerCase().trim() : data.username,
+                publicKey: trs.senderPublicKey
+            };
+            trs.trsName = 'DELEGATE';
+            return trs;
+        },
+        getBytes: trs =>
+            (trs.asset.delegate.username ? Buffer.from(trs.asset.delegate.username, 'utf8') : Buffer.from([])),
+        calculateFee: () => constants.fees.delegate
+    },
+
+    [transactionTypes.MULTI]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.amount = 0;
+            trs.asset.multisignature = {
+                min: data.min,
+                keysgroup: data.keysgroup,
+                lifetime: data.lifetime
+            };
+            trs.trsName = 'MULTI';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(LENGTH.BYTE + LENGTH.BYTE);
+            const offset = writeInt8(buff, trs.asset.multisignature.min, 0);
+            writeInt8(buff, trs.asset.multisignature.lifetime, offset);
+
+            return Buffer.concat([buff, Buffer.from(trs.asset.multisignature.keysgroup.join(''), 'utf8')]);
+        },
+        calculateFee: trs => (trs.asset.multisignature.keysgroup.length + 1) * constants.fees.multisignature
+    },
+
+    [transactionTypes.REFERRAL]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.asset.referral = data.referral;
+            trs.trsName = 'REGISTER';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(LENGTH.INT64);
+
+            if (trs.asset && trs.asset.referral) {
+                writeUInt64LE(buff, parseInt(trs.asset.referral.slice(3), 10) || 0, 0);
+            }
+            return buff;
+        },
+        calculateFee: () => 0
+    },
+
+    [transactionTypes.REFERRAL_CHANGE]: {
+        create(data, trs) {
+            trs.recipientId = null;
+            trs.asset.referralChange = {
+                referral: data.referral
+            };
+            trs.trsName = 'REFERRAL_CHANGE';
+            return trs;
+        },
+        getBytes(trs) {
+            const buff = Buffer.alloc(LENGTH.INT64);
+
+            writeUInt64LE(buff, parseInt(trs.asset.referralChange.referral.slice(3), 10) || 0, 0);
+            return buff;
+        },
+        calculateFee: () => constants.fees.referralchange
+    }
+};
+
+/**
+ * Gets type implementation.
+ * @param {number} type
+ * @return {Object}
+ * @throws {string} Unknown transaction type
+ */
+const getType = (type) => {
+    if (!types[type]) {
+        throw `Unknown transaction type ${type}`;
+    }
+    return types[type];
+};
+
+/**
+ * Serializes priority fee, nothing when transaction has none.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+const getPriorityFeeBytes = (trs) => {
+    if (!trs.priorityFee) {
+        return Buffer.from([]);
+    }
+
+    const buff = Buffer.alloc(PRIORITY_FEE_BUFFER_SIZE);
+    const offset = buff.writeUInt8(PRIORITY_FEE_MARKER, 0);
+    writeUInt64LE(buff, trs.priorityFee, offset);
+
+    return buff;
+};
+
+/**
+ * Serializes optional fields: expiry and data, nothing when transaction has none of them.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+const getOptionsBytes = (trs) => {
+    if (!trs.data && !trs.expireTime && !trs.expireHeight) {
+        return Buffer.from([]);
+    }
+
+    const dataBytes = trs.data ? Buffer.from(trs.data, 'utf8') : Buffer.from([]);
+    const buff = Buffer.alloc(OPTIONS_BUFFER_SIZE);
+    let offset = buff.writeUInt8(OPTIONS_MARKER, 0);
+
+    offset = writeInt32LE(buff, trs.expireTime || 0, offset);
+    offset = writeUInt64LE(buff, trs.expireHeight || 0, offset);
+    writeInt32LE(buff, dataBytes.length, offset);
+
+    return Buffer.concat([buff, dataBytes]);
+};
+
+/**
+ * Serializes transaction to bytes which are hashed to get id and signatures.
+ * @param {transaction} trs
+ * @param {boolean} skipSignature
+ * @param {boolean} skipSecondSignature
+ * @return {Buffer}
+ */
+const getBytes = (trs, skipSignature = false, skipSecondSignature = false) => {
+    const assetBytes = getType(trs.type).getBytes(trs);
+    const buff = Buffer.alloc(TRANSACTION_BUFFER_SIZE);
+
+    buff.write(trs.salt, 0, LENGTH.HEX);
+    let offset = LENGTH.HEX;
+
+    offset = writeInt8(buff, trs.type, offset);
+    offset = writeInt32LE(buff, trs.timestamp, offset);
+    offset = writeNotNull(buff, trs.senderPublicKey, offset, LENGTH.HEX);
+    offset = writeNotNull(buff, trs.requesterPublicKey, offset, LENGTH.HEX);
+
+    if (trs.recipientId) {
+        offset = writeUInt64LE(buff, parseInt(trs.recipientId.slice(3), 10), offset);
+    } else {
+        offset += LENGTH.INT64;
+    }
+
+    offset = writeUInt64LE(buff, trs.amount, offset);
+
+    if (!skipSignature && trs.signature) {
+        buff.write(trs.signature, offset, LENGTH.DOUBLE_HEX, 'hex');
+    }
+    offset += LENGTH.DOUBLE_HEX;
+
+    if (!skipSecondSignature && trs.signSignature) {
+        buff.write(trs.signSignature, offset, LENGTH.DOUBLE_HEX, 'hex');
+    }
+
+    return Buffer.concat([buff, getPriorityFeeBytes(trs), getOptionsBytes(trs), assetBytes]);
+};
+
+/**
+ * @param {transaction} trs
+ * @return {Buffer} sha256 hash of transaction bytes
+ */
+const getHash = trs => crypto.createHash('sha256').update(getBytes(trs, false, false)).digest();
+
+/**
+ * @param {transaction} trs
+ * @return {string} id
+ */
+const getId = trs => getHash(trs).toString('hex');
+
+/**
+ * Creates signature of transaction.
+ * @param {Object} keypair - Contains privateKey and publicKey
+ * @param {transaction} trs
+ * @return {string} signature
+ */
+const sign = (keypair, trs) => ed.sign(getHash(trs), keypair).toString('hex');
+
+/**
+ * Creates signature of multisignature member, it does not cover any of signatures.
+ * @param {Object} keypair - Contains privateKey and publicKey
+ * @param {transaction} trs
+ * @return {string} signature
+ */
+const multisign = (keypair, trs) =>
+    ed.sign(crypto.createHash('sha256').update(getBytes(trs, true, true)).digest(), keypair).toString('hex');
+
+/**
+ * Calculates fee of transaction, vote fee depends on sender stake.
+ * @param {transaction} trs
+ * @param {Object} [sender] - Contains totalFrozeAmount for vote
+ * @return {number} fee
+ */
+const calculateFee = (trs, sender) =>
+    (getType(trs.type).calculateFee(trs, sender) || 0) +
+    (trs.data ? Buffer.byteLength(trs.data, 'utf8') * constants.fees.databyte : 0) +
+    (trs.priorityFee || 0);
+
+/**
+ * Builds unsigned transaction.
+ * Values node computes for sender (airdrop reward of stake and vote, vote reward and unstake)
+ * have to be passed in data, they are not validated offline.
+ * @param {Object} data
+ * @param {number} data.type
+ * @param {string} data.senderPublicKey
+ * @param {number} [data.timestamp] - Current slot time by default
+ * @param {string} [data.salt] - Random by default, salt of replaced transaction for replace-by-fee
+ * @param {number} [data.priorityFee] - Fee paid over the fee of type, replacement has to pay more
+ * @param {string} [data.data] - Memo of send transaction
+ * @param {number} [data.expireTime] - Slot time transaction can not be confirmed since
+ * @param {number} [data.expireHeight] - Block height transaction can not be confirmed since
+ * @return {transaction} trs
+ */
+const create = (data) => {
+    if (!data.senderPublicKey) {
+        throw 'Invalid sender public key';
+    }
+
+    const trs = {
+        type: data.type,
+        amount: 0,
+        senderPublicKey: data.senderPublicKey,
+        requesterPublicKey: data.requesterPublicKey || null,
+        timestamp: data.timestamp === undefined ? slots.getTime() : data.timestamp,
+        asset: {},
+        stakedAmount: 0,
+        trsName: 'NA',
+        groupBonus: 0,
+        salt: data.salt || crypto.randomBytes(16).toString('hex'),
+        reward: data.rewardPercentage || null
+    };
+
+    if (data.priorityFee) {
+        trs.priorityFee = data.priorityFee;
+    }
+
+    if (data.data) {
+        trs.data = data.data;
+    }
+
+    if (data.expireTime) {
+        trs.expireTime = data.expireTime;
+    }
+
+    if (data.expireHeight) {
+        trs.expireHeight = data.expireHeight;
+    }
+
+    return getType(data.type).create(data, trs);
+};
+
+/**
+ * Signs transaction with first and optional second keypair, then sets its id and fee.
+ * @param {transaction} trs
+ * @param {Object} keypair
+ * @param {Object} [secondKeypair]
+ * @param {Object} [sender] - Contains totalFrozeAmount for vote fee
+ * @return {transaction} trs
+ */
+const signTransaction = (trs, keypair, secondKeypair, sender) => {
+    trs.signature = sign(keypair, trs);
+
+    if (secondKeypair) {
+        trs.signSignature = sign(secondKeypair, trs);
+    }
+
+    trs.id = getId(trs);
+    trs.fee = calculateFee(trs, sender);
+    return trs;
+};
+
+module.exports = {
+    makeKeypair,
+    getAddressByPublicKey,
+    create,
+    getBytes,
+    getHash,
+    getId,
+    sign,
+    multisign,
+    signTransaction,
+    calculateFee
+};
+
+/** ************************************* END OF FILE ************************************ */
@@ -0,0 +1,79 @@
+import { Transaction, TransactionStatus } from 'src/helpers/types';
+import * as constants from 'src/helpers/constants.js';
+
+const memoryCache = require('memory-cache');
+
+export class TransactionStatusTransition {
+    status: string;
+    timestamp: number;
+}
+
+export class TransactionStatusInfo {
+    id: string;
+    senderId: string;
+    status: string;
+    history: Array<TransactionStatusTransition>;
+    reason?: string;
+}
+
+export class TransactionStatusTracker {
+
+    private statuses = new memoryCache.Cache();
+    private static io: any;
+    private static instance: TransactionStatusTracker;
+    private constructor() {}
+
+    static setIOInstance(io: object) {
+        TransactionStatusTracker.io = io;
+    }
+
+    static getInstance() {
+        if (!TransactionStatusTracker.instance) {
+            TransactionStatusTracker.instance = new TransactionStatusTracker();
+        }
+        return TransactionStatusTracker.instance;
+    }
+
+    has(id: string): boolean {
+        return Boolean(this.statuses.get(id));
+    }
+
+    get(id: string): TransactionStatusInfo {
+        return this.statuses.get(id);
+    }
+
+    set(trs: Transaction, status: TransactionStatus, reason?: string): void {
+        trs.status = status;
+
+        const info: TransactionStatusInfo = this.get(trs.id) || {
+            id: trs.id,
+            senderId: trs.senderId,
+            status: null,
+            history: []
+        };
+        const transition = { status: TransactionStatus[status], timestamp: Date.now() };
+
+        info.senderId = info.senderId || trs.senderId;
+        info.status = transition.status;
+        info.history.push(transition);
+        if (reason) {
+            info.reason = reason;
+        }
+
+        this.statuses.put(trs.id, info, constants.TRANSACTION_STATUS_EXPIRE * 1000);
+
+        if (TransactionStatusTracker.io) {
+            TransactionStatusTracker.io.sockets.emit('transaction/status', {
+                id: info.id,
+                senderId: info.senderId,
+                status: transition.status,
+                timestamp: transition.timestamp,
+                reason: reason || null
+            });
+        }
+    }
+}
+
+export default exports = {
+    TransactionStatusTracker
+};
@@ -12,6 +12,12 @@
  * @param {Integer} CONTRACT - contract transation
  * @param {Integer} SENDSTAKE - send freeze transation
  * @param {Integer} REFER - Referral reward transaction.
+ * @param {Integer} BATCH_SEND - send transation to many recipients
+ * @param {Integer} UNSTAKE - early unstake of a stake order with penalty
+ * @param {Integer} STAKE_POOL - register a staking pool with commission
+ * @param {Integer} STAKE_POOL_JOIN - attach a stake order to a staking pool
+ * @param {Integer} STAKE_POOL_LEAVE - detach a stake order from a staking pool
+ * @param {Integer} REFERRAL_CHANGE - change introducer of an account before its first stake
  * @returns {Object}
  */
 module.exports = {
@@ -26,6 +32,12 @@ module.exports = {
     DAPP: 80,
     IN_TRANSFER: 90,
     OUT_TRANSFER: 100,
+    BATCH_SEND: 110,
+    UNSTAKE: 120,
+    STAKE_POOL: 121,
+    STAKE_POOL_JOIN: 122,
+    STAKE_POOL_LEAVE: 123,
+    REFERRAL_CHANGE: 124,
 };
 
 /** ************************************* END OF FILE ************************************ */
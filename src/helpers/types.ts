@@ -8,7 +8,44 @@ export enum TransactionStatus {
     PUT_IN_POOL,
     BROADCASTED,
     APPLIED,
-    DECLINED
+    DECLINED,
+    EXPIRED
+}
+
+export enum TransactionPoolPushReason {
+    POOL_FULL = 'POOL_FULL',
+    SENDER_QUOTA = 'SENDER_QUOTA',
+    EVICTED_LOWER_FEE = 'EVICTED_LOWER_FEE',
+}
+
+export class TransactionPoolPushResult {
+    success: boolean;
+    reason?: TransactionPoolPushReason;
+    error?: string;
+}
+
+// Outcome of new transaction in queue: put in pool, queued as conflicted or declined
+export class TransactionQueueResult extends TransactionPoolPushResult {
+    status: TransactionStatus;
+}
+
+export enum TransactionValidationStage {
+    NORMALIZE = 'NORMALIZE',
+    VERIFY = 'VERIFY',
+    VERIFY_UNCONFIRMED = 'VERIFY_UNCONFIRMED',
+}
+
+export class TransactionValidationError {
+    stage: TransactionValidationStage;
+    message: string;
+}
+
+export class TransactionValidationResult {
+    valid: boolean;
+    transactionId: string;
+    fee: number;
+    potentialConflict: boolean;
+    errors: Array<TransactionValidationError>;
 }
 
 export class Transaction {
@@ -60,6 +97,8 @@ export class Account {
     endTime: any;
     totalFrozeAmount: number;
     u_totalFrozeAmount: number;
+    lockedBalance: number;
+    u_lockedBalance: number;
     isMigrated: number;
     name: string;
     email: string;
@@ -109,6 +148,8 @@ export class Account {
         this.endTime = rawData.endTime;
         this.totalFrozeAmount = Number(rawData.totalFrozeAmount);
         this.u_totalFrozeAmount = Number(rawData.u_totalFrozeAmount);
+        this.lockedBalance = Number(rawData.lockedBalance) || 0;
+        this.u_lockedBalance = Number(rawData.u_lockedBalance) || 0;
         this.isMigrated = Number(rawData.isMigrated);
         this.name = rawData.name;
         this.email = rawData.email;
@@ -408,6 +408,24 @@ function Account(db, schema, logger, cb) {
             conv: Number,
             expression: '("totalFrozeAmount")::bigint'
         },
+        {
+            name: 'lockedBalance',
+            type: 'BigInt',
+            filter: {
+                type: 'integer'
+            },
+            conv: Number,
+            expression: '("lockedBalance")::bigint'
+        },
+        {
+            name: 'u_lockedBalance',
+            type: 'BigInt',
+            filter: {
+                type: 'integer'
+            },
+            conv: Number,
+            expression: '("u_lockedBalance")::bigint'
+        },
         {
             name: 'group_bonus',
             type: 'BigInt',
@@ -1011,7 +1029,9 @@ Account.prototype.asyncMerge = async (address, data) => {
     const values = { address };
 
     // TODO old logic include also ['producedblocks', 'missedblocks', 'fees', 'vote', 'rate'];
-    const accumulateFields = ['balance', 'u_balance', 'totalFrozeAmount', 'u_totalFrozeAmount'];
+    const accumulateFields = [
+        'balance', 'u_balance', 'totalFrozeAmount', 'u_totalFrozeAmount', 'lockedBalance', 'u_lockedBalance'
+    ];
 
     Object.keys(data).forEach(field => {
         if (accumulateFields.indexOf(field) !== -1) {
@@ -0,0 +1,319 @@
+const async = require('async');
+const constants = require('../helpers/constants.js');
+const { LENGTH, writeUInt64LE } = require('../helpers/buffer.js');
+
+// Private fields
+let modules;
+let library;
+
+/**
+ * Batch transfer logic. Pays many recipients in one transaction.
+ * Sum of transfers is kept in transaction amount, so sender balance is handled
+ * by the transaction logic the same way as for a single transfer.
+ * @memberof module:transactions
+ * @class
+ * @classdesc Main batch transfer logic.
+ * @param {Account} account
+ * @param {ZSchema} schema
+ */
+// Constructor
+function BatchTransfer(account, schema) {
+    library = {
+        account,
+        schema
+    };
+}
+
+// Public methods
+/**
+ * Binds input parameters to private variable modules.
+ * @param {Accounts} accounts
+ * @param {Rounds} rounds
+ */
+BatchTransfer.prototype.bind = function (accounts, rounds) {
+    modules = {
+        accounts,
+        rounds,
+    };
+};
+
+/**
+ * Assigns transfers to transaction asset and their sum to transaction amount.
+ * @param {Object} data
+ * @param {transaction} trs
+ * @return {transaction} trs with assigned data
+ */
+BatchTransfer.prototype.create = function (data, trs) {
+    trs.asset.transfers = data.transfers.map(transfer => ({
+        recipientId: transfer.recipientId,
+        amount: transfer.amount
+    }));
+    trs.amount = trs.asset.transfers.reduce((sum, transfer) => sum + transfer.amount, 0);
+    trs.trsName = 'BATCH_SEND';
+    return trs;
+};
+
+/**
+ * Returns send fee of the total amount and a fixed fee for each recipient.
+ * @param {transaction} trs
+ * @return {number} fee
+ */
+BatchTransfer.prototype.calculateFee = function (trs) {
+    return ((trs.amount * constants.fees.send) / 100) +
+        (trs.asset.transfers.length * constants.fees.batchrecipient);
+};
+
+BatchTransfer.prototype.newVerify = (trs) => {
+    if (trs.recipientId) {
+        throw new Error('Invalid recipient');
+    }
+
+    const recipients = new Set();
+    let amount = 0;
+
+    trs.asset.transfers.forEach((transfer) => {
+        if (transfer.amount <= 0) {
+            throw new Error('Invalid transfer amount');
+        }
+
+        if (recipients.has(transfer.recipientId)) {
+            throw new Error(`Encountered duplicate recipient ${transfer.recipientId}`);
+        }
+
+        recipients.add(transfer.recipientId);
+        amount += transfer.amount;
+    });
+
+    if (trs.amount !== amount) {
+        throw new Error('Invalid transaction amount');
+    }
+};
+
+BatchTransfer.prototype.newVerifyUnconfirmed = async () => {};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb, null, trs
+ */
+BatchTransfer.prototype.process = function (trs, sender, cb) {
+    return setImmediate(cb, null, trs);
+};
+
+/**
+ * Writes recipient address and amount of each transfer.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+BatchTransfer.prototype.getBytes = function (trs) {
+    const buff = Buffer.alloc(trs.asset.transfers.length * (LENGTH.INT64 + LENGTH.INT64));
+    let offset = 0;
+
+    trs.asset.transfers.forEach((transfer) => {
+        offset = writeUInt64LE(buff, parseInt(transfer.recipientId.slice(3), 10), offset);
+        offset = writeUInt64LE(buff, transfer.amount, offset);
+    });
+
+    return buff;
+};
+
+/**
+ * Merges balance of each recipient with transfer amount.
+ * @implements {library.account.asyncMerge}
+ * @param {transaction} trs
+ */
+BatchTransfer.prototype.apply = async (trs) => {
+    for (const transfer of trs.asset.transfers) {
+        await library.account.asyncMerge(transfer.recipientId, {
+            balance: transfer.amount
+        });
+    }
+};
+
+/**
+ * Merges balance of each recipient with negative transfer amount.
+ * @implements {library.account.asyncMerge}
+ * @param {transaction} trs
+ */
+BatchTransfer.prototype.undo = async (trs) => {
+    for (const transfer of [...trs.asset.transfers].reverse()) {
+        await library.account.asyncMerge(transfer.recipientId, {
+            address: transfer.recipientId,
+            balance: -transfer.amount,
+        });
+    }
+};
+
+/**
+ * Calls setAccountAndGet and mergeAccountAndGet with unconfirmed transfer amount
+ * for each recipient.
+ * @implements {modules.accounts.setAccountAndGet}
+ * @implements {modules.accounts.mergeAccountAndGet}
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+BatchTransfer.prototype.applyUnconfirmed = function (trs, sender, cb) {
+    async.eachSeries(trs.asset.transfers, (transfer, eachSeriesCb) => {
+        modules.accounts.setAccountAndGet({ address: transfer.recipientId }, (err) => {
+            if (err) {
+                return setImmediate(eachSeriesCb, err);
+            }
+
+            modules.accounts.mergeAccountAndGet({
+                address: transfer.recipientId,
+                u_balance: transfer.amount,
+            }, errAccountGet => setImmediate(eachSeriesCb, errAccountGet));
+        });
+    }, err => setImmediate(cb, err));
+};
+
+/**
+ * Calls setAccountAndGet and mergeAccountAndGet with negative unconfirmed
+ * transfer amount for each recipient.
+ * @implements {modules.accounts.setAccountAndGet}
+ * @implements {modules.accounts.mergeAccountAndGet}
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+BatchTransfer.prototype.undoUnconfirmed = function (trs, sender, cb) {
+    async.eachSeries(trs.asset.transfers, (transfer, eachSeriesCb) => {
+        modules.accounts.setAccountAndGet({ address: transfer.recipientId }, (err) => {
+            if (err) {
+                return setImmediate(eachSeriesCb, err);
+            }
+
+            modules.accounts.mergeAccountAndGet({
+                address: transfer.recipientId,
+                u_balance: -transfer.amount,
+            }, errAccountGet => setImmediate(eachSeriesCb, errAccountGet));
+        });
+    }, err => setImmediate(cb, err));
+};
+
+BatchTransfer.prototype.calcUndoUnconfirmed = () => {};
+
+/**
+ * @typedef {Object} transfers
+ * @property {Object[]} transfers - Unique recipients, max constant maxRecipientsPerTransaction.
+ * @property {string} transfers.recipientId
+ * @property {number} transfers.amount
+ */
+BatchTransfer.prototype.schema = {
+    id: 'BatchTransfer',
+    type: 'object',
+    properties: {
+        transfers: {
+            type: 'array',
+            minItems: 1,
+            maxItems: constants.maxRecipientsPerTransaction,
+            items: {
+                type: 'object',
+                properties: {
+                    recipientId: {
+                        type: 'string',
+                        format: 'address',
+                        minLength: 1,
+                        maxLength: 25
+                    },
+                    amount: {
+                        type: 'integer',
+                        minimum: 1,
+                        maximum: constants.totalAmount
+                    }
+                },
+                required: ['recipientId', 'amount']
+            }
+        }
+    },
+    required: ['transfers']
+};
+
+/**
+ * Validates asset schema.
+ * @implements {library.schema.validate}
+ * @param {transaction} trs
+ * @return {transaction}
+ * @throws {string} Failed to validate batch transfer schema.
+ */
+BatchTransfer.prototype.objectNormalize = function (trs) {
+    const report = library.schema.validate(trs.asset, BatchTransfer.prototype.schema);
+
+    if (!report) {
+        throw `Failed to validate batch transfer schema: ${library.schema.getLastErrors()
+            .map(err => err.message).join(', ')}`;
+    }
+
+    return trs;
+};
+
+/**
+ * Creates transfers object based on raw data.
+ * @param {Object} raw
+ * @return {null|transfers}
+ */
+BatchTransfer.prototype.dbRead = function (raw) {
+    if (!raw.bt_transfers) {
+        return null;
+    }
+
+    return {
+        transfers: raw.bt_transfers.map(transfer => ({
+            recipientId: transfer.recipientId,
+            amount: Number(transfer.amount)
+        }))
+    };
+};
+
+BatchTransfer.prototype.dbTable = 'batch_transfers';
+
+BatchTransfer.prototype.dbFields = [
+    'transactionId',
+    'index',
+    'recipientId',
+    'amount'
+];
+
+/**
+ * Creates db operation object to 'batch_transfers' table for each transfer.
+ * @param {transaction} trs
+ * @return {Object[]} table, fields, values.
+ */
+BatchTransfer.prototype.dbSave = function (trs) {
+    return trs.asset.transfers.map((transfer, index) => ({
+        table: this.dbTable,
+        fields: this.dbFields,
+        values: {
+            transactionId: trs.id,
+            index,
+            recipientId: transfer.recipientId,
+            amount: transfer.amount
+        }
+    }));
+};
+
+/**
+ * Checks sender multisignatures and transaction signatures.
+ * @param {transaction} trs
+ * @param {account} sender
+ * @return {boolean} True if transaction signatures greather than
+ * sender multimin or there are not sender multisignatures.
+ */
+BatchTransfer.prototype.ready = function (trs, sender) {
+    if (Array.isArray(sender.multisignatures) && sender.multisignatures.length) {
+        if (!Array.isArray(trs.signatures)) {
+            return false;
+        }
+        return trs.signatures.length >= sender.multimin;
+    }
+    return true;
+};
+
+// Export
+module.exports = BatchTransfer;
+
+/** ************************************* END OF FILE ************************************ */
@@ -2,7 +2,7 @@ let modules,
     self;
 const StakeReward = require('./stakeReward.js');
 
-const reward = new StakeReward();
+let reward;
 
 /**
  * Main Contract logic.
@@ -20,6 +20,8 @@ function Contract(config, db, cb) {
         db
     };
 
+    reward = new StakeReward(config.stakeRewards);
+
     if (cb) {
         return setImmediate(cb, null, this);
     }
@@ -5,10 +5,10 @@ const StakeReward = require('./stakeReward.js');
 const Promise = require('bluebird');
 const rewardSql = require('../sql/referal_sql');
 const accountSql = require('../sql/accounts');
-const cache = require('../modules/cache');
 const transactionTypes = require('../helpers/transactionTypes.js');
 const { LENGTH, writeUInt64LE } = require('../helpers/buffer.js');
 const utils = require('../utils');
+const stakeNotifier = require('../helpers/stakeNotifier.js');
 
 const __private = {};
 __private.types = {};
@@ -43,18 +43,13 @@ function Frozen(logger, db, transaction, network, config, balancesSequence, ed,
         ed
     };
 
+    __private.stakeReward = new StakeReward(config && config.stakeRewards);
+
     if (cb) {
         return setImmediate(cb, null, this);
     }
 }
 
-// Private methods
-/**
- * Creates a stakeReward instance.
- * @private
- */
-__private.stakeReward = new StakeReward();
-
 /**
  * create stake_orders table records
  * @param {Object} data - stake order data
@@ -63,7 +58,7 @@ __private.stakeReward = new StakeReward();
  */
 Frozen.prototype.create = async function (data, trs) {
     const senderId = data.sender.address;
-    const airdropReward = await self.getAirdropReward(senderId, data.freezedAmount, data.type);
+    const airdropReward = await self.createAirdropReward(senderId, data.freezedAmount, data.type);
 
     trs.recipientId = null;
     trs.asset.stakeOrder = {
@@ -71,6 +66,9 @@ Frozen.prototype.create = async function (data, trs) {
         nextVoteMilestone: trs.timestamp,
         startTime: trs.timestamp
     };
+    if (data.compound) {
+        trs.asset.stakeOrder.compound = true;
+    }
     trs.asset.airdropReward = {
         withAirdropReward: airdropReward.allowed,
         sponsors: airdropReward.sponsors,
@@ -115,7 +113,8 @@ Frozen.prototype.dbFields = [
     'recipientId',
     'freezedAmount',
     'nextVoteMilestone',
-    'airdropReward'
+    'airdropReward',
+    'compound'
 ];
 
 Frozen.prototype.inactive = '0';
@@ -144,7 +143,8 @@ Frozen.prototype.dbSave = function (trs) {
             recipientId: trs.recipientId,
             freezedAmount: trs.asset.stakeOrder.stakedAmount,
             nextVoteMilestone: trs.timestamp,
-            airdropReward: trs.asset.airdropReward || {}
+            airdropReward: trs.asset.airdropReward || {},
+            compound: Boolean(trs.asset.stakeOrder.compound)
         }
     };
 };
@@ -169,6 +169,10 @@ Frozen.prototype.dbRead = function (raw) {
         nextVoteMilestone: Number(raw.so_nextVoteMilestone)
     };
 
+    if (raw.so_compound) {
+        stakeOrder.compound = true;
+    }
+
     return { stakeOrder, airdropReward: raw.so_airdropReward || {} };
 };
 
@@ -278,6 +282,11 @@ Frozen.prototype.getBytes = function (trs) {
         writeUInt64LE(sponsorsBuffer, trs.asset.airdropReward.sponsors[address] || 0, offset);
     }
 
+    // compound flag is written only when set to keep bytes of earlier stakes
+    if (trs.asset.stakeOrder.compound) {
+        return Buffer.concat([buff, sponsorsBuffer, Buffer.from([1])]);
+    }
+
     return Buffer.concat([buff, sponsorsBuffer]);
 };
 
@@ -322,7 +331,7 @@ Frozen.prototype.verifyFields = function (trs, sender, cb) {
         });
 };
 
-Frozen.prototype.newVerify = async (trs) => {
+Frozen.prototype.newVerify = async (trs, sender, block) => {
     const stakedAmount = trs.stakedAmount / 100000000;
 
     if (stakedAmount < 1) {
@@ -333,7 +342,7 @@ Frozen.prototype.newVerify = async (trs) => {
         throw new Error('Invalid stake amount: Decimal value');
     }
     try {
-        await self.verifyAirdrop(trs);
+        await self.verifyAirdrop(trs, block);
     } catch (e) {
         throw e;
     }
@@ -349,11 +358,19 @@ Frozen.prototype.newVerifyUnconfirmed = async (trs, sender) => {
     }
 };
 
-Frozen.prototype.verifyAirdrop = async (trs) => {
+/**
+ * Checks airdrop reward of stake or vote transaction against the one
+ * calculated from airdrop balance the transaction is paid from.
+ * @param {Object} trs - Stake or vote transaction.
+ * @param {Object} [block] - Block containing the transaction.
+ * @throws {string} If airdrop reward differs.
+ */
+Frozen.prototype.verifyAirdrop = async (trs, block) => {
     const airdropReward = await self.getAirdropReward(
         trs.senderId,
         trs.type === transactionTypes.STAKE ? trs.stakedAmount : trs.asset.reward,
-        trs.type
+        trs.type,
+        await self.getAirdropBalance(trs, block)
     );
 
     if (
@@ -385,6 +402,42 @@ Frozen.prototype.bind = function (accounts, rounds, blocks, transactions) {
     };
 };
 
+/**
+ * Returns confirmed balance of airdrop account at the last block. Block is
+ * verified before it is applied, so for a transaction of the block it is the
+ * balance at parent block, less airdrop reward of transactions before it.
+ * @param {Object} [trs] - Transaction the balance is taken for.
+ * @param {Object} [block] - Block containing the transaction.
+ * @return {Promise<number>}
+ */
+Frozen.prototype.getAirdropBalance = async (trs, block) => {
+    const account = await self.scope.db.oneOrNone(accountSql.getCurrentUnmined, {
+        address: constants.airdrop.account
+    });
+    let balance = account ? parseInt(account.balance, 10) : 0;
+
+    if (trs && block && block.transactions) {
+        const index = block.transactions.findIndex(blockTrs => blockTrs.id === trs.id);
+
+        block.transactions.slice(0, index).forEach((blockTrs) => {
+            const airdropReward = blockTrs.asset && blockTrs.asset.airdropReward;
+
+            if (airdropReward && airdropReward.withAirdropReward) {
+                balance -= airdropReward.totalReward;
+            }
+        });
+    }
+
+    return balance;
+};
+
+/**
+ * Returns airdrop reward reserved by stake and vote transactions in pool,
+ * new transactions may only use the rest of airdrop balance.
+ * @return {number}
+ */
+Frozen.prototype.getReservedAirdropReward = () => modules.transactions.getReservedAirdropReward();
+
 /**
  * Distributing the Airdrop Reward to their sponsors.
  * Award being sent on level basis.
@@ -460,24 +513,22 @@ Frozen.prototype.undoAirdropReward = async function (trs) {
     return true;
 };
 
-Frozen.prototype.getAirdropReward = async function (senderAddress, amount, transactionType) {
+/**
+ * Calculates airdrop reward of sponsors of sender. Reward is allowed only if
+ * airdrop balance covers it. Balance is taken from chain state only, so
+ * creating and verifying nodes get the same result.
+ * @param {string} senderAddress
+ * @param {number} amount - Staked amount or vote reward.
+ * @param {number} transactionType
+ * @param {number} airdropBalance - Airdrop balance the transaction is paid from.
+ * @return {Promise<Object>} total, sponsors and allowed flag.
+ */
+Frozen.prototype.getAirdropReward = async function (senderAddress, amount, transactionType, airdropBalance) {
     const result = {
         total: 0, sponsors: {}, allowed: false
     };
 
-    try {
-        if (!await cache.prototype.getJsonForKeyAsync('referStatus')) {
-            return result;
-        }
-    } catch (err) {
-        self.scope.logger.error(err);
-    }
-
-    const availableAirdropBalance = await self.scope.db.oneOrNone(accountSql.getCurrentUnmined, {
-        address: constants.airdrop.account
-    });
-
-    self.scope.logger.info(`availableAirdropBalance: ${availableAirdropBalance.balance / 100000000}`);
+    self.scope.logger.debug(`airdropBalance: ${airdropBalance / 100000000}`);
 
     const user = await self.scope.db.oneOrNone(rewardSql.referLevelChain, {
         address: senderAddress
@@ -502,12 +553,7 @@ Frozen.prototype.getAirdropReward = async function (senderAddress, amount, trans
         airdropRewardAmount += reward;
     });
 
-    if (availableAirdropBalance.balance < airdropRewardAmount) {
-        try {
-            await cache.prototype.setJsonForKeyAsync('referStatus', false);
-        } catch (err) {
-            self.scope.logger.error(err);
-        }
+    if (airdropBalance < airdropRewardAmount) {
         return result;
     }
 
@@ -518,6 +564,140 @@ Frozen.prototype.getAirdropReward = async function (senderAddress, amount, trans
     return result;
 };
 
+/**
+ * Calculates airdrop reward of new transaction. Reward reserved by
+ * transactions in pool does not change it, but transaction is refused
+ * while the rest of airdrop balance can't pay it.
+ * @param {string} senderAddress
+ * @param {number} amount - Staked amount or vote reward.
+ * @param {number} transactionType
+ * @return {Promise<Object>} total, sponsors and allowed flag.
+ */
+Frozen.prototype.createAirdropReward = async function (senderAddress, amount, transactionType) {
+    const airdropBalance = await self.getAirdropBalance();
+    const airdropReward = await self.getAirdropReward(senderAddress, amount, transactionType, airdropBalance);
+
+    if (airdropReward.allowed && airdropBalance - self.getReservedAirdropReward() < airdropReward.total) {
+        throw new Error('Airdrop balance is reserved by transactions in pool, try again later');
+    }
+
+    return airdropReward;
+};
+
+/**
+ * Calculates the reward a stake order receives on its next vote.
+ * @param {Object} order - Stake order with `freezedAmount` and `voteCount`.
+ * @param {number} height - Block height the reward percent is taken at.
+ * @return {number} Reward amount, 0 if the next vote is not rewarded.
+ */
+Frozen.prototype.calculateOrderReward = (order, height) => {
+    const voteCount = parseInt(order.voteCount, 10);
+
+    if (voteCount > 0 && (voteCount + 1) % constants.froze.rewardVoteCount === 0) {
+        return (parseInt(order.freezedAmount, 10) * __private.stakeReward.calcReward(height)) / 100;
+    }
+    return 0;
+};
+
+/**
+ * Checks whether the next vote unstakes the order.
+ * @param {Object} order - Stake order with `voteCount`.
+ * @return {boolean}
+ */
+Frozen.prototype.isReadyToUnstake = order =>
+    (parseInt(order.voteCount, 10) + 1) === constants.froze.unstakeVoteCount;
+
+/**
+ * Projects the remaining schedule of a stake order assuming its owner votes
+ * as soon as each vote milestone is reached. Heights of future votes are
+ * estimated from the slot interval. Rewards of compound order are added to its amount.
+ * @param {Object} order - Stake order with `freezedAmount`, `voteCount`, `nextVoteMilestone` and `compound`.
+ * @param {number} height - Current block height.
+ * @param {number} timestamp - Current epoch time.
+ * @return {Object} Vote milestones with their rewards, unstake time and total reward.
+ */
+Frozen.prototype.calculateProjection = (order, height, timestamp) => {
+    const projectedOrder = {
+        freezedAmount: parseInt(order.freezedAmount, 10),
+        voteCount: parseInt(order.voteCount, 10)
+    };
+    const milestones = [];
+    let voteTime = Math.max(parseInt(order.nextVoteMilestone, 10), timestamp);
+    let totalReward = 0;
+
+    while (projectedOrder.voteCount < constants.froze.unstakeVoteCount) {
+        const voteHeight = height + Math.ceil((voteTime - timestamp) / slots.interval);
+        const reward = self.calculateOrderReward(projectedOrder, voteHeight);
+        const unstake = self.isReadyToUnstake(projectedOrder);
+
+        milestones.push({
+            voteCount: projectedOrder.voteCount + 1,
+            timestamp: voteTime,
+            date: new Date(slots.getRealTime(voteTime)).toISOString(),
+            height: voteHeight,
+            reward,
+            unstake
+        });
+        totalReward += reward;
+        if (order.compound && !unstake) {
+            projectedOrder.freezedAmount += Math.floor(reward);
+        }
+        projectedOrder.voteCount++;
+        voteTime += constants.froze.vTime * 60;
+    }
+
+    const unstakeMilestone = milestones.find(milestone => milestone.unstake) || null;
+
+    return {
+        id: order.id,
+        freezedAmount: projectedOrder.freezedAmount,
+        voteCount: parseInt(order.voteCount, 10),
+        milestones,
+        unstakeTime: unstakeMilestone && unstakeMilestone.timestamp,
+        unstakeDate: unstakeMilestone && unstakeMilestone.date,
+        totalReward
+    };
+};
+
+/**
+ * Builds lineage of a stake order from its chain of orders linked by `parentId`.
+ * @param {Object[]} rows - Orders of the chain with their transactions, ordered from the staked one.
+ * @return {Object|null} Staking transaction, transfers and current holder, null if order is not found.
+ */
+Frozen.prototype.buildLineage = (rows) => {
+    if (!rows || !rows.length) {
+        return null;
+    }
+
+    const [origin, ...hops] = rows;
+    const current = rows[rows.length - 1];
+
+    return {
+        origin: {
+            id: origin.id,
+            type: origin.type,
+            senderId: origin.trsSenderId,
+            freezedAmount: parseInt(origin.freezedAmount, 10),
+            timestamp: origin.timestamp,
+            height: origin.height
+        },
+        transfers: hops.map(hop => ({
+            id: hop.id,
+            stakeId: hop.parentId,
+            senderId: hop.trsSenderId,
+            recipientId: hop.recipientId,
+            timestamp: hop.timestamp,
+            height: hop.height
+        })),
+        current: {
+            id: current.id,
+            holder: current.senderId,
+            status: parseInt(current.status, 10),
+            freezedAmount: parseInt(current.freezedAmount, 10)
+        }
+    };
+};
+
 Frozen.prototype.calculateTotalRewardAndUnstake = async (senderId, isDownVote, timestamp) => {
     let reward = 0;
     let unstakeAmount = 0;
@@ -529,16 +709,11 @@ Frozen.prototype.calculateTotalRewardAndUnstake = async (senderId, isDownVote, t
     });
     self.scope.logger.debug(`[Frozen][calculateTotalRewardAndUnstake] freezeOrders: ${JSON.stringify(freezeOrders)}`);
 
+    const blockHeight = modules.blocks.lastBlock.get().height;
     freezeOrders.forEach((order) => {
-        if (order.voteCount > 0 && (parseInt(order.voteCount, 10) + 1) % constants.froze.rewardVoteCount === 0) {
-            const blockHeight = modules.blocks.lastBlock.get().height;
-            const stakeRewardPercent = __private.stakeReward.calcReward(blockHeight);
-            reward += (parseInt(order.freezedAmount, 10) * stakeRewardPercent) / 100;
-        }
+        reward += self.calculateOrderReward(order, blockHeight);
     });
-    const readyToUnstakeOrders = freezeOrders.filter(
-        o => (parseInt(o.voteCount, 10) + 1) === constants.froze.unstakeVoteCount
-    );
+    const readyToUnstakeOrders = freezeOrders.filter(self.isReadyToUnstake);
     self.scope.logger.debug(`[Frozen][calculateTotalRewardAndUnstake] reward: ${reward}`);
     readyToUnstakeOrders.forEach((order) => {
         unstakeAmount -= parseInt(order.freezedAmount, 10);
@@ -561,34 +736,247 @@ Frozen.prototype.applyFrozeOrdersRewardAndUnstake = async function (voteTransact
         order.voteCount = parseInt(order.voteCount, 10);
         order.status = parseInt(order.status, 10);
     });
-    await Promise.all([
-        await self.applyRewards(voteTransaction),
+    const pool = activeOrders.some(order => order.poolId)
+        ? await self.scope.db.oneOrNone(sql.getStakePoolByOperator, { operatorId: voteTransaction.senderId })
+        : null;
+    const [orderRewards] = await Promise.all([
+        await self.applyRewards(voteTransaction, activeOrders, pool ? pool.commission : 0),
         await self.sendAirdropReward(voteTransaction)
     ]);
     await self.applyUnstake(activeOrders, voteTransaction);
+    self.notifyRewardsAndUnstakes(voteTransaction, activeOrders, orderRewards);
     return true;
 };
 
-Frozen.prototype.applyRewards = async (voteTransaction) => {
+/**
+ * Sends `stake/reward` for each rewarded order and `stake/unstaked` for each
+ * order unstaked by vote to its owner.
+ * @implements {stakeNotifier.send}
+ * @param {Object} voteTransaction
+ * @param {Object[]} orders - Stake orders updated by the vote.
+ * @param {Object[]} [orderRewards] - Reward parts of orders, pool members get them after commission.
+ */
+Frozen.prototype.notifyRewardsAndUnstakes = (voteTransaction, orders, orderRewards) => {
+    (orderRewards || self.getOrderRewards(voteTransaction.asset.reward, orders)).forEach((orderReward) => {
+        stakeNotifier.send(orderReward.senderId || voteTransaction.senderId, 'stake/reward', {
+            stakeId: orderReward.stakeId,
+            amount: orderReward.amount,
+            transactionId: voteTransaction.id
+        });
+    });
+    orders.filter(order => order.status === 0).forEach((order) => {
+        stakeNotifier.send(self.getOrderOwner(order, voteTransaction.senderId), 'stake/unstaked', {
+            stakeId: order.id,
+            amount: order.freezedAmount,
+            transactionId: voteTransaction.id
+        });
+    });
+};
+
+/**
+ * Splits vote reward between rewarded orders in proportion to their amounts.
+ * @param {number} reward - Total reward of vote transaction.
+ * @param {Object[]} orders - Stake orders updated by the vote, with incremented `voteCount`.
+ * @return {Object[]} `stakeId` and `amount` of reward of each rewarded order.
+ */
+Frozen.prototype.getOrderRewards = (reward, orders) => {
+    const rewardedOrders = orders.filter(order =>
+        order.voteCount > 1 && order.voteCount % constants.froze.rewardVoteCount === 0
+    );
+    const rewardedAmount = rewardedOrders.reduce((sum, order) => sum + order.freezedAmount, 0);
+
+    if (!reward || !rewardedAmount) {
+        return [];
+    }
+
+    return rewardedOrders
+        .map(order => ({
+            stakeId: order.id,
+            amount: Math.floor((reward * order.freezedAmount) / rewardedAmount)
+        }))
+        .filter(orderReward => orderReward.amount > 0);
+};
+
+/**
+ * Returns owner of stake order updated by vote. Orders attached to pool
+ * are voted by pool operator on behalf of their owners.
+ * @param {Object} order
+ * @param {string} voterId - Sender of vote transaction.
+ * @return {string} address
+ */
+Frozen.prototype.getOrderOwner = (order, voterId) => (order.poolId && order.senderId ? order.senderId : voterId);
+
+/**
+ * Deducts pool commission from reward parts of orders of other pool members.
+ * Commission stays with pool operator, who is the sender of vote transaction.
+ * @param {Object[]} orderRewards - `stakeId` and `amount` of reward of each rewarded order.
+ * @param {Object[]} orders - Stake orders updated by the vote.
+ * @param {string} voterId - Sender of vote transaction.
+ * @param {number} commission - Pool commission percent.
+ * @return {Object[]} Reward parts, with `senderId` and `commission` for parts of pool members.
+ */
+Frozen.prototype.deductPoolCommission = (orderRewards, orders, voterId, commission) =>
+    orderRewards.map((orderReward) => {
+        const ownerId = self.getOrderOwner(orders.find(order => order.id === orderReward.stakeId), voterId);
+
+        if (ownerId === voterId) {
+            return orderReward;
+        }
+
+        const commissionAmount = Math.floor((orderReward.amount * commission) / 100);
+        return {
+            stakeId: orderReward.stakeId,
+            senderId: ownerId,
+            amount: orderReward.amount - commissionAmount,
+            commission: commissionAmount
+        };
+    });
+
+/**
+ * Returns reward parts of compound orders which stay active after the vote.
+ * @implements {Frozen#getOrderRewards}
+ * @param {number} reward - Total reward of vote transaction.
+ * @param {Object[]} orders - Stake orders updated by the vote, with incremented `voteCount`.
+ * @return {Object[]} `stakeId` and `amount` of each compounded reward.
+ */
+Frozen.prototype.getCompoundRewards = (reward, orders) => {
+    const compoundOrderIds = orders
+        .filter(order => order.compound && order.voteCount !== constants.froze.unstakeVoteCount)
+        .map(order => order.id);
+
+    return self.getOrderRewards(reward, orders)
+        .filter(orderReward => compoundOrderIds.includes(orderReward.stakeId));
+};
+
+/**
+ * Credits vote reward to sender balance. Reward parts of orders of pool members
+ * are credited to their owners after commission. Reward parts of compound
+ * orders are added to their amounts and stay frozen.
+ * @implements {Frozen#deductPoolCommission}
+ * @param {Object} voteTransaction
+ * @param {Object[]} [orders] - Stake orders updated by the vote.
+ * @param {number} [commission] - Commission percent of pool operated by vote sender.
+ * @return {Promise<Object[]>} Reward parts of orders.
+ */
+Frozen.prototype.applyRewards = async (voteTransaction, orders = [], commission = 0) => {
     const reward = voteTransaction.asset.reward;
+    const orderRewards = self.deductPoolCommission(
+        self.getOrderRewards(reward, orders), orders, voteTransaction.senderId, commission
+    );
+    const memberRewards = orderRewards.filter(orderReward => orderReward.senderId);
+    const membersAmount = memberRewards.reduce((sum, memberReward) => sum + memberReward.amount, 0);
+
     await self.scope.db.none(sql.updateAccountBalance, {
-        reward, senderId: voteTransaction.senderId
+        reward: reward - membersAmount, senderId: voteTransaction.senderId
     });
     await self.scope.db.none(sql.updateAccountBalance, {
         reward: -reward, senderId: self.scope.config.forging.totalSupplyAccount
     });
+
+    for (const memberReward of memberRewards) {
+        await self.scope.db.none(sql.updateAccountBalance, {
+            reward: memberReward.amount, senderId: memberReward.senderId
+        });
+        await self.scope.db.none(sql.addStakePoolReward, Object.assign({
+            transactionId: voteTransaction.id
+        }, memberReward));
+    }
+
+    const compoundedAmounts = {};
+    for (const compoundReward of self.getCompoundRewards(reward, orders)) {
+        const memberReward = memberRewards.find(orderReward => orderReward.stakeId === compoundReward.stakeId);
+        const amount = memberReward ? memberReward.amount : compoundReward.amount;
+        const ownerId = memberReward ? memberReward.senderId : voteTransaction.senderId;
+
+        if (amount) {
+            await self.scope.db.none(sql.compoundFrozeOrder, {
+                id: compoundReward.stakeId, amount
+            });
+            await self.scope.db.none(sql.addStakeCompound, {
+                transactionId: voteTransaction.id, stakeId: compoundReward.stakeId, amount
+            });
+            orders.find(order => order.id === compoundReward.stakeId).freezedAmount += amount;
+            compoundedAmounts[ownerId] = (compoundedAmounts[ownerId] || 0) + amount;
+        }
+    }
+
+    for (const ownerId of Object.keys(compoundedAmounts)) {
+        await self.scope.db.none(sql.updateFrozeAmount, {
+            reward: compoundedAmounts[ownerId], senderId: ownerId
+        });
+    }
+
+    return orderRewards;
 };
 
+/**
+ * Reverts vote reward, reward parts paid to pool members and amounts
+ * compounded into stake orders by it.
+ * @param {Object} voteTransaction
+ */
 Frozen.prototype.undoRewards = async (voteTransaction) => {
     const reward = voteTransaction.asset.reward;
+    const memberRewards = await self.scope.db.manyOrNone(sql.removeStakePoolRewards, {
+        transactionId: voteTransaction.id
+    });
+    const membersAmount = memberRewards.reduce((sum, memberReward) => sum + parseInt(memberReward.amount, 10), 0);
+
     await self.scope.db.none(sql.updateAccountBalance, {
-        reward: -reward, senderId: voteTransaction.senderId
+        reward: -(reward - membersAmount), senderId: voteTransaction.senderId
     });
     await self.scope.db.none(sql.updateAccountBalance, {
         reward, senderId: self.scope.config.forging.totalSupplyAccount
     });
+
+    for (const memberReward of memberRewards) {
+        await self.scope.db.none(sql.updateAccountBalance, {
+            reward: -parseInt(memberReward.amount, 10), senderId: memberReward.senderId
+        });
+    }
+
+    const compoundRewards = await self.scope.db.manyOrNone(sql.removeStakeCompounds, {
+        transactionId: voteTransaction.id
+    });
+    const compoundedAmounts = {};
+    for (const compoundReward of compoundRewards) {
+        const memberReward = memberRewards.find(orderReward => orderReward.stakeId === compoundReward.stakeId);
+        const ownerId = memberReward ? memberReward.senderId : voteTransaction.senderId;
+
+        await self.scope.db.none(sql.compoundFrozeOrder, {
+            id: compoundReward.stakeId, amount: -compoundReward.amount
+        });
+        compoundedAmounts[ownerId] = (compoundedAmounts[ownerId] || 0) + parseInt(compoundReward.amount, 10);
+    }
+
+    for (const ownerId of Object.keys(compoundedAmounts)) {
+        await self.scope.db.none(sql.updateFrozeAmount, {
+            reward: -compoundedAmounts[ownerId], senderId: ownerId
+        });
+    }
 };
 
+/**
+ * Sums amounts of unstaked orders by owners other than vote sender.
+ * @implements {Frozen#getOrderOwner}
+ * @param {Object[]} orders - Unstaked orders.
+ * @param {string} voterId - Sender of vote transaction.
+ * @return {Object} Unstaked amount by owner address.
+ */
+Frozen.prototype.getMembersUnstake = (orders, voterId) => orders.reduce((amounts, order) => {
+    const ownerId = self.getOrderOwner(order, voterId);
+
+    if (ownerId !== voterId) {
+        amounts[ownerId] = (amounts[ownerId] || 0) + order.freezedAmount;
+    }
+    return amounts;
+}, {});
+
+/**
+ * Disables orders unstaked by vote and releases their amounts. Amounts of
+ * pool members orders are released from their owners.
+ * @param {Object[]} orders - Stake orders updated by the vote.
+ * @param {Object} voteTransaction
+ */
 Frozen.prototype.applyUnstake = async (orders, voteTransaction) => {
     const readyToUnstakeOrders = orders.filter(o => o.voteCount === constants.froze.unstakeVoteCount);
     await Promise.all(readyToUnstakeOrders.map(async (order) => {
@@ -597,10 +985,7 @@ Frozen.prototype.applyUnstake = async (orders, voteTransaction) => {
         });
         order.status = 0;
     }));
-    await self.scope.db.none(sql.updateFrozeAmount, {
-        reward: voteTransaction.asset.unstake,
-        senderId: voteTransaction.senderId
-    });
+    await self.updateUnstakedAmounts(readyToUnstakeOrders, voteTransaction, 1);
 };
 
 Frozen.prototype.undoUnstake = async (orders, voteTransaction) => {
@@ -610,11 +995,29 @@ Frozen.prototype.undoUnstake = async (orders, voteTransaction) => {
             id: order.id
         });
     }));
+    await self.updateUnstakedAmounts(unstakedOrders, voteTransaction, -1);
+};
+
+/**
+ * @implements {Frozen#getMembersUnstake}
+ * @param {Object[]} unstakedOrders
+ * @param {Object} voteTransaction
+ * @param {number} sign - 1 on apply, -1 on undo.
+ */
+Frozen.prototype.updateUnstakedAmounts = async (unstakedOrders, voteTransaction, sign) => {
+    const membersUnstake = self.getMembersUnstake(unstakedOrders, voteTransaction.senderId);
+    const membersAmount = Object.keys(membersUnstake).reduce((sum, ownerId) => sum + membersUnstake[ownerId], 0);
 
     await self.scope.db.none(sql.updateFrozeAmount, {
-        reward: voteTransaction.asset.unstake * -1,
+        reward: (voteTransaction.asset.unstake + membersAmount) * sign,
         senderId: voteTransaction.senderId
     });
+    for (const ownerId of Object.keys(membersUnstake)) {
+        await self.scope.db.none(sql.updateFrozeAmount, {
+            reward: -membersUnstake[ownerId] * sign,
+            senderId: ownerId
+        });
+    }
 };
 
 Frozen.prototype.undoFrozeOrdersRewardAndUnstake = async function (voteTransaction) {
@@ -1,21 +1,39 @@
-import { Account, Transaction, TransactionStatus } from 'src/helpers/types';
+import {
+    Account,
+    Transaction,
+    TransactionPoolPushReason,
+    TransactionPoolPushResult,
+    TransactionQueueResult,
+    TransactionStatus
+} from 'src/helpers/types';
 import { generateAddressByPublicKey, getOrCreateAccount } from 'src/helpers/account.utils';
-import { transactionSortFunc } from 'src/helpers/transaction.utils';
+import { getTransactionTransfers, transactionSortFunc } from 'src/helpers/transaction.utils';
 import * as constants from 'src/helpers/constants.js';
 import * as transactionTypes from 'src/helpers/transactionTypes.js';
 import { AccountSessions } from 'src/helpers/accountSessions';
+import { TransactionStatusTracker } from 'src/helpers/transactionStatusTracker';
+import TransactionJournal from 'src/logic/transactionJournal';
 
 declare class TransactionPoolScope {
     logger: any;
     transactionLogic: any;
     db: any;
     bus: any;
+    config: any;
+    transactionJournal: TransactionJournal;
+}
+
+class TransactionPoolCapacity extends TransactionPoolPushResult {
+    evicted?: Transaction;
 }
 
 class TransactionPool {
 
     private pool: { [transactionId: string]: Transaction } = {};
 
+    // Fee per byte of pool transactions, computed once on push
+    private feePerByte: { [transactionId: string]: number } = {};
+
     poolByRecipient: { [recipientId: string]: Array<Transaction> } = {};
     poolBySender: { [senderId: string]: Array<Transaction> } = {};
 
@@ -23,11 +41,17 @@ class TransactionPool {
 
     scope: TransactionPoolScope = {} as TransactionPoolScope;
 
-    constructor({ transactionLogic, logger, db, bus }: TransactionPoolScope) {
+    private statusTracker: TransactionStatusTracker = TransactionStatusTracker.getInstance();
+
+    private accountSessions: AccountSessions = AccountSessions.getInstance();
+
+    constructor({ transactionLogic, logger, db, bus, config, transactionJournal }: TransactionPoolScope) {
         this.scope.transactionLogic = transactionLogic;
         this.scope.logger = logger;
         this.scope.db = db;
         this.scope.bus = bus;
+        this.scope.config = config;
+        this.scope.transactionJournal = transactionJournal;
     }
 
     lock(): void {
@@ -74,52 +98,147 @@ class TransactionPool {
         return removedTransactions;
     }
 
-    async push(trs: Transaction, broadcast: boolean = false, force: boolean = false) {
+    getFeePerByte(trs: Transaction): number {
+        if (this.feePerByte[trs.id] !== undefined) {
+            return this.feePerByte[trs.id];
+        }
+        return (trs.fee || 0) / this.scope.transactionLogic.getBytes(trs).length;
+    }
+
+    // Recipient's own transactions in pool can depend on received amount, so they are not evicted
+    getEvictionCandidate(): Transaction {
+        let candidate: Transaction = null;
+        let candidateFeePerByte: number = Infinity;
+
+        Object.values(this.pool).forEach((trs: Transaction) => {
+            const hasDependent = getTransactionTransfers(trs).some(({ recipientId }) =>
+                (this.poolBySender[recipientId] || []).length > 0
+            );
+            if (hasDependent) {
+                return;
+            }
+            const feePerByte = this.feePerByte[trs.id];
+            if (feePerByte < candidateFeePerByte) {
+                candidate = trs;
+                candidateFeePerByte = feePerByte;
+            }
+        });
+
+        return candidate;
+    }
+
+    // Transactions of sender waiting in queues are counted by queue
+    isSenderQuotaExceeded(senderId: string, queued: number = 0): boolean {
+        return (this.poolBySender[senderId] || []).length + queued >= this.scope.config.transactions.maxTxsPerSender;
+    }
+
+    checkCapacity(trs: Transaction): TransactionPoolCapacity {
+        const { maxTxsPerPool } = this.scope.config.transactions;
+
+        if (this.isSenderQuotaExceeded(trs.senderId)) {
+            return { success: false, reason: TransactionPoolPushReason.SENDER_QUOTA };
+        }
+
+        if (this.getSize() < maxTxsPerPool) {
+            return { success: true };
+        }
+
+        const candidate = this.getEvictionCandidate();
+        if (!candidate || this.getFeePerByte(candidate) >= this.getFeePerByte(trs)) {
+            return { success: false, reason: TransactionPoolPushReason.POOL_FULL };
+        }
+
+        return { success: true, reason: TransactionPoolPushReason.EVICTED_LOWER_FEE, evicted: candidate };
+    }
+
+    async push(
+        trs: Transaction, broadcast: boolean = false, force: boolean = false
+    ): Promise<TransactionPoolPushResult> {
         if ((this.locked && !force)) {
-            return false;
+            return { success: false };
         }
 
         if (this.has(trs)) {
             this.scope.logger.error(`[TransactionPool][tryToPushExisted][has]: ${JSON.stringify(trs)}`);
-            return false;
+            return { success: false };
         }
 
         if (this.isPotentialConflict(trs)) {
             delete this.pool[trs.id];
-            return false;
+            return { success: false };
+        }
+
+        let capacity: TransactionPoolCapacity = { success: true };
+        if (!force) {
+            capacity = this.checkCapacity(trs);
+            if (!capacity.success) {
+                this.scope.logger.debug(`[TransactionPool][push][${capacity.reason}]: ${trs.id}`);
+                return { success: false, reason: capacity.reason };
+            }
         }
 
         this.pool[trs.id] = trs;
-        trs.status = TransactionStatus.PUT_IN_POOL;
+        this.feePerByte[trs.id] = this.getFeePerByte(trs);
+        this.statusTracker.set(trs, TransactionStatus.PUT_IN_POOL);
 
         if (!this.poolBySender[trs.senderId]) {
             this.poolBySender[trs.senderId] = [];
         }
         this.poolBySender[trs.senderId].push(trs);
 
-        if (trs.type === transactionTypes.SEND) {
-            if (!this.poolByRecipient[trs.recipientId]) {
-                this.poolByRecipient[trs.recipientId] = [];
+        getTransactionTransfers(trs).forEach(({ recipientId }) => {
+            if (!this.poolByRecipient[recipientId]) {
+                this.poolByRecipient[recipientId] = [];
             }
-            this.poolByRecipient[trs.recipientId].push(trs);
-        }
+            this.poolByRecipient[recipientId].push(trs);
+        });
 
         try {
             await this.scope.transactionLogic.newApplyUnconfirmed(trs);
-            trs.status = TransactionStatus.UNCOFIRM_APPLIED;
+            this.statusTracker.set(trs, TransactionStatus.UNCOFIRM_APPLIED);
             this.scope.logger.debug(`TransactionStatus.UNCONFIRM_APPLIED ${JSON.stringify(trs)}`);
         } catch (e) {
             delete this.pool[trs.id];
-            trs.status = TransactionStatus.DECLINED;
+            delete this.feePerByte[trs.id];
+            this.removeFromIndexes(trs);
+            await this.scope.transactionJournal.remove(trs);
+            this.statusTracker.set(trs, TransactionStatus.DECLINED, e.message || String(e));
             this.scope.logger.error(`[TransactionPool][push]: ${e}`);
             this.scope.logger.error(`[TransactionPool][push][stack]:\n${e.stack}`);
-            return false;
+            return { success: false, error: e.message || String(e) };
+        }
+
+        // Evicted only once new transaction is applied, so failed push keeps it in pool
+        if (capacity.evicted) {
+            await this.remove(capacity.evicted);
+            this.statusTracker.set(capacity.evicted, TransactionStatus.DECLINED, `Evicted by transaction ${trs.id}`);
+            this.scope.logger.debug(
+                `[TransactionPool][push][evict]: ${capacity.evicted.id} replaced by ${trs.id}`
+            );
+            this.sendEvictedMessage(capacity.evicted, trs);
+        }
+
+        // Forced transactions bypass the queue, e.g. returned from a deleted block
+        if (force) {
+            await this.scope.transactionJournal.save(trs);
         }
 
         if (broadcast) {
             this.scope.bus.message('transactionPutInPool', trs);
         }
-        return true;
+        return { success: true, reason: capacity.reason };
+    }
+
+    sendEvictedMessage(evicted: Transaction, trs: Transaction) {
+        this.accountSessions.send(evicted.senderId, 'pool/verify', {
+            verified: false,
+            error: `Transaction ${evicted.id} is evicted by ${trs.id} with higher fee per byte`,
+            evicted: {
+                id: evicted.id,
+                evictedBy: trs.id,
+                reason: TransactionPoolPushReason.EVICTED_LOWER_FEE
+            }
+        });
     }
 
     async remove(trs: Transaction) {
@@ -135,14 +254,21 @@ class TransactionPool {
         }
 
         delete this.pool[trs.id];
+        delete this.feePerByte[trs.id];
+        await this.scope.transactionJournal.remove(trs);
 
-        this.poolBySender[trs.senderId] = this.poolBySender[trs.senderId].filter(t => t.id !== trs.id);
-
-        this.poolByRecipient[trs.recipientId] =
-            (this.poolByRecipient[trs.recipientId] || []).filter(t => t.id !== trs.id);
+        this.removeFromIndexes(trs);
         return true;
     }
 
+    private removeFromIndexes(trs: Transaction): void {
+        this.poolBySender[trs.senderId] = (this.poolBySender[trs.senderId] || []).filter(t => t.id !== trs.id);
+
+        getTransactionTransfers(trs).forEach(({ recipientId }) => {
+            this.poolByRecipient[recipientId] = (this.poolByRecipient[recipientId] || []).filter(t => t.id !== trs.id);
+        });
+    }
+
     get(id: string): Transaction {
         return this.pool[id];
     }
@@ -157,7 +283,25 @@ class TransactionPool {
         return Boolean(this.pool[trs.id]);
     }
 
+    // Transaction of the same sender signed with the same salt is a candidate for replace-by-fee
+    getBySalt(senderId: string, salt: string): Transaction {
+        return this.getTransactionsBySenderId(senderId).find((trs: Transaction) => trs.salt === salt);
+    }
+
+    async removeExpired(): Promise<Array<Transaction>> {
+        const expired = Object.values(this.pool).filter(trs => this.scope.transactionLogic.isExpired(trs));
+        for (const trs of expired) {
+            await this.remove(trs);
+            this.statusTracker.set(trs, TransactionStatus.EXPIRED);
+        }
+
+        return expired;
+    }
+
     async popSortedUnconfirmedTransactions(limit: number): Promise<Array<Transaction>> {
+        // Sweep job can be behind, expired transaction makes block invalid
+        await this.removeExpired();
+
         const transactions = Object.values(this.pool).sort(transactionSortFunc).slice(0, limit);
         for (const trs of transactions) {
             await this.remove(trs);
@@ -187,6 +331,42 @@ class TransactionPool {
             return true;
         }
 
+        // Unstake changes stake orders which votes reward and unstake
+        if (
+            trs.type === transactionTypes.UNSTAKE &&
+            dependTransactions.find((t: Transaction) =>
+                t.type === transactionTypes.UNSTAKE || t.type === transactionTypes.VOTE
+            )
+        ) {
+            return true;
+        }
+
+        if (
+            trs.type === transactionTypes.VOTE &&
+            dependTransactions.find((t: Transaction) => t.type === transactionTypes.UNSTAKE)
+        ) {
+            return true;
+        }
+
+        // Pool membership changes stake orders which operator votes reward and unstake
+        if (
+            (trs.type === transactionTypes.STAKE_POOL_JOIN || trs.type === transactionTypes.STAKE_POOL_LEAVE) &&
+            dependTransactions.find((t: Transaction) =>
+                t.type === transactionTypes.UNSTAKE ||
+                t.type === transactionTypes.STAKE_POOL_JOIN ||
+                t.type === transactionTypes.STAKE_POOL_LEAVE
+            )
+        ) {
+            return true;
+        }
+
+        if (
+            trs.type === transactionTypes.STAKE_POOL &&
+            dependTransactions.find((t: Transaction) => t.type === transactionTypes.STAKE_POOL)
+        ) {
+            return true;
+        }
+
         if (
             trs.type === transactionTypes.REFERRAL &&
             dependTransactions.find((t: Transaction) => t.type === transactionTypes.REFERRAL)
@@ -194,6 +374,23 @@ class TransactionPool {
             return true;
         }
 
+        // Referral chain can be changed only before the first stake
+        if (
+            trs.type === transactionTypes.REFERRAL_CHANGE &&
+            dependTransactions.find((t: Transaction) =>
+                t.type === transactionTypes.REFERRAL_CHANGE || t.type === transactionTypes.STAKE
+            )
+        ) {
+            return true;
+        }
+
+        if (
+            trs.type === transactionTypes.STAKE &&
+            dependTransactions.find((t: Transaction) => t.type === transactionTypes.REFERRAL_CHANGE)
+        ) {
+            return true;
+        }
+
         dependTransactions.push(trs);
         dependTransactions.sort(transactionSortFunc);
         return dependTransactions.indexOf(trs) !== (dependTransactions.length - 1);
@@ -203,6 +400,16 @@ class TransactionPool {
         return Object.keys(this.pool).length;
     }
 
+    // Airdrop reward of stake and vote transactions waiting for block, not available to new ones
+    getReservedAirdropReward(): number {
+        return Object.values(this.pool).reduce((reserved: number, trs: Transaction) => {
+            const airdropReward = trs.asset && trs.asset.airdropReward;
+            return airdropReward && airdropReward.withAirdropReward
+                ? reserved + (airdropReward.totalReward || 0)
+                : reserved;
+        }, 0);
+    }
+
     getTransactions = (
         { limit = constants.maxSharedTxs, senderPublicKey }: { limit: number, senderPublicKey: string }
     ): { transactions: Array<Transaction>, count: number } => {
@@ -234,6 +441,7 @@ declare class TransactionQueueScope {
     logger: any;
     db: any;
     network: any;
+    transactionJournal: TransactionJournal;
 }
 
 export class TransactionQueue {
@@ -241,18 +449,26 @@ export class TransactionQueue {
     private queue: Array<Transaction> = [];
     private conflictedQueue: Array<{ transaction: Transaction, expire: number }> = [];
 
+    // Callers waiting for outcome of new transactions, resolved once transaction leaves the queue
+    private waiting: { [transactionId: string]: Array<(result: TransactionQueueResult) => void> } = {};
+
     private scope: TransactionQueueScope = {} as TransactionQueueScope;
 
     private locked: boolean = false;
 
     private accountSessions: AccountSessions = AccountSessions.getInstance();
 
-    constructor({ transactionLogic, transactionPool, logger, db, network }: TransactionQueueScope) {
+    private statusTracker: TransactionStatusTracker = TransactionStatusTracker.getInstance();
+
+    constructor(
+        { transactionLogic, transactionPool, logger, db, network, transactionJournal }: TransactionQueueScope
+    ) {
         this.scope.transactionLogic = transactionLogic;
         this.scope.transactionPool = transactionPool;
         this.scope.logger = logger;
         this.scope.db = db;
         this.scope.network = network;
+        this.scope.transactionJournal = transactionJournal;
     }
 
     lock(): void {
@@ -283,8 +499,93 @@ export class TransactionQueue {
         return this.hasInQueue(trs) || this.hasInConflictedQueue(trs);
     }
 
+    getConflictedById(id: string): Transaction {
+        const conflicted = this.conflictedQueue.find(obj => obj.transaction.id === id);
+        return conflicted ? conflicted.transaction : null;
+    }
+
+    getConflictedBySalt(senderId: string, salt: string): Transaction {
+        const conflicted = this.conflictedQueue.find(obj =>
+            obj.transaction.salt === salt &&
+            generateAddressByPublicKey(obj.transaction.senderPublicKey) === senderId
+        );
+        return conflicted ? conflicted.transaction : null;
+    }
+
+    getReplaceable(trs: Transaction): Transaction {
+        const senderId = generateAddressByPublicKey(trs.senderPublicKey);
+        const replaceable = this.scope.transactionPool.getBySalt(senderId, trs.salt) ||
+            this.getConflictedBySalt(senderId, trs.salt);
+
+        return replaceable && replaceable.id !== trs.id ? replaceable : null;
+    }
+
+    async removeReplaceable(trs: Transaction, replaceable: Transaction): Promise<boolean> {
+        const sender = await getOrCreateAccount(this.scope.db, trs.senderPublicKey);
+
+        if (!this.scope.transactionLogic.canReplace(trs, replaceable, sender)) {
+            const replaceableFee = this.scope.transactionLogic.calculateUnconfirmedFee(replaceable, sender);
+            this.sendVerifiedMessage(
+                sender.address,
+                false,
+                `Fee of replacing transaction must be greater than ${replaceableFee}`
+            );
+            return false;
+        }
+
+        if (this.hasInConflictedQueue(replaceable)) {
+            this.conflictedQueue = this.conflictedQueue.filter(obj => obj.transaction.id !== replaceable.id);
+            await this.scope.transactionJournal.remove(replaceable);
+        } else {
+            await this.scope.transactionPool.remove(replaceable);
+        }
+        this.statusTracker.set(replaceable, TransactionStatus.DECLINED, `Replaced by transaction ${trs.id}`);
+        this.scope.logger.debug(`[TransactionQueue][replace]: ${replaceable.id} replaced by ${trs.id}`);
+        this.sendReplacedMessage(sender.address, replaceable, trs);
+        return true;
+    }
+
+    getSenderCount(senderId: string): number {
+        return this.queue.filter(trs => generateAddressByPublicKey(trs.senderPublicKey) === senderId).length +
+            this.conflictedQueue.filter(obj =>
+                generateAddressByPublicKey(obj.transaction.senderPublicKey) === senderId
+            ).length;
+    }
+
+    // New transactions are counted to sender quota with ones waiting in queues and pool
+    enqueue(trs: Transaction): Promise<TransactionQueueResult> {
+        const senderId = generateAddressByPublicKey(trs.senderPublicKey);
+        if (
+            !this.has(trs) &&
+            this.scope.transactionPool.isSenderQuotaExceeded(senderId, this.getSenderCount(senderId))
+        ) {
+            this.statusTracker.set(trs, TransactionStatus.DECLINED, TransactionPoolPushReason.SENDER_QUOTA);
+            return Promise.resolve({
+                success: false,
+                status: TransactionStatus.DECLINED,
+                reason: TransactionPoolPushReason.SENDER_QUOTA
+            });
+        }
+
+        const result = new Promise<TransactionQueueResult>((resolve) => {
+            this.waiting[trs.id] = [...(this.waiting[trs.id] || []), resolve];
+        });
+        this.push(trs);
+
+        if (this.locked) {
+            this.settle(trs, { success: true, status: TransactionStatus.QUEUED });
+        }
+        return result;
+    }
+
+    settle(trs: Transaction, result: TransactionQueueResult): void {
+        (this.waiting[trs.id] || []).forEach(resolve => resolve(result));
+        delete this.waiting[trs.id];
+    }
+
     push(trs: Transaction): void {
-        trs.status = TransactionStatus.QUEUED;
+        this.statusTracker.set(trs, TransactionStatus.QUEUED);
+        this.scope.transactionJournal.save(trs);
         this.queue.push(trs);
         if (this.queue.length === 1) {
             this.process();
@@ -298,10 +599,34 @@ export class TransactionQueue {
             transaction: trs,
             expire: Math.floor(new Date().getTime() / 1000) + constants.TRANSACTION_QUEUE_EXPIRE
         });
-        trs.status = TransactionStatus.QUEUED_AS_CONFLICTED;
+        this.statusTracker.set(trs, TransactionStatus.QUEUED_AS_CONFLICTED);
         this.scope.logger.debug(`TransactionStatus.QUEUED_AS_CONFLICTED ${JSON.stringify(trs)}`);
     }
 
+    async removeExpired(): Promise<Array<Transaction>> {
+        const isExpired = (trs: Transaction) => this.scope.transactionLogic.isExpired(trs);
+        const expired = [
+            ...this.queue.filter(isExpired),
+            ...this.conflictedQueue.map(obj => obj.transaction).filter(isExpired)
+        ];
+
+        if (expired.length === 0) {
+            return expired;
+        }
+
+        this.queue = this.queue.filter(trs => !isExpired(trs));
+        this.conflictedQueue = this.conflictedQueue.filter(obj => !isExpired(obj.transaction));
+
+        for (const trs of expired) {
+            this.statusTracker.set(trs, TransactionStatus.EXPIRED);
+            this.settle(trs, { success: false, status: TransactionStatus.EXPIRED, error: 'Transaction is expired' });
+            await this.scope.transactionJournal.remove(trs);
+            this.sendVerifiedMessage(generateAddressByPublicKey(trs.senderPublicKey), false, 'Transaction is expired');
+        }
+
+        return expired;
+    }
+
     // TODO can be optimized if check senderId and recipientId
     reshuffle() {
         while (this.conflictedQueue.length > 0) {
@@ -317,12 +642,23 @@ export class TransactionQueue {
         const trs = this.pop();
 
         if (this.scope.transactionPool.has(trs)) {
+            this.settle(trs, { success: true, status: TransactionStatus.PUT_IN_POOL });
+            return;
+        }
+
+        const replaceable = this.getReplaceable(trs);
+        if (replaceable && !(await this.removeReplaceable(trs, replaceable))) {
+            const error = `Fee is not enough to replace ${replaceable.id}`;
+            this.statusTracker.set(trs, TransactionStatus.DECLINED, error);
+            this.settle(trs, { success: false, status: TransactionStatus.DECLINED, error });
+            await this.scope.transactionJournal.remove(trs);
+            this.process();
             return;
         }
 
         if (this.scope.transactionPool.isPotentialConflict(trs)) {
             this.pushInConflictedQueue(trs);
-            // notify in socket
+            this.settle(trs, { success: true, status: TransactionStatus.QUEUED_AS_CONFLICTED });
             this.process();
             return;
         }
@@ -333,22 +669,51 @@ export class TransactionQueue {
         const verifyStatus = await this.verify(trs, sender);
 
         if (!verifyStatus.verified) {
-            trs.status = TransactionStatus.DECLINED;
-            // notify in socket
+            const error: any = verifyStatus.error[0];
+            this.statusTracker.set(trs, TransactionStatus.DECLINED, String(error));
+            this.settle(trs, {
+                success: false,
+                status: TransactionStatus.DECLINED,
+                error: (error && error.message) || String(error)
+            });
+            await this.scope.transactionJournal.remove(trs);
+            if (replaceable) {
+                this.push(replaceable);
+            }
             this.process();
             return;
         }
 
-        trs.status = TransactionStatus.VERIFIED;
+        this.statusTracker.set(trs, TransactionStatus.VERIFIED);
         this.scope.logger.debug(`TransactionStatus.VERIFIED ${JSON.stringify(trs)}`);
 
         if (!this.locked) {
             const pushed = await this.scope.transactionPool.push(trs, true, false);
-            if (pushed) {
+            if (pushed.success) {
+                this.settle(trs, { success: true, status: TransactionStatus.PUT_IN_POOL, reason: pushed.reason });
+                this.process();
+                return;
+            }
+
+            // Only a pool locked by block processing is waited for, other failures are final
+            if (!this.scope.transactionPool.getLockStatus()) {
+                const error = pushed.reason || pushed.error || 'Transaction is not put in pool';
+                if (trs.status !== TransactionStatus.DECLINED) {
+                    this.statusTracker.set(trs, TransactionStatus.DECLINED, error);
+                }
+                this.settle(trs, {
+                    success: false,
+                    status: TransactionStatus.DECLINED,
+                    reason: pushed.reason,
+                    error: pushed.error
+                });
+                await this.scope.transactionJournal.remove(trs);
+                this.sendVerifiedMessage(sender.address, false, error);
                 this.process();
                 return;
             }
         }
+        this.settle(trs, { success: true, status: TransactionStatus.QUEUED });
         this.push(trs);
         this.process();
     }
@@ -386,6 +751,15 @@ export class TransactionQueue {
         };
     }
 
+    getConflictedTransactions(
+        { limit, offset }: { limit: number, offset: number }
+    ): { transactions: Array<{ transaction: Transaction, expire: number }>, count: number } {
+        return {
+            transactions: this.conflictedQueue.slice(offset, offset + limit),
+            count: this.conflictedQueue.length
+        };
+    }
+
     getSize(): { conflictedQueue: number, queue: number } {
         return { conflictedQueue: this.conflictedQueue.length, queue: this.queue.length };
     }
@@ -396,6 +770,17 @@ export class TransactionQueue {
             error
         });
     }
+
+    sendReplacedMessage(address: string, replaced: Transaction, trs: Transaction) {
+        this.accountSessions.send(address, 'pool/verify', {
+            verified: false,
+            error: `Transaction ${replaced.id} is replaced by ${trs.id}`,
+            replaced: {
+                id: replaced.id,
+                replacedBy: trs.id
+            }
+        });
+    }
 }
 
 export default TransactionPool;
@@ -0,0 +1,347 @@
+const constants = require('../helpers/constants.js');
+const transactionTypes = require('../helpers/transactionTypes.js');
+const sql = require('../sql/referal_sql.js');
+const accountSql = require('../sql/accounts.js');
+const { LENGTH, writeUInt64LE } = require('../helpers/buffer.js');
+
+// Private fields
+const __private = {};
+let self;
+let library;
+
+/**
+ * Referral change logic. Account sets or corrects its introducer before
+ * its first stake. Referral chain of account is rebuilt from chain of the new
+ * introducer, and chains of its downline are rebuilt from the new one,
+ * all capped by depth of referral rewards.
+ * @memberof module:referrals
+ * @class
+ * @classdesc Main referral change logic.
+ * @param {ZSchema} schema
+ * @param {Database} db
+ */
+// Constructor
+function ReferralChange(schema, db) {
+    self = this;
+    library = {
+        schema,
+        db
+    };
+}
+
+// Private methods
+/**
+ * @private
+ * @param {string} address
+ * @return {Promise<null|string[]>} Referral chain of address, null if it has no chain.
+ */
+__private.getLevel = async (address) => {
+    const row = await library.db.oneOrNone(sql.referLevelChain, { address });
+
+    return row ? (row.level || []) : null;
+};
+
+/**
+ * Follows direct introducers up from address, unlike referral chain it is not
+ * capped by depth of referral rewards.
+ * @private
+ * @param {string} address
+ * @return {Promise<string[]>} Introducers of address, the direct one first.
+ */
+__private.getUpline = async (address) => {
+    const rows = await library.db.manyOrNone(sql.getUpline, { address });
+
+    return rows.map(row => row.address);
+};
+
+/**
+ * Writes referral chain of address and rebuilds chains of its downline.
+ * Chain is removed if it is null.
+ * @private
+ * @param {string} address
+ * @param {null|string[]} level
+ */
+__private.setLevel = async (address, level) => {
+    if (level) {
+        await library.db.none(sql.setLevelChain, { address, level });
+    } else {
+        await library.db.none(sql.removeLevelChain, { address });
+    }
+
+    await library.db.none(sql.rebaseDownlineLevelChains, {
+        address,
+        level: level || [],
+        depth: constants.airdrop.referralPercentPerLevel.length
+    });
+};
+
+// Public methods
+/**
+ * Assigns new introducer to transaction asset.
+ * @param {Object} data
+ * @param {transaction} trs
+ * @return {transaction} trs with assigned data
+ */
+ReferralChange.prototype.create = function (data, trs) {
+    trs.recipientId = null;
+    trs.asset.referralChange = {
+        referral: data.referral
+    };
+    trs.trsName = 'REFERRAL_CHANGE';
+    return trs;
+};
+
+/**
+ * @return {number} fee
+ */
+ReferralChange.prototype.calculateFee = () => constants.fees.referralchange;
+
+/**
+ * Builds referral chain of account introduced by referral.
+ * @param {string} referral - Address of introducer.
+ * @param {string[]} referralLevel - Referral chain of introducer.
+ * @return {string[]}
+ */
+ReferralChange.prototype.buildLevel = (referral, referralLevel) =>
+    [referral, ...referralLevel].slice(0, constants.airdrop.referralPercentPerLevel.length);
+
+/**
+ * Checks that sender has never staked and new introducer is another
+ * existing account outside of sender downline. Chains are read at the parent
+ * block, so the block may not change introducer of sender or of account
+ * in upline of new introducer by another transaction before this one.
+ * @param {transaction} trs
+ * @param {Object} [block] - Block containing the transaction.
+ * @throws {Error} Sender has staked, invalid introducer.
+ */
+ReferralChange.prototype.verifyChange = async (trs, block) => {
+    const { referral } = trs.asset.referralChange;
+
+    if (referral === trs.senderId) {
+        throw new Error('Account can not introduce itself');
+    }
+
+    if (await library.db.oneOrNone(sql.getFirstStakeOrder, { senderId: trs.senderId })) {
+        throw new Error('Referral can not be changed after the first stake');
+    }
+
+    if (!await library.db.oneOrNone(accountSql.getUserByAddress, { address: referral })) {
+        throw new Error(`Referral account ${referral} not found`);
+    }
+
+    const level = await __private.getLevel(trs.senderId);
+
+    if (level && level[0] === referral) {
+        throw new Error(`Account is already introduced by ${referral}`);
+    }
+
+    const upline = [referral, ...await __private.getUpline(referral)];
+
+    if (upline.indexOf(trs.senderId) !== -1) {
+        throw new Error('Referral can not be a member of account downline');
+    }
+
+    if (block && block.transactions) {
+        const index = block.transactions.findIndex(blockTrs => blockTrs.id === trs.id);
+        const changed = block.transactions.slice(0, index).some(blockTrs =>
+            blockTrs.type === transactionTypes.REFERRAL_CHANGE &&
+            (blockTrs.senderId === trs.senderId || upline.indexOf(blockTrs.senderId) !== -1)
+        );
+
+        if (changed) {
+            throw new Error('Referral chain is already changed in block');
+        }
+    }
+};
+
+ReferralChange.prototype.newVerify = async (trs, sender, block) => {
+    if (trs.recipientId) {
+        throw new Error('Invalid recipient');
+    }
+
+    if (trs.amount !== 0) {
+        throw new Error('Invalid transaction amount');
+    }
+
+    await self.verifyChange(trs, block);
+};
+
+ReferralChange.prototype.newVerifyUnconfirmed = async () => {};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb, null, trs
+ */
+ReferralChange.prototype.process = function (trs, sender, cb) {
+    return setImmediate(cb, null, trs);
+};
+
+/**
+ * Writes numeric part of new introducer address.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+ReferralChange.prototype.getBytes = function (trs) {
+    const buff = Buffer.alloc(LENGTH.INT64);
+
+    writeUInt64LE(buff, parseInt(trs.asset.referralChange.referral.slice(3), 10) || 0, 0);
+    return buff;
+};
+
+/**
+ * Keeps previous referral chain of sender and rebuilds chains from the new introducer.
+ * Change is checked by `newVerify`, so apply does not fail and `undo` restores it exactly.
+ * @param {transaction} trs
+ */
+ReferralChange.prototype.apply = async (trs) => {
+    const { referral } = trs.asset.referralChange;
+    const previousLevel = await __private.getLevel(trs.senderId);
+    const level = self.buildLevel(referral, await __private.getLevel(referral) || []);
+
+    await library.db.none(sql.addReferralChangeLevel, {
+        transactionId: trs.id,
+        address: trs.senderId,
+        previousLevel
+    });
+    await __private.setLevel(trs.senderId, level);
+};
+
+/**
+ * Restores previous referral chain of sender and chains of its downline.
+ * @param {transaction} trs
+ */
+ReferralChange.prototype.undo = async (trs) => {
+    const row = await library.db.oneOrNone(sql.removeReferralChangeLevel, { transactionId: trs.id });
+
+    if (row) {
+        await __private.setLevel(row.address, row.previousLevel);
+    }
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+ReferralChange.prototype.applyUnconfirmed = function (trs, sender, cb) {
+    return setImmediate(cb);
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+ReferralChange.prototype.undoUnconfirmed = function (trs, sender, cb) {
+    return setImmediate(cb);
+};
+
+ReferralChange.prototype.calcUndoUnconfirmed = (trs, sender) => sender;
+
+/**
+ * @typedef {Object} referralChange
+ * @property {string} referral - Address of new introducer.
+ */
+ReferralChange.prototype.schema = {
+    id: 'ReferralChange',
+    type: 'object',
+    properties: {
+        referralChange: {
+            type: 'object',
+            properties: {
+                referral: {
+                    type: 'string',
+                    format: 'address',
+                    minLength: 1,
+                    maxLength: 25
+                }
+            },
+            required: ['referral']
+        }
+    },
+    required: ['referralChange']
+};
+
+/**
+ * Validates asset schema.
+ * @implements {library.schema.validate}
+ * @param {transaction} trs
+ * @return {transaction}
+ * @throws {string} Failed to validate referral change schema.
+ */
+ReferralChange.prototype.objectNormalize = function (trs) {
+    const report = library.schema.validate(trs.asset, ReferralChange.prototype.schema);
+
+    if (!report) {
+        throw `Failed to validate referral change schema: ${library.schema.getLastErrors()
+            .map(err => err.message).join(', ')}`;
+    }
+
+    return trs;
+};
+
+/**
+ * Creates referral change object based on raw data.
+ * @param {Object} raw
+ * @return {null|referralChange}
+ */
+ReferralChange.prototype.dbRead = function (raw) {
+    if (!raw.rc_referral) {
+        return null;
+    }
+
+    return {
+        referralChange: {
+            referral: raw.rc_referral
+        }
+    };
+};
+
+ReferralChange.prototype.dbTable = 'referral_changes';
+
+ReferralChange.prototype.dbFields = [
+    'transactionId',
+    'referral'
+];
+
+/**
+ * Creates db operation object to 'referral_changes' table.
+ * @param {transaction} trs
+ * @return {Object} table, fields, values.
+ */
+ReferralChange.prototype.dbSave = function (trs) {
+    return {
+        table: this.dbTable,
+        fields: this.dbFields,
+        values: {
+            transactionId: trs.id,
+            referral: trs.asset.referralChange.referral
+        }
+    };
+};
+
+/**
+ * Checks sender multisignatures and transaction signatures.
+ * @param {transaction} trs
+ * @param {account} sender
+ * @return {boolean} True if transaction signatures greather than
+ * sender multimin or there are not sender multisignatures.
+ */
+ReferralChange.prototype.ready = function (trs, sender) {
+    if (Array.isArray(sender.multisignatures) && sender.multisignatures.length) {
+        if (!Array.isArray(trs.signatures)) {
+            return false;
+        }
+        return trs.signatures.length >= sender.multimin;
+    }
+    return true;
+};
+
+// Export
+module.exports = ReferralChange;
+
+/** ************************************* END OF FILE ************************************ */
@@ -16,6 +16,7 @@ function Round(scope, t) {
     this.scope = {
         backwards: scope.backwards,
         round: scope.round,
+        prevRound: scope.prevRound,
         roundOutsiders: scope.roundOutsiders,
         roundDelegates: scope.roundDelegates,
         roundFees: scope.roundFees,
@@ -30,6 +31,8 @@ function Round(scope, t) {
             generatorPublicKey: scope.block.generatorPublicKey,
             id: scope.block.id,
             height: scope.block.height,
+            timestamp: scope.block.timestamp,
+            previousBlock: scope.block.previousBlock,
         },
     };
     this.t = t;
@@ -121,6 +124,57 @@ Round.prototype.markBlockId = function () {
     return this.t;
 };
 
+/**
+ * Calls sql releaseLockedTransfers: unlocks amounts of locked send transactions
+ * which unlock height or time is reached by block.
+ * @return {function} Promise
+ */
+Round.prototype.releaseLockedTransfers = function () {
+    return this.t.none(sql.releaseLockedTransfers, {
+        blockId: this.scope.block.id,
+        height: this.scope.block.height,
+        timestamp: this.scope.block.timestamp
+    });
+};
+
+/**
+ * Calls sql restoreLockedTransfers: locks again amounts released by block.
+ * @return {function} Promise
+ */
+Round.prototype.restoreLockedTransfers = function () {
+    return this.t.none(sql.restoreLockedTransfers, { blockId: this.scope.block.id });
+};
+
+/**
+ * Calls sql applyStakeStats: adds staking statistics of block to its round,
+ * staked amount and stakeholders are taken as of block.
+ * @return {function} Promise
+ */
+Round.prototype.applyStakeStats = function () {
+    return this.t.none(sql.applyStakeStats, {
+        round: this.scope.round,
+        timestamp: this.scope.block.timestamp,
+        blockId: this.scope.block.id
+    });
+};
+
+/**
+ * Calls sql revertStakeStats: removes staking statistics of block from its round,
+ * or removeStakeStats if block is the first one of round.
+ * @return {function} Promise
+ */
+Round.prototype.revertStakeStats = function () {
+    if (this.scope.prevRound !== this.scope.round) {
+        return this.t.none(sql.removeStakeStats, { round: this.scope.round });
+    }
+
+    return this.t.none(sql.revertStakeStats, {
+        round: this.scope.round,
+        blockId: this.scope.block.id,
+        previousBlockId: this.scope.block.previousBlock
+    });
+};
+
 /**
  * Calls sql flush: deletes round from `mem_round` table.
  * @return {function} Promise
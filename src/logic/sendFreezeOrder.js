@@ -1,7 +1,6 @@
 let constants = require('../helpers/constants.js');
 let sql = require('../sql/frogings.js');
 let async = require('async');
-let utils = require('../utils');
 const promise = require('bluebird');
 const utils = require('../utils');
 
@@ -319,6 +318,7 @@ SendFreezeOrder.prototype.sendFreezedOrder = async function (userAndOrderData, c
         const newOrder = await self.scope.db.one(sql.createNewFrozeOrder,
             {
                 id: userAndOrderData.trsId,
+                parentId: order.id,
                 startTime: order.startTime,
                 insertTime: order.insertTime,
                 senderId: userAndOrderData.recipientId,
@@ -0,0 +1,245 @@
+const constants = require('../helpers/constants.js');
+const sql = require('../sql/frogings.js');
+const { LENGTH, writeInt8 } = require('../helpers/buffer.js');
+
+// Private fields
+let library;
+
+/**
+ * Staking pool registration logic. Operator registers one pool with
+ * a commission rate. Stake orders attached to the pool by its members are
+ * voted by the operator, who keeps the commission of their rewards.
+ * Pool is identified by its registration transaction id.
+ * @memberof module:frogings
+ * @class
+ * @classdesc Main stake pool logic.
+ * @param {ZSchema} schema
+ * @param {Database} db
+ */
+// Constructor
+function StakePool(schema, db) {
+    library = {
+        schema,
+        db
+    };
+}
+
+// Public methods
+/**
+ * Assigns pool name and commission to transaction asset.
+ * @param {Object} data
+ * @param {transaction} trs
+ * @return {transaction} trs with assigned data
+ */
+StakePool.prototype.create = function (data, trs) {
+    trs.recipientId = null;
+    trs.asset.stakePool = {
+        name: data.name.toLowerCase(),
+        commission: data.commission
+    };
+    trs.trsName = 'STAKE_POOL';
+    return trs;
+};
+
+/**
+ * @return {number} fee
+ */
+StakePool.prototype.calculateFee = () => constants.fees.stakepool;
+
+StakePool.prototype.newVerify = async (trs) => {
+    if (trs.recipientId) {
+        throw new Error('Invalid recipient');
+    }
+
+    if (trs.amount !== 0) {
+        throw new Error('Invalid transaction amount');
+    }
+
+    if (trs.asset.stakePool.name !== trs.asset.stakePool.name.toLowerCase()) {
+        throw new Error('Stake pool name must be lowercase');
+    }
+
+    if (await library.db.oneOrNone(sql.getStakePoolByOperator, { operatorId: trs.senderId })) {
+        throw new Error('Account already operates a stake pool');
+    }
+
+    if (await library.db.oneOrNone(sql.getStakePoolByName, { name: trs.asset.stakePool.name })) {
+        throw new Error(`Stake pool name ${trs.asset.stakePool.name} already exists`);
+    }
+};
+
+StakePool.prototype.newVerifyUnconfirmed = async () => {};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb, null, trs
+ */
+StakePool.prototype.process = function (trs, sender, cb) {
+    return setImmediate(cb, null, trs);
+};
+
+/**
+ * Writes commission and pool name.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+StakePool.prototype.getBytes = function (trs) {
+    const buff = Buffer.alloc(LENGTH.BYTE);
+
+    writeInt8(buff, trs.asset.stakePool.commission, 0);
+
+    return Buffer.concat([buff, Buffer.from(trs.asset.stakePool.name, 'utf8')]);
+};
+
+/**
+ * Pool is saved with transaction, nothing is changed on apply.
+ * @param {transaction} trs
+ */
+StakePool.prototype.apply = async () => {};
+
+/**
+ * Removes pool. Orders attached to it are detached by undo of later transactions.
+ * @param {transaction} trs
+ */
+StakePool.prototype.undo = async (trs) => {
+    await library.db.none(sql.removeStakePool, { id: trs.id });
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+StakePool.prototype.applyUnconfirmed = function (trs, sender, cb) {
+    return setImmediate(cb);
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+StakePool.prototype.undoUnconfirmed = function (trs, sender, cb) {
+    return setImmediate(cb);
+};
+
+StakePool.prototype.calcUndoUnconfirmed = (trs, sender) => sender;
+
+/**
+ * @typedef {Object} stakePool
+ * @property {string} name - Unique lowercase pool name.
+ * @property {number} commission - Percent of members rewards kept by operator.
+ */
+StakePool.prototype.schema = {
+    id: 'StakePool',
+    type: 'object',
+    properties: {
+        stakePool: {
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string',
+                    format: 'username',
+                    minLength: 1,
+                    maxLength: 20
+                },
+                commission: {
+                    type: 'integer',
+                    minimum: 0,
+                    maximum: 100
+                }
+            },
+            required: ['name', 'commission']
+        }
+    },
+    required: ['stakePool']
+};
+
+/**
+ * Validates asset schema.
+ * @implements {library.schema.validate}
+ * @param {transaction} trs
+ * @return {transaction}
+ * @throws {string} Failed to validate stake pool schema.
+ */
+StakePool.prototype.objectNormalize = function (trs) {
+    const report = library.schema.validate(trs.asset, StakePool.prototype.schema);
+
+    if (!report) {
+        throw `Failed to validate stake pool schema: ${library.schema.getLastErrors()
+            .map(err => err.message).join(', ')}`;
+    }
+
+    return trs;
+};
+
+/**
+ * Creates stake pool object based on raw data.
+ * @param {Object} raw
+ * @return {null|stakePool}
+ */
+StakePool.prototype.dbRead = function (raw) {
+    if (!raw.sp_name) {
+        return null;
+    }
+
+    return {
+        stakePool: {
+            name: raw.sp_name,
+            commission: Number(raw.sp_commission)
+        }
+    };
+};
+
+StakePool.prototype.dbTable = 'stake_pools';
+
+StakePool.prototype.dbFields = [
+    'id',
+    'operatorId',
+    'name',
+    'commission'
+];
+
+/**
+ * Creates db operation object to 'stake_pools' table.
+ * @param {transaction} trs
+ * @return {Object} table, fields, values.
+ */
+StakePool.prototype.dbSave = function (trs) {
+    return {
+        table: this.dbTable,
+        fields: this.dbFields,
+        values: {
+            id: trs.id,
+            operatorId: trs.senderId,
+            name: trs.asset.stakePool.name,
+            commission: trs.asset.stakePool.commission
+        }
+    };
+};
+
+/**
+ * Checks sender multisignatures and transaction signatures.
+ * @param {transaction} trs
+ * @param {account} sender
+ * @return {boolean} True if transaction signatures greather than
+ * sender multimin or there are not sender multisignatures.
+ */
+StakePool.prototype.ready = function (trs, sender) {
+    if (Array.isArray(sender.multisignatures) && sender.multisignatures.length) {
+        if (!Array.isArray(trs.signatures)) {
+            return false;
+        }
+        return trs.signatures.length >= sender.multimin;
+    }
+    return true;
+};
+
+// Export
+module.exports = StakePool;
+
+/** ************************************* END OF FILE ************************************ */
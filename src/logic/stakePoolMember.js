@@ -0,0 +1,299 @@
+const constants = require('../helpers/constants.js');
+const sql = require('../sql/frogings.js');
+const transactionTypes = require('../helpers/transactionTypes.js');
+
+// Private fields
+const __private = {};
+let self;
+let library;
+
+/**
+ * Stake pool membership logic. Owner of an active stake order attaches it to
+ * a pool or detaches it from the pool. While attached, the order is voted by
+ * pool operator only and its rewards are paid to owner after pool commission.
+ * Same logic serves both join and leave transaction types.
+ * @memberof module:frogings
+ * @class
+ * @classdesc Main stake pool member logic.
+ * @param {ZSchema} schema
+ * @param {Database} db
+ */
+// Constructor
+function StakePoolMember(schema, db) {
+    self = this;
+    library = {
+        schema,
+        db
+    };
+}
+
+// Private methods
+/**
+ * @private
+ * @param {transaction} trs
+ * @return {boolean} True for transaction detaching stake order from pool.
+ */
+__private.isLeave = trs => trs.type === transactionTypes.STAKE_POOL_LEAVE;
+
+/**
+ * @private
+ * @param {transaction} trs
+ * @return {boolean} True for transaction attaching or detaching stake order.
+ */
+__private.isMember = trs =>
+    trs.type === transactionTypes.STAKE_POOL_JOIN || trs.type === transactionTypes.STAKE_POOL_LEAVE;
+
+// Public methods
+/**
+ * Assigns pool and stake order ids to transaction asset.
+ * @param {Object} data
+ * @param {transaction} trs
+ * @return {transaction} trs with assigned data
+ */
+StakePoolMember.prototype.create = function (data, trs) {
+    trs.recipientId = null;
+    trs.asset.stakePoolMember = {
+        poolId: data.poolId,
+        stakeId: data.stakeId
+    };
+    trs.trsName = __private.isLeave(trs) ? 'STAKE_POOL_LEAVE' : 'STAKE_POOL_JOIN';
+    return trs;
+};
+
+/**
+ * @return {number} fee
+ */
+StakePoolMember.prototype.calculateFee = () => constants.fees.stakepoolmember;
+
+/**
+ * Checks that stake order of sender is active and can be attached to
+ * or detached from the pool. Stake order is read at the parent block, so
+ * the block may not change its pool by another transaction before this one.
+ * @param {transaction} trs
+ * @param {Object} [block] - Block containing the transaction.
+ * @throws {Error} Stake pool or active stake order not found, order pool mismatch.
+ */
+StakePoolMember.prototype.verifyOrder = async (trs, block) => {
+    const { poolId, stakeId } = trs.asset.stakePoolMember;
+
+    if (block && block.transactions) {
+        const index = block.transactions.findIndex(blockTrs => blockTrs.id === trs.id);
+        const changed = block.transactions.slice(0, index).some(blockTrs =>
+            __private.isMember(blockTrs) && blockTrs.asset.stakePoolMember.stakeId === stakeId
+        );
+
+        if (changed) {
+            throw new Error(`Pool of stake order ${stakeId} is already changed in block`);
+        }
+    }
+
+    if (!await library.db.oneOrNone(sql.getStakePoolById, { id: poolId })) {
+        throw new Error(`Stake pool ${poolId} not found`);
+    }
+
+    const order = await library.db.oneOrNone(sql.getActiveFrozeOrder, { senderId: trs.senderId, stakeId });
+
+    if (!order) {
+        throw new Error(`Active stake order ${stakeId} not found`);
+    }
+
+    if (__private.isLeave(trs) && order.poolId !== poolId) {
+        throw new Error(`Stake order ${stakeId} is not attached to pool ${poolId}`);
+    }
+
+    if (!__private.isLeave(trs) && order.poolId) {
+        throw new Error(`Stake order ${stakeId} is already attached to pool ${order.poolId}`);
+    }
+};
+
+StakePoolMember.prototype.newVerify = async (trs, sender, block) => {
+    if (trs.recipientId) {
+        throw new Error('Invalid recipient');
+    }
+
+    if (trs.amount !== 0) {
+        throw new Error('Invalid transaction amount');
+    }
+
+    await self.verifyOrder(trs, block);
+};
+
+StakePoolMember.prototype.newVerifyUnconfirmed = async () => {};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb, null, trs
+ */
+StakePoolMember.prototype.process = function (trs, sender, cb) {
+    return setImmediate(cb, null, trs);
+};
+
+/**
+ * Writes pool and stake order ids.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+StakePoolMember.prototype.getBytes = function (trs) {
+    return Buffer.from(trs.asset.stakePoolMember.poolId + trs.asset.stakePoolMember.stakeId, 'utf8');
+};
+
+/**
+ * Attaches stake order to pool or detaches it. Order is checked by `newVerify`,
+ * so apply does not fail and `undo` restores exactly the previous pool.
+ * @param {transaction} trs
+ */
+StakePoolMember.prototype.apply = async (trs) => {
+    await library.db.none(sql.setFrozeOrderPool, {
+        stakeId: trs.asset.stakePoolMember.stakeId,
+        poolId: __private.isLeave(trs) ? null : trs.asset.stakePoolMember.poolId
+    });
+};
+
+/**
+ * Restores pool of stake order.
+ * @param {transaction} trs
+ */
+StakePoolMember.prototype.undo = async (trs) => {
+    await library.db.none(sql.setFrozeOrderPool, {
+        stakeId: trs.asset.stakePoolMember.stakeId,
+        poolId: __private.isLeave(trs) ? trs.asset.stakePoolMember.poolId : null
+    });
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+StakePoolMember.prototype.applyUnconfirmed = function (trs, sender, cb) {
+    return setImmediate(cb);
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+StakePoolMember.prototype.undoUnconfirmed = function (trs, sender, cb) {
+    return setImmediate(cb);
+};
+
+StakePoolMember.prototype.calcUndoUnconfirmed = (trs, sender) => sender;
+
+/**
+ * @typedef {Object} stakePoolMember
+ * @property {string} poolId - Id of pool registration transaction.
+ * @property {string} stakeId - Id of active stake order of sender.
+ */
+StakePoolMember.prototype.schema = {
+    id: 'StakePoolMember',
+    type: 'object',
+    properties: {
+        stakePoolMember: {
+            type: 'object',
+            properties: {
+                poolId: {
+                    type: 'string',
+                    format: 'id',
+                    minLength: 1,
+                    maxLength: 64
+                },
+                stakeId: {
+                    type: 'string',
+                    format: 'id',
+                    minLength: 1,
+                    maxLength: 64
+                }
+            },
+            required: ['poolId', 'stakeId']
+        }
+    },
+    required: ['stakePoolMember']
+};
+
+/**
+ * Validates asset schema.
+ * @implements {library.schema.validate}
+ * @param {transaction} trs
+ * @return {transaction}
+ * @throws {string} Failed to validate stake pool member schema.
+ */
+StakePoolMember.prototype.objectNormalize = function (trs) {
+    const report = library.schema.validate(trs.asset, StakePoolMember.prototype.schema);
+
+    if (!report) {
+        throw `Failed to validate stake pool member schema: ${library.schema.getLastErrors()
+            .map(err => err.message).join(', ')}`;
+    }
+
+    return trs;
+};
+
+/**
+ * Creates stake pool member object based on raw data.
+ * @param {Object} raw
+ * @return {null|stakePoolMember}
+ */
+StakePoolMember.prototype.dbRead = function (raw) {
+    if (!raw.spm_poolId) {
+        return null;
+    }
+
+    return {
+        stakePoolMember: {
+            poolId: raw.spm_poolId,
+            stakeId: raw.spm_stakeId
+        }
+    };
+};
+
+StakePoolMember.prototype.dbTable = 'stake_pool_members';
+
+StakePoolMember.prototype.dbFields = [
+    'transactionId',
+    'poolId',
+    'stakeId'
+];
+
+/**
+ * Creates db operation object to 'stake_pool_members' table.
+ * @param {transaction} trs
+ * @return {Object} table, fields, values.
+ */
+StakePoolMember.prototype.dbSave = function (trs) {
+    return {
+        table: this.dbTable,
+        fields: this.dbFields,
+        values: {
+            transactionId: trs.id,
+            poolId: trs.asset.stakePoolMember.poolId,
+            stakeId: trs.asset.stakePoolMember.stakeId
+        }
+    };
+};
+
+/**
+ * Checks sender multisignatures and transaction signatures.
+ * @param {transaction} trs
+ * @param {account} sender
+ * @return {boolean} True if transaction signatures greather than
+ * sender multimin or there are not sender multisignatures.
+ */
+StakePoolMember.prototype.ready = function (trs, sender) {
+    if (Array.isArray(sender.multisignatures) && sender.multisignatures.length) {
+        if (!Array.isArray(trs.signatures)) {
+            return false;
+        }
+        return trs.signatures.length >= sender.multimin;
+    }
+    return true;
+};
+
+// Export
+module.exports = StakePoolMember;
+
+/** ************************************* END OF FILE ************************************ */
@@ -1,23 +1,22 @@
-const constants = require('../helpers/constants.js');
-
 // Private fields
 const __private = {};
 
 /**
  * Initializes variables:
  * - milestones
- * - distance
  * @memberof module:blocks
  * @class
  * @classdesc Main StakeReward logic.
+ * @param {Object[]} schedule - Stake reward rates activated at block heights.
+ * @param {number} schedule[].start - Height the rate is activated at.
+ * @param {number} schedule[].percent - Stake reward percent.
  */
 // Constructor
-function StakeReward() {
-    // Array of milestones
-    this.milestones = constants.froze.rewards.milestones;
-
-    // Distance between each milestone
-    this.distance = Math.floor(constants.froze.rewards.distance);
+function StakeReward(schedule = []) {
+    // Array of milestones ordered by activation height
+    this.milestones = schedule
+        .map(milestone => ({ start: milestone.start, percent: milestone.percent }))
+        .sort((a, b) => a.start - b.start);
 }
 
 // Private methods
@@ -38,17 +37,20 @@ __private.parseHeight = function (height) {
 
 // Public methods
 /**
+ * Returns index of the milestone active at height, -1 if none is active yet.
  * @implements {__private.parseHeight}
  * @param {number} height
  * @return {number}
  */
 StakeReward.prototype.calcMilestone = function (height) {
-    const location = Math.trunc((height) / this.distance);
-    const lastMile = this.milestones[this.milestones.length - 1];
+    height = __private.parseHeight(height);
 
-    if (location > (this.milestones.length - 1)) {
-        return this.milestones.lastIndexOf(lastMile);
-    }
+    let location = -1;
+    this.milestones.forEach((milestone, index) => {
+        if (milestone.start <= height) {
+            location = index;
+        }
+    });
     return location;
 };
 
@@ -56,12 +58,28 @@ StakeReward.prototype.calcMilestone = function (height) {
  * @implements {__private.parseHeight}
  * @implements {StakeReward.calcMilestone}
  * @param {number} height
- * @return {number}
+ * @return {number} Stake reward percent, 0 before the first milestone.
  */
 StakeReward.prototype.calcReward = function (height) {
     height = __private.parseHeight(height);
 
-    return this.milestones[this.calcMilestone(height)];
+    const milestone = this.milestones[this.calcMilestone(height)];
+
+    return milestone ? milestone.percent : 0;
+};
+
+/**
+ * @implements {StakeReward.calcMilestone}
+ * @param {number} height
+ * @return {Object} Current and next milestones with their start height and percent.
+ */
+StakeReward.prototype.getMilestone = function (height) {
+    const location = this.calcMilestone(height);
+
+    return {
+        current: this.milestones[location] || null,
+        next: this.milestones[location + 1] || null
+    };
 };
 
 // Export
@@ -1,4 +1,5 @@
 const { TransactionStatus } = require('src/helpers/types');
+const { TransactionStatusTracker } = require('src/helpers/transactionStatusTracker');
 
 const bignum = require('../helpers/bignum.js');
 const sodium = require('sodium-javascript');
@@ -26,6 +27,22 @@ const TRANSACTION_BUFFER_SIZE =
     BUFFER.LENGTH.DOUBLE_HEX +  // signature
     BUFFER.LENGTH.DOUBLE_HEX;   // signSignature
 
+// Marks priority fee, the byte is not valid in UTF-8 so it never is a part of string asset
+const PRIORITY_FEE_MARKER = 0xFE;
+
+const PRIORITY_FEE_BUFFER_SIZE =
+    BUFFER.LENGTH.BYTE +        // marker
+    BUFFER.LENGTH.INT64;        // priorityFee
+
+// Marks section of optional fields, the byte is not valid in UTF-8 so it never is a part of string asset
+const OPTIONS_MARKER = 0xFF;
+
+const OPTIONS_BUFFER_SIZE =
+    BUFFER.LENGTH.BYTE +        // marker
+    BUFFER.LENGTH.UINT32 +      // expireTime
+    BUFFER.LENGTH.INT64 +       // expireHeight
+    BUFFER.LENGTH.UINT32;       // data length
+
 // Private fields
 let self;
 let modules;
@@ -113,10 +130,26 @@ Transaction.prototype.create = async (data) => {
         stakedAmount: 0,
         trsName: 'NA',
         groupBonus: 0,
-        salt: cryptoBrowserify.randomBytes(16).toString('hex'),
+        salt: data.salt || cryptoBrowserify.randomBytes(16).toString('hex'),
         reward: data.rewardPercentage || null
     };
 
+    if (data.priorityFee) {
+        trs.priorityFee = data.priorityFee;
+    }
+
+    if (data.data) {
+        trs.data = data.data;
+    }
+
+    if (data.expireTime) {
+        trs.expireTime = data.expireTime;
+    }
+
+    if (data.expireHeight) {
+        trs.expireHeight = data.expireHeight;
+    }
+
     trs = await __private.types[trs.type].create.call(self, data, trs);
     trs.signature = self.sign(data.keypair, trs);
 
@@ -125,7 +158,8 @@ Transaction.prototype.create = async (data) => {
     }
 
     trs.id = self.getId(trs);
-    trs.fee = __private.types[trs.type].calculateFee.call(self, trs, data.sender) || 0;
+    trs.fee = (__private.types[trs.type].calculateFee.call(self, trs, data.sender) || 0) +
+        self.calculateDataFee(trs) + (trs.priorityFee || 0);
 
     return trs;
 };
@@ -251,7 +285,48 @@ Transaction.prototype.getBytes = (trs, skipSignature = false, skipSecondSignatur
     if (!skipSecondSignature && trs.signSignature) {
         buff.write(trs.signSignature, offset, BUFFER.LENGTH.DOUBLE_HEX, 'hex');
     }
-    return Buffer.concat([buff, assetBytes]);
+
+    return Buffer.concat([buff, __private.getPriorityFeeBytes(trs), __private.getOptionsBytes(trs), assetBytes]);
+};
+
+/**
+ * Writes priority fee only when it is set, so bytes of transactions without it are unchanged.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+__private.getPriorityFeeBytes = (trs) => {
+    if (!trs.priorityFee) {
+        return Buffer.from([]);
+    }
+
+    const buff = Buffer.alloc(PRIORITY_FEE_BUFFER_SIZE);
+    const offset = buff.writeUInt8(PRIORITY_FEE_MARKER, 0);
+    BUFFER.writeUInt64LE(buff, trs.priorityFee, offset);
+
+    return buff;
+};
+
+/**
+ * Writes optional fields: expiry and data. They are written only when present,
+ * so bytes of transactions without them are unchanged.
+ * Marker and fixed size of section keep them from being read as asset of other transaction.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+__private.getOptionsBytes = (trs) => {
+    if (!trs.data && !trs.expireTime && !trs.expireHeight) {
+        return Buffer.from([]);
+    }
+
+    const dataBytes = trs.data ? Buffer.from(trs.data, 'utf8') : Buffer.from([]);
+    const buff = Buffer.alloc(OPTIONS_BUFFER_SIZE);
+    let offset = buff.writeUInt8(OPTIONS_MARKER, 0);
+
+    offset = BUFFER.writeInt32LE(buff, trs.expireTime || 0, offset);
+    offset = BUFFER.writeUInt64LE(buff, trs.expireHeight || 0, offset);
+    BUFFER.writeInt32LE(buff, dataBytes.length, offset);
+
+    return Buffer.concat([buff, dataBytes]);
 };
 
 /**
@@ -298,6 +373,18 @@ Transaction.prototype.newCheckConfirmed = async (trs) => {
     return Boolean(result.count);
 };
 
+/**
+ * Checks if sender has confirmed transaction with the same salt.
+ * Transaction signed with the salt of other transaction replaces it (replace-by-fee),
+ * so only one of them can be confirmed.
+ * @param {transaction} trs
+ * @return {Promise<boolean>}
+ */
+Transaction.prototype.newCheckSaltConfirmed = async (trs) => {
+    const result = await self.scope.db.one(sql.countBySenderIdAndSalt, { senderId: trs.senderId, salt: trs.salt });
+    return Boolean(result.count);
+};
+
 /**
  * Checks if balance is less than amount for sender.
  * @implements {bignum}
@@ -313,6 +400,7 @@ Transaction.prototype.checkBalance = (amount, trs, sender) => {
         address: sender.address,
         u_balance: sender.u_balance,
         u_totalFrozeAmount: sender.u_totalFrozeAmount,
+        u_lockedBalance: sender.u_lockedBalance,
         amount
     })}`);
 
@@ -320,7 +408,8 @@ Transaction.prototype.checkBalance = (amount, trs, sender) => {
         return { success: true };
     }
 
-    if (sender.u_balance - sender.u_totalFrozeAmount >= amount) {
+    // Locked amount of time-locked and height-locked transfers is not spendable until released
+    if (sender.u_balance - sender.u_totalFrozeAmount - (sender.u_lockedBalance || 0) >= amount) {
         return { success: true };
     }
 
@@ -333,6 +422,8 @@ Transaction.prototype.checkBalance = (amount, trs, sender) => {
             sender.u_balance / (10 ** 8),
             'u_totalFrozeAmount :',
             sender.u_totalFrozeAmount / (10 ** 8),
+            'u_lockedBalance :',
+            (sender.u_lockedBalance || 0) / (10 ** 8),
             'amount: ',
             amount / (10 ** 8)
         ].join(' ')]
@@ -359,7 +450,7 @@ Transaction.prototype.newProcess = (trs, sender) => {
     }
 };
 
-Transaction.prototype.newVerifyFields = ({ trs, sender }) => {
+Transaction.prototype.newVerifyFields = ({ trs, sender, block }) => {
     let valid = false;
     let err = null;
 
@@ -511,9 +602,52 @@ Transaction.prototype.newVerifyFields = ({ trs, sender }) => {
     if (slots.getSlotNumber(trs.timestamp) > slots.getSlotNumber()) {
         throw new Error('Invalid transaction timestamp. Timestamp is in the future');
     }
+
+    // Check data
+    if (trs.data) {
+        if (trs.type !== transactionTypes.SEND) {
+            throw new Error('Invalid transaction data. Data is allowed only for send transactions');
+        }
+
+        if (Buffer.byteLength(trs.data, 'utf8') > constants.maxTransactionDataLength) {
+            throw new Error(
+                `Invalid transaction data. Data must be at most ${constants.maxTransactionDataLength} bytes`
+            );
+        }
+    }
+
+    // Check expiry
+    if (trs.expireTime && trs.expireTime <= trs.timestamp) {
+        throw new Error('Invalid transaction expire time. Expire time must be after transaction timestamp');
+    }
+
+    if (self.isExpired(trs, block)) {
+        throw new Error('Transaction is expired');
+    }
+};
+
+/**
+ * Checks if expire time or height of transaction is reached by block.
+ * Without block it is checked against next block: height after last block and current slot time.
+ * @param {transaction} trs
+ * @param {block} [block]
+ * @return {boolean}
+ */
+Transaction.prototype.isExpired = (trs, block) => {
+    if (!trs.expireTime && !trs.expireHeight) {
+        return false;
+    }
+
+    const height = block ? block.height : modules.blocks.lastBlock.get().height + 1;
+    const time = block ? block.timestamp : slots.getTime();
+
+    return Boolean(
+        (trs.expireHeight && trs.expireHeight <= height) ||
+        (trs.expireTime && trs.expireTime <= time)
+    );
 };
 
-Transaction.prototype.newVerify = async ({ trs, sender, checkExists = false }) => {
+Transaction.prototype.newVerify = async ({ trs, sender, checkExists = false, block }) => {
     try {
         self.newProcess(trs, sender);
     } catch (e) {
@@ -521,7 +655,7 @@ Transaction.prototype.newVerify = async ({ trs, sender, checkExists = false }) =
     }
 
     try {
-        await self.newVerifyFields({ trs, sender });
+        await self.newVerifyFields({ trs, sender, block });
     } catch (e) {
         throw e;
     }
@@ -531,19 +665,44 @@ Transaction.prototype.newVerify = async ({ trs, sender, checkExists = false }) =
         if (isConfirmed) {
             throw new Error(`Transaction is already confirmed: ${trs.id}`);
         }
+
+        const isReplaced = await self.newCheckSaltConfirmed(trs);
+        if (isReplaced) {
+            throw new Error(`Transaction with the same salt is already confirmed: ${trs.id}`);
+        }
     }
     try {
-        await __private.types[trs.type].newVerify.call(self, trs, sender);
+        await __private.types[trs.type].newVerify.call(self, trs, sender, block);
     } catch (e) {
         throw e;
     }
 };
 
+/**
+ * Calculates fee for data of transaction, it grows by every byte of data.
+ * @param {transaction} trs
+ * @return {number} fee
+ */
+Transaction.prototype.calculateDataFee = trs =>
+    (trs.data ? Buffer.byteLength(trs.data, 'utf8') * constants.fees.databyte : 0);
+
 Transaction.prototype.calculateUnconfirmedFee = (trs, sender) =>
     (
         __private.types[trs.type].calculateUnconfirmedFee ||
         __private.types[trs.type].calculateFee
-    ).call(self, trs, sender);
+    ).call(self, trs, sender) + self.calculateDataFee(trs) + (trs.priorityFee || 0);
+
+/**
+ * Checks if transaction pays strictly higher fee than the one it replaces.
+ * Fee includes signed priority fee, so sender outbids replaceable transaction
+ * with any amount or recipient, e.g. to redirect or cancel it.
+ * @param {transaction} trs - Replacing transaction.
+ * @param {transaction} replaceable - Transaction signed with the same salt.
+ * @param {account} sender
+ * @return {boolean}
+ */
+Transaction.prototype.canReplace = (trs, replaceable, sender) =>
+    self.calculateUnconfirmedFee(trs, sender) > self.calculateUnconfirmedFee(replaceable, sender);
 
 Transaction.prototype.newVerifyUnconfirmed = async ({ trs, sender }) => {
     trs.fee = self.calculateUnconfirmedFee(trs, sender);
@@ -651,12 +810,16 @@ Transaction.prototype.newApply = async (trs, block, sender) => {
     });
     try {
         await __private.types[trs.type].apply.call(self, trs);
+        // Only transactions passed through the queue are tracked, not ones loaded with blocks
+        if (TransactionStatusTracker.getInstance().has(trs.id)) {
+            TransactionStatusTracker.getInstance().set(trs, TransactionStatus.APPLIED);
+        }
     } catch (e) {
         await self.scope.account.asyncMerge(mergedSender.address, {
             balance: amount,
             totalFrozeAmount: -trs.stakedAmount
         });
-        trs.status = TransactionStatus.DECLINED;
+        TransactionStatusTracker.getInstance().set(trs, TransactionStatus.DECLINED, e.message || String(e));
         self.scope.logger.error(`[Logic/Transaction][apply]: ${e}`);
         self.scope.logger.error(`[Logic/Transaction][apply][stack]: ${e.stack}`);
     }
@@ -840,7 +1003,11 @@ Transaction.prototype.dbFields = [
     'signatures',
     'trsName',
     'reward',
-    'salt'
+    'salt',
+    'data',
+    'expireTime',
+    'expireHeight',
+    'priorityFee'
 ];
 
 /**
@@ -896,13 +1063,20 @@ Transaction.prototype.dbSave = async (trs) => {
             signatures: trs.signatures ? trs.signatures.join(',') : null,
             trsName: trs.trsName,
             reward: trs.reward,
-            salt: trs.salt
+            salt: trs.salt,
+            data: trs.data || null,
+            expireTime: trs.expireTime || null,
+            expireHeight: trs.expireHeight || null,
+            priorityFee: trs.priorityFee || null
         }
     }];
 
+    // Asset of some types is saved in several rows, e.g. transfers of batch send
     const promise = await __private.types[trs.type].dbSave(trs);
 
-    if (promise) {
+    if (Array.isArray(promise)) {
+        promises.push(...promise);
+    } else if (promise) {
         promises.push(promise);
     }
 
@@ -967,6 +1141,10 @@ Transaction.prototype.afterSave = async (trs) => {
  * @property {number} fee
  * @property {string} signature
  * @property {string} signSignature
+ * @property {string} [data] - UTF-8 memo of send transaction, max constant maxTransactionDataLength bytes.
+ * @property {number} [expireTime] - Slot time transaction can not be confirmed since.
+ * @property {number} [expireHeight] - Block height transaction can not be confirmed since.
+ * @property {number} [priorityFee] - Fee paid over the one of type, it is part of `fee`.
  * @property {Object} asset
  * @property {multisignature} [asset.multisignature]
  * @property {signature} [asset.signature]
@@ -1019,6 +1197,18 @@ Transaction.prototype.schema = {
         signSignature: {
             type: 'string', format: 'signature'
         },
+        data: {
+            type: 'string', minLength: 1, maxLength: constants.maxTransactionDataLength
+        },
+        expireTime: {
+            type: 'integer', minimum: 1
+        },
+        expireHeight: {
+            type: 'integer', minimum: 1
+        },
+        priorityFee: {
+            type: 'integer', minimum: 0, maximum: constants.totalAmount
+        },
         asset: {
             type: 'object'
         }
@@ -1149,7 +1339,11 @@ Transaction.prototype.dbRead = (raw) => {
         trsName: raw.t_trsName,
         reward: raw.t_reward,
         pendingGroupBonus: raw.t_pendingGroupBonus,
-        salt: raw.t_salt
+        salt: raw.t_salt,
+        data: raw.t_data,
+        expireTime: raw.t_expireTime ? Number(raw.t_expireTime) : null,
+        expireHeight: raw.t_expireHeight ? Number(raw.t_expireHeight) : null,
+        priorityFee: raw.t_priorityFee ? Number(raw.t_priorityFee) : null
     };
 
     if (!__private.types[tx.type]) {
@@ -1173,7 +1367,8 @@ Transaction.prototype.dbRead = (raw) => {
 Transaction.prototype.bindModules = (__modules) => {
     self.scope.logger.trace('Logic/Transaction->bindModules');
     modules = {
-        rounds: __modules.rounds
+        rounds: __modules.rounds,
+        blocks: __modules.blocks
     };
 };
 
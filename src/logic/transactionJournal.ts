@@ -0,0 +1,77 @@
+import { Transaction } from 'src/helpers/types';
+import * as constants from 'src/helpers/constants.js';
+
+const sql = require('src/sql/transactions.js');
+const slots = require('src/helpers/slots.js');
+
+declare class TransactionJournalScope {
+    logger: any;
+    db: any;
+}
+
+export class TransactionJournalEntry {
+    transaction: Transaction;
+    insertTime: number;
+}
+
+/**
+ * Keeps transactions of queue, conflicted queue and pool on disk
+ * so that they survive node restart
+ */
+class TransactionJournal {
+
+    private scope: TransactionJournalScope = {} as TransactionJournalScope;
+
+    // Writes are run one by one in call order, so remove is never run before save of the same transaction
+    private writes: Promise<void> = Promise.resolve();
+
+    constructor({ logger, db }: TransactionJournalScope) {
+        this.scope.logger = logger;
+        this.scope.db = db;
+    }
+
+    save(trs: Transaction): Promise<void> {
+        const { status, ...transaction } = trs;
+        const insertTime = slots.getTime();
+        return this.write(async () => {
+            try {
+                await this.scope.db.none(sql.saveInJournal, {
+                    id: trs.id,
+                    transaction: JSON.stringify(transaction),
+                    insertTime
+                });
+            } catch (e) {
+                this.scope.logger.error(`[TransactionJournal][save]: ${e}`);
+            }
+        });
+    }
+
+    remove(trs: Transaction): Promise<void> {
+        return this.write(async () => {
+            try {
+                await this.scope.db.none(sql.removeFromJournal, { id: trs.id });
+            } catch (e) {
+                this.scope.logger.error(`[TransactionJournal][remove]: ${e}`);
+            }
+        });
+    }
+
+    private write(query: () => Promise<void>): Promise<void> {
+        this.writes = this.writes.then(query);
+        return this.writes;
+    }
+
+    // Entries older than unconfirmed transaction timeout are stale and dropped
+    async load(): Promise<Array<TransactionJournalEntry>> {
+        const staleTime = slots.getTime() - constants.unconfirmedTransactionTimeOut;
+        const dropped = await this.scope.db.query(sql.removeStaleFromJournal, { insertTime: staleTime });
+        if (dropped.length) {
+            this.scope.logger.info(`[TransactionJournal][load]: ${dropped.length} stale transactions dropped`);
+        }
+
+        const rows = await this.scope.db.query(sql.getJournal);
+        return rows.map(row => ({ transaction: row.transaction, insertTime: row.insertTime }));
+    }
+}
+
+export default TransactionJournal;
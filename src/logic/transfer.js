@@ -1,4 +1,7 @@
 const constants = require('../helpers/constants.js');
+const { LENGTH, writeInt32LE, writeUInt64LE } = require('../helpers/buffer.js');
+const slots = require('../helpers/slots.js');
+const sql = require('../sql/transactions.js');
 
 // Private fields
 let modules;
@@ -12,11 +15,13 @@ let library;
  * @classdesc Main transfer logic.
  */
 // Constructor
-function Transfer(account) {
+function Transfer(account, schema, db) {
     self = this;
     library = {
-        account
-    }
+        account,
+        schema,
+        db
+    };
 }
 
 // Public methods
@@ -24,16 +29,19 @@ function Transfer(account) {
  * Binds input parameters to private variable modules.
  * @param {Accounts} accounts
  * @param {Rounds} rounds
+ * @param {Blocks} blocks
  */
-Transfer.prototype.bind = function (accounts, rounds) {
+Transfer.prototype.bind = function (accounts, rounds, blocks) {
     modules = {
         accounts,
         rounds,
+        blocks,
     };
 };
 
 /**
  * Assigns data to transaction recipientId and amount.
+ * Optional lock keeps the amount unspendable by recipient until unlockTime or unlockHeight.
  * @param {Object} data
  * @param {transaction} trs
  * @return {transaction} trs with assigned data
@@ -41,6 +49,9 @@ Transfer.prototype.bind = function (accounts, rounds) {
 Transfer.prototype.create = function (data, trs) {
     trs.recipientId = data.recipientId;
     trs.amount = data.amount;
+    if (data.lock) {
+        trs.asset.lock = data.lock;
+    }
     if (data.trsName) {
         trs.trsName = data.trsName;
     } else {
@@ -58,7 +69,15 @@ Transfer.prototype.calculateFee = function (trs) {
     return (trs.amount * constants.fees.send) / 100;
 };
 
-Transfer.prototype.newVerify = (trs) => {
+/**
+ * Lock is checked against the block containing transaction, so it can't be released by the same block.
+ * Without block (pool) the next slot and height are used.
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {block} [block]
+ * @throws {Error}
+ */
+Transfer.prototype.newVerify = (trs, sender, block) => {
     if (!trs.recipientId) {
         throw new Error('Missing recipient');
     }
@@ -66,6 +85,22 @@ Transfer.prototype.newVerify = (trs) => {
     if (trs.amount <= 0) {
         throw new Error('Invalid transaction amount');
     }
+
+    const lock = trs.asset && trs.asset.lock;
+    if (!lock) {
+        return;
+    }
+
+    const height = block ? block.height : modules.blocks.lastBlock.get().height + 1;
+    const timestamp = block ? block.timestamp : slots.getSlotTime(slots.getNextSlot());
+
+    if (lock.unlockTime !== undefined && lock.unlockTime <= timestamp) {
+        throw new Error('Invalid unlock time. Unlock time must be after block timestamp');
+    }
+
+    if (lock.unlockHeight !== undefined && lock.unlockHeight <= height) {
+        throw new Error('Invalid unlock height. Unlock height must be after block height');
+    }
 };
 
 Transfer.prototype.newVerifyUnconfirmed = async () => {};
@@ -81,11 +116,23 @@ Transfer.prototype.process = function (trs, sender, cb) {
 };
 
 /**
+ * Writes lock if transaction has one, plain transfer has no asset bytes.
  * @param {transaction} trs
- * @return {null}
+ * @return {Buffer}
  */
 Transfer.prototype.getBytes = function (trs) {
-    return Buffer.from([]);
+    const lock = trs.asset && trs.asset.lock;
+    if (!lock) {
+        return Buffer.from([]);
+    }
+
+    const buff = Buffer.alloc(LENGTH.UINT32 + LENGTH.INT64);
+    let offset = 0;
+
+    offset = writeInt32LE(buff, lock.unlockTime || 0, offset);
+    writeUInt64LE(buff, lock.unlockHeight || 0, offset);
+
+    return buff;
 };
 
 /**
@@ -101,9 +148,12 @@ Transfer.prototype.getBytes = function (trs) {
  * @return {setImmediateCallback} error, cb
  */
 Transfer.prototype.apply = async (trs) => {
-    await library.account.asyncMerge(trs.recipientId, {
-        balance: trs.amount
-    });
+    const diff = { balance: trs.amount };
+    if (trs.asset && trs.asset.lock) {
+        diff.lockedBalance = trs.amount;
+    }
+
+    await library.account.asyncMerge(trs.recipientId, diff);
 };
 
 /**
@@ -119,10 +169,19 @@ Transfer.prototype.apply = async (trs) => {
  * @return {setImmediateCallback} error, cb
  */
 Transfer.prototype.undo = async (trs) => {
-    await library.account.asyncMerge(trs.recipientId, {
+    const diff = {
         address: trs.recipientId,
         balance: -trs.amount,
-    });
+    };
+    if (trs.asset && trs.asset.lock) {
+        // Lock is removed here, not by trs cascade, so restoring released locks can't count it again
+        const lock = await library.db.oneOrNone(sql.deleteLockedTransfer, { transactionId: trs.id });
+        if (!lock || !lock.releasedBlockId) {
+            diff.lockedBalance = -trs.amount;
+        }
+    }
+
+    await library.account.asyncMerge(trs.recipientId, diff);
 };
 
 /**
@@ -140,6 +199,7 @@ Transfer.prototype.applyUnconfirmed = function (trs, sender, cb) {
         modules.accounts.mergeAccountAndGet({
             address: trs.recipientId,
             u_balance: trs.amount,
+            u_lockedBalance: trs.asset && trs.asset.lock ? trs.amount : 0,
         }, errAccountGet => setImmediate(cb, errAccountGet));
     });
 };
@@ -159,6 +219,7 @@ Transfer.prototype.undoUnconfirmed = function (trs, sender, cb) {
         modules.accounts.mergeAccountAndGet({
             address: trs.recipientId,
             u_balance: -trs.amount,
+            u_lockedBalance: trs.asset && trs.asset.lock ? -trs.amount : 0,
         }, errAccountGet => setImmediate(cb, errAccountGet));
     });
 };
@@ -166,29 +227,105 @@ Transfer.prototype.undoUnconfirmed = function (trs, sender, cb) {
 Transfer.prototype.calcUndoUnconfirmed = () => {};
 
 /**
- * Deletes blockId from transaction
+ * @typedef {Object} lock
+ * @property {number} [unlockTime] - Slot timestamp the amount is released at
+ * @property {number} [unlockHeight] - Block height the amount is released at
+ */
+Transfer.prototype.schema = {
+    id: 'Transfer',
+    type: 'object',
+    properties: {
+        lock: {
+            type: 'object',
+            properties: {
+                unlockTime: {
+                    type: 'integer',
+                    minimum: 1
+                },
+                unlockHeight: {
+                    type: 'integer',
+                    minimum: 1
+                }
+            },
+            minProperties: 1,
+            maxProperties: 1
+        }
+    }
+};
+
+/**
+ * Validates asset schema and deletes blockId from transaction
+ * @implements {library.schema.validate}
  * @param {transaction} trs
  * @return {transaction}
+ * @throws {string} Failed to validate transfer schema.
  */
 Transfer.prototype.objectNormalize = function (trs) {
+    if (trs.asset) {
+        const report = library.schema.validate(trs.asset, Transfer.prototype.schema);
+
+        if (!report) {
+            throw `Failed to validate transfer schema: ${library.schema.getLastErrors()
+                .map(err => err.message).join(', ')}`;
+        }
+    }
+
     delete trs.blockId;
     return trs;
 };
 
 /**
+ * Creates lock object based on raw data.
  * @param {Object} raw
- * @return {null}
+ * @return {null|Object} lock
  */
-Transfer.prototype.dbRead = function () {
-    return null;
+Transfer.prototype.dbRead = function (raw) {
+    if (!raw.lt_unlockTime && !raw.lt_unlockHeight) {
+        return null;
+    }
+
+    const lock = {};
+    if (raw.lt_unlockTime) {
+        lock.unlockTime = Number(raw.lt_unlockTime);
+    }
+    if (raw.lt_unlockHeight) {
+        lock.unlockHeight = Number(raw.lt_unlockHeight);
+    }
+
+    return { lock };
 };
 
+Transfer.prototype.dbTable = 'locked_transfers';
+
+Transfer.prototype.dbFields = [
+    'transactionId',
+    'recipientId',
+    'amount',
+    'unlockTime',
+    'unlockHeight'
+];
+
 /**
+ * Creates db operation object to 'locked_transfers' table if transfer is locked.
  * @param {transaction} trs
- * @return {null}
+ * @return {null|Object} table, fields, values.
  */
-Transfer.prototype.dbSave = function () {
-    return null;
+Transfer.prototype.dbSave = function (trs) {
+    if (!trs.asset || !trs.asset.lock) {
+        return null;
+    }
+
+    return {
+        table: this.dbTable,
+        fields: this.dbFields,
+        values: {
+            transactionId: trs.id,
+            recipientId: trs.recipientId,
+            amount: trs.amount,
+            unlockTime: trs.asset.lock.unlockTime || null,
+            unlockHeight: trs.asset.lock.unlockHeight || null
+        }
+    };
 };
 
 /**
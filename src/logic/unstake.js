@@ -0,0 +1,392 @@
+const constants = require('../helpers/constants.js');
+const sql = require('../sql/frogings.js');
+const { LENGTH, writeUInt64LE } = require('../helpers/buffer.js');
+const stakeNotifier = require('../helpers/stakeNotifier.js');
+
+// Private fields
+let self;
+let library;
+
+/**
+ * Early unstake logic. Releases part or all of an active stake order before
+ * it is unstaked by votes. Penalty is paid to the total supply account.
+ * Unstaked part is split from the order as an inactive order with transaction
+ * id, the order keeps the remaining amount active and is disabled once empty.
+ * @memberof module:frogings
+ * @class
+ * @classdesc Main unstake logic.
+ * @param {Account} account
+ * @param {ZSchema} schema
+ * @param {Database} db
+ * @param {Object} config
+ */
+// Constructor
+function Unstake(account, schema, db, config) {
+    self = this;
+    library = {
+        account,
+        schema,
+        db,
+        config
+    };
+}
+
+// Public methods
+/**
+ * Calculates penalty for unstaking amount before its last vote.
+ * @param {number} amount
+ * @return {number} penalty
+ */
+Unstake.prototype.calculatePenalty = amount => Math.ceil((amount * constants.froze.unstakePenalty) / 100);
+
+/**
+ * Assigns stake order id, unstaked amount and its penalty to transaction asset.
+ * @param {Object} data
+ * @param {transaction} trs
+ * @return {transaction} trs with assigned data
+ */
+Unstake.prototype.create = function (data, trs) {
+    trs.recipientId = null;
+    trs.asset.unstake = {
+        stakeId: data.stakeId,
+        amount: data.amount,
+        penalty: self.calculatePenalty(data.amount)
+    };
+    trs.trsName = 'UNSTAKE';
+    return trs;
+};
+
+/**
+ * Returns fee as percent of unstaked amount.
+ * @param {transaction} trs
+ * @return {number} fee
+ */
+Unstake.prototype.calculateFee = trs => (trs.asset.unstake.amount * constants.fees.unstake) / 100;
+
+/**
+ * Returns active stake order of sender with given id.
+ * @param {string} senderId
+ * @param {string} stakeId
+ * @return {Promise<Object|null>} stake order
+ */
+Unstake.prototype.getActiveOrder = async (senderId, stakeId) =>
+    library.db.oneOrNone(sql.getActiveFrozeOrder, { senderId, stakeId });
+
+Unstake.prototype.newVerify = async (trs) => {
+    if (trs.recipientId) {
+        throw new Error('Invalid recipient');
+    }
+
+    if (trs.amount !== 0) {
+        throw new Error('Invalid transaction amount');
+    }
+
+    const unstake = trs.asset.unstake;
+
+    if (unstake.penalty !== self.calculatePenalty(unstake.amount)) {
+        throw new Error('Invalid unstake penalty');
+    }
+
+    const order = await self.getActiveOrder(trs.senderId, unstake.stakeId);
+
+    if (!order) {
+        throw new Error(`Active stake order ${unstake.stakeId} not found`);
+    }
+
+    if (unstake.amount > parseInt(order.freezedAmount, 10)) {
+        throw new Error('Unstake amount exceeds stake order amount');
+    }
+};
+
+Unstake.prototype.newVerifyUnconfirmed = async (trs, sender) => {
+    if (trs.asset.unstake.amount > parseInt(sender.u_totalFrozeAmount, 10)) {
+        throw new Error('Insufficient unconfirmed stake amount');
+    }
+
+    if (trs.asset.unstake.penalty + trs.fee > parseInt(sender.u_balance, 10)) {
+        throw new Error('Insufficient unconfirmed balance for unstake penalty');
+    }
+};
+
+/**
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb, null, trs
+ */
+Unstake.prototype.process = function (trs, sender, cb) {
+    return setImmediate(cb, null, trs);
+};
+
+/**
+ * Writes unstaked amount, penalty and stake order id.
+ * @param {transaction} trs
+ * @return {Buffer}
+ */
+Unstake.prototype.getBytes = function (trs) {
+    const buff = Buffer.alloc(LENGTH.INT64 + LENGTH.INT64);
+    let offset = 0;
+
+    offset = writeUInt64LE(buff, trs.asset.unstake.amount, offset);
+    writeUInt64LE(buff, trs.asset.unstake.penalty, offset);
+
+    return Buffer.concat([buff, Buffer.from(trs.asset.unstake.stakeId, 'utf8')]);
+};
+
+/**
+ * Releases unstaked amount of sender, pays penalty to total supply account
+ * and reduces stake order, disabling it when nothing is left.
+ * @implements {library.account.asyncMerge}
+ * @implements {stakeNotifier.send}
+ * @param {transaction} trs
+ * @throws {Error} Active stake order not found
+ */
+Unstake.prototype.apply = async (trs) => {
+    const { stakeId, amount, penalty } = trs.asset.unstake;
+    const order = await self.getActiveOrder(trs.senderId, stakeId);
+
+    if (!order || amount > parseInt(order.freezedAmount, 10)) {
+        throw new Error(`Active stake order ${stakeId} not found`);
+    }
+
+    await library.db.none(sql.reduceFrozeOrder, { stakeId, amount });
+
+    await library.account.asyncMerge(trs.senderId, {
+        balance: -penalty,
+        totalFrozeAmount: -amount
+    });
+    await library.account.asyncMerge(library.config.forging.totalSupplyAccount, {
+        balance: penalty
+    });
+
+    stakeNotifier.send(trs.senderId, 'stake/unstaked', { stakeId, amount, penalty, transactionId: trs.id });
+};
+
+/**
+ * Reverts sender and total supply account balances, removes split order and
+ * merges its amount back to stake order. Everything needed is in the asset,
+ * so undo doesn't depend on current state of the order.
+ * @implements {library.account.asyncMerge}
+ * @param {transaction} trs
+ */
+Unstake.prototype.undo = async (trs) => {
+    const { stakeId, amount, penalty } = trs.asset.unstake;
+
+    await library.account.asyncMerge(library.config.forging.totalSupplyAccount, {
+        balance: -penalty
+    });
+    await library.account.asyncMerge(trs.senderId, {
+        balance: penalty,
+        totalFrozeAmount: amount
+    });
+
+    await library.db.none(sql.removeOrderByTrsId, { transactionId: trs.id });
+    await library.db.none(sql.mergeSplitFrozeOrder, { stakeId, amount });
+};
+
+/**
+ * Merges sender and total supply account with unconfirmed unstaked amount
+ * and penalty.
+ * @implements {library.account.merge}
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+Unstake.prototype.applyUnconfirmed = function (trs, sender, cb) {
+    const { amount, penalty } = trs.asset.unstake;
+
+    library.account.merge(sender.address, {
+        u_balance: -penalty,
+        u_totalFrozeAmount: -amount
+    }, (err) => {
+        if (err) {
+            return setImmediate(cb, err);
+        }
+
+        library.account.merge(library.config.forging.totalSupplyAccount, {
+            u_balance: penalty
+        }, mergeErr => setImmediate(cb, mergeErr));
+    });
+};
+
+/**
+ * Merges sender and total supply account with negative unconfirmed unstaked
+ * amount and penalty.
+ * @implements {library.account.merge}
+ * @param {transaction} trs
+ * @param {account} sender
+ * @param {function} cb
+ * @return {setImmediateCallback} cb
+ */
+Unstake.prototype.undoUnconfirmed = function (trs, sender, cb) {
+    const { amount, penalty } = trs.asset.unstake;
+
+    library.account.merge(sender.address, {
+        u_balance: penalty,
+        u_totalFrozeAmount: amount
+    }, (err) => {
+        if (err) {
+            return setImmediate(cb, err);
+        }
+
+        library.account.merge(library.config.forging.totalSupplyAccount, {
+            u_balance: -penalty
+        }, mergeErr => setImmediate(cb, mergeErr));
+    });
+};
+
+Unstake.prototype.calcUndoUnconfirmed = (trs, sender) => {
+    sender.u_balance += trs.asset.unstake.penalty;
+    sender.u_totalFrozeAmount += trs.asset.unstake.amount;
+
+    return sender;
+};
+
+/**
+ * @typedef {Object} unstake
+ * @property {string} stakeId - Id of active stake order of sender.
+ * @property {number} amount - Unstaked amount, up to stake order amount.
+ * @property {number} penalty - Penalty paid to total supply account.
+ */
+Unstake.prototype.schema = {
+    id: 'Unstake',
+    type: 'object',
+    properties: {
+        unstake: {
+            type: 'object',
+            properties: {
+                stakeId: {
+                    type: 'string',
+                    format: 'id',
+                    minLength: 1,
+                    maxLength: 64
+                },
+                amount: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: constants.totalAmount
+                },
+                penalty: {
+                    type: 'integer',
+                    minimum: 0,
+                    maximum: constants.totalAmount
+                }
+            },
+            required: ['stakeId', 'amount', 'penalty']
+        }
+    },
+    required: ['unstake']
+};
+
+/**
+ * Validates asset schema.
+ * @implements {library.schema.validate}
+ * @param {transaction} trs
+ * @return {transaction}
+ * @throws {string} Failed to validate unstake schema.
+ */
+Unstake.prototype.objectNormalize = function (trs) {
+    const report = library.schema.validate(trs.asset, Unstake.prototype.schema);
+
+    if (!report) {
+        throw `Failed to validate unstake schema: ${library.schema.getLastErrors()
+            .map(err => err.message).join(', ')}`;
+    }
+
+    return trs;
+};
+
+/**
+ * Creates unstake object based on raw data.
+ * @param {Object} raw
+ * @return {null|unstake}
+ */
+Unstake.prototype.dbRead = function (raw) {
+    if (!raw.us_stakeId) {
+        return null;
+    }
+
+    return {
+        unstake: {
+            stakeId: raw.us_stakeId,
+            amount: Number(raw.us_amount),
+            penalty: Number(raw.us_penalty)
+        }
+    };
+};
+
+Unstake.prototype.dbTable = 'stake_unstakes';
+
+Unstake.prototype.dbFields = [
+    'transactionId',
+    'stakeId',
+    'amount',
+    'penalty'
+];
+
+Unstake.prototype.splitOrderFields = [
+    'id',
+    'status',
+    'startTime',
+    'insertTime',
+    'senderId',
+    'freezedAmount',
+    'nextVoteMilestone'
+];
+
+/**
+ * Creates db operation objects to 'stake_unstakes' table and to 'stake_orders'
+ * table with inactive unstaked part of the order, both built from the asset.
+ * Split order references transaction, so it is saved with it after apply.
+ * @param {transaction} trs
+ * @return {Object[]} table, fields, values.
+ */
+Unstake.prototype.dbSave = function (trs) {
+    const { stakeId, amount, penalty } = trs.asset.unstake;
+
+    return [{
+        table: this.dbTable,
+        fields: this.dbFields,
+        values: {
+            transactionId: trs.id,
+            stakeId,
+            amount,
+            penalty
+        }
+    }, {
+        table: 'stake_orders',
+        fields: this.splitOrderFields,
+        values: {
+            id: trs.id,
+            status: 0,
+            startTime: trs.timestamp,
+            insertTime: trs.timestamp,
+            senderId: trs.senderId,
+            freezedAmount: amount,
+            nextVoteMilestone: -1
+        }
+    }];
+};
+
+/**
+ * Checks sender multisignatures and transaction signatures.
+ * @param {transaction} trs
+ * @param {account} sender
+ * @return {boolean} True if transaction signatures greather than
+ * sender multimin or there are not sender multisignatures.
+ */
+Unstake.prototype.ready = function (trs, sender) {
+    if (Array.isArray(sender.multisignatures) && sender.multisignatures.length) {
+        if (!Array.isArray(trs.signatures)) {
+            return false;
+        }
+        return trs.signatures.length >= sender.multimin;
+    }
+    return true;
+};
+
+// Export
+module.exports = Unstake;
+
+/** ************************************* END OF FILE ************************************ */
@@ -75,7 +75,7 @@ Vote.prototype.create = async function (data, trs) {
         isDownVote = data.votes[0][0] === '-';
     }
     const totals = await library.frozen.calculateTotalRewardAndUnstake(senderId, isDownVote, trs.timestamp);
-    const airdropReward = await library.frozen.getAirdropReward(senderId, totals.reward, data.type);
+    const airdropReward = await library.frozen.createAirdropReward(senderId, totals.reward, data.type);
 
     trs.asset.votes = data.votes;
     trs.asset.reward = totals.reward || 0;
@@ -272,7 +272,7 @@ Vote.prototype.newVerifyFields = (trs) => {
     }
 };
 
-Vote.prototype.newVerify = async (trs) => {
+Vote.prototype.newVerify = async (trs, sender, block) => {
     try {
         self.newVerifyFields(trs);
     } catch (e) {
@@ -295,7 +295,7 @@ Vote.prototype.newVerify = async (trs) => {
     }
 
     try {
-        await library.frozen.verifyAirdrop(trs);
+        await library.frozen.verifyAirdrop(trs, block);
     } catch (e) {
         throw e;
     }
@@ -447,6 +447,14 @@ Vote.prototype.apply = async (trs) => {
             }
         }
     }
+
+    // Weights are taken once stake orders of voter are updated by vote
+    await library.db.none(DelegateSQL.addVoteHistory, {
+        transactionId: trs.id,
+        accountId: trs.senderId,
+        dependentIds: votes,
+        isDownVote
+    });
 };
 
 Vote.prototype.undo = async (trs) => {
@@ -465,6 +473,7 @@ Vote.prototype.undo = async (trs) => {
     }
 
     await library.db.none(sql.changeDelegateVoteCount({ value: isDownVote ? 1 : -1, votes }));
+    await library.db.none(DelegateSQL.removeVoteHistory, { transactionId: trs.id });
 
     if (isDownVote) {
         return;
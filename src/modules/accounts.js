@@ -8,6 +8,7 @@ const transactionTypes = require('../helpers/transactionTypes.js');
 const Vote = require('../logic/vote.js');
 const Referral = require('../logic/referral.js');
 const sql = require('../sql/accounts.js');
+const delegatesSql = require('../sql/delegates.js');
 const cache = require('./cache.js');
 const jwt = require('jsonwebtoken');
 const QRCode = require('qrcode');
@@ -17,7 +18,7 @@ const async = require('async');
 
 let nextBonus = 0;
 const Mnemonic = require('bitcore-mnemonic');
-const mailServices = require('../helpers/postmark');
+const mailer = require('../helpers/mailer');
 // Private fields
 let modules,
     library,
@@ -408,32 +409,20 @@ Accounts.prototype.shared = {
                         multisignatures: account.multisignatures,
                         u_multisignatures: account.u_multisignatures,
                         totalFrozeAmount: account.totalFrozeAmount,
+                        lockedBalance: account.lockedBalance,
                         groupBonus: account.group_bonus
                     };
 
                     accountData.token = token;
 
                     if (req.body.email) {
-                        const mailOptions = {
-                            From: library.config.mailFrom,
-                            To: req.body.email,
-                            TemplateId: constants.TemplateId.welcomeMail,
-                            TemplateModel: {
-                                ddk: {
-                                    username: req.body.email,
-                                    ddk_address: accountData.address,
-                                    public_key: accountData.publicKey
-                                }
-                            }
-                        };
-                        (async function () {
-                            await mailServices.sendEmailWithTemplate(mailOptions, (err) => {
-                                if (err) {
-                                    library.logger.error(err.stack);
-                                    return setImmediate(cb, err.toString());
-                                }
-                            });
-                        }());
+                        mailer.enqueue('welcome', req.body.email, {
+                            username: req.body.email,
+                            address: accountData.address,
+                            publicKey: accountData.publicKey
+                        }).catch((error) => {
+                            library.logger.error(`Welcome mail is not queued: ${error}`);
+                        });
                     }
 
                     // library.cache.client.set('jwtToken_' + account.address, token, 'ex', 100);
@@ -481,8 +470,9 @@ Accounts.prototype.shared = {
 
                 const balance = account ? account.balance : '0';
                 const unconfirmedBalance = account ? account.u_balance : '0';
+                const lockedBalance = account ? account.lockedBalance : '0';
 
-                return setImmediate(cb, null, { balance: balance, unconfirmedBalance });
+                return setImmediate(cb, null, { balance: balance, unconfirmedBalance, lockedBalance });
             });
         });
     },
@@ -556,6 +546,42 @@ Accounts.prototype.shared = {
         return setImmediate(cb, null, { fee: constants.fees.delegate });
     },
 
+    /**
+     * Votes and unvotes made by address, latest first, with block height, weight of the vote
+     * and resulting voters and weight of delegate. Weights of votes applied before
+     * vote history was kept are null.
+     * @param {Object} req - contains the address, limit and offset.
+     * @param {function} cb
+     */
+    getVoteHistory(req, cb) {
+        library.schema.validate(req.body, schema.getVoteHistory, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            library.db.manyOrNone(delegatesSql.getAccountVoteHistory, {
+                address: req.body.address,
+                limit: req.body.limit || 100,
+                offset: req.body.offset || 0
+            })
+                .then(rows => setImmediate(cb, null, {
+                    votes: rows.map(row => ({
+                        transactionId: row.transactionId,
+                        height: row.height,
+                        timestamp: row.timestamp,
+                        publicKey: row.publicKey,
+                        username: row.username,
+                        type: row.isDownVote ? 'unvote' : 'vote',
+                        weight: row.weight === null ? null : parseInt(row.weight, 10),
+                        voteCount: row.voteCount,
+                        totalWeight: row.totalWeight === null ? null : parseInt(row.totalWeight, 10)
+                    })),
+                    count: rows.length ? parseInt(rows[0].count, 10) : 0
+                }))
+                .catch(error => setImmediate(cb, error.toString()));
+        });
+    },
+
     addDelegates(req, cb) {
         library.schema.validate(req.body, schema.addDelegates, (err) => {
             if (err) {
@@ -598,7 +624,11 @@ Accounts.prototype.shared = {
                     }
 
                     const fee = library.logic.vote.calculateUnconfirmedFee(null, account);
-                    if (Number(account.u_balance) - Number(account.u_totalFrozeAmount) < fee) {
+                    if (
+                        Number(account.u_balance) -
+                        Number(account.u_totalFrozeAmount) -
+                        Number(account.u_lockedBalance) < fee
+                    ) {
                         return setImmediate(cb, 'Insufficient balance');
                     }
 
@@ -664,7 +694,8 @@ Accounts.prototype.shared = {
                         secondPublicKey: account.secondPublicKey,
                         multisignatures: account.multisignatures || [],
                         u_multisignatures: account.u_multisignatures || [],
-                        totalFrozeAmount: account.totalFrozeAmount
+                        totalFrozeAmount: account.totalFrozeAmount,
+                        lockedBalance: account.lockedBalance
                     }
                 });
             });
@@ -39,7 +39,7 @@ function Blocks(cb, scope) {
     // Initialize submodules with library content
     this.submodules = {
         api: new blocksAPI(
-            scope.logger, scope.db, scope.logic.block, scope.schema, scope.dbSequence
+            scope.logger, scope.db, scope.logic.block, scope.schema, scope.dbSequence, scope.config
         ),
         verify: new blocksVerify(scope.logger, scope.logic.block,
             scope.logic.transaction, scope.db, scope.config
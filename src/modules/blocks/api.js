@@ -1,4 +1,5 @@
 const BlockReward = require('../../logic/blockReward.js');
+const StakeReward = require('../../logic/stakeReward.js');
 const constants = require('../../helpers/constants.js');
 const OrderBy = require('../../helpers/orderBy.js');
 const schema = require('../../schema/blocks.js');
@@ -22,8 +23,9 @@ __private.blockReward = new BlockReward();
  * @param {Block} block
  * @param {ZSchema} schema
  * @param {Sequence} dbSequence
+ * @param {Object} config
  */
-function API(logger, db, block, Schema, dbSequence) {
+function API(logger, db, block, Schema, dbSequence, config) {
     library = {
         logger,
         db,
@@ -35,6 +37,8 @@ function API(logger, db, block, Schema, dbSequence) {
     };
     self = this;
 
+    __private.stakeReward = new StakeReward(config.stakeRewards);
+
     library.logger.trace('Blocks->API: Submodule initialized.');
     return self;
 }
@@ -295,8 +299,11 @@ API.prototype.getMilestone = function (req, cb) {
         return setImmediate(cb, 'Blockchain is loading');
     }
 
+    const height = modules.blocks.lastBlock.get().height;
+
     return setImmediate(cb, null, {
-        milestone: __private.blockReward.calcMilestone(modules.blocks.lastBlock.get().height)
+        milestone: __private.blockReward.calcMilestone(height),
+        stakeReward: __private.stakeReward.getMilestone(height)
     });
 };
 
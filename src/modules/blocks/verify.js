@@ -48,7 +48,8 @@ __private.newCheckTransaction = async (block, trs, sender, checkExists) => {
         await library.logic.transaction.newVerify({
             trs,
             sender,
-            checkExists
+            checkExists,
+            block
         });
     } catch (e) {
         return { success: false, errors: [e.message || e] };
@@ -246,7 +246,7 @@ Cache.prototype.onNewBlock = function (block, broadcast, cb) {
     if (!self.isReady()) {
         return cb(errorCacheDisabled);
     }
-    async.map(['/api/blocks*', '/api/transactions*'], (pattern, mapCb) => {
+    async.map(['/api/blocks*', '/api/transactions*', '/api/referral*'], (pattern, mapCb) => {
         self.removeByPattern(pattern, (err) => {
             if (err) {
                 logger.error(['Error clearing keys with pattern:', pattern, ' on new block'].join(' '));
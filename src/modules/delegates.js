@@ -905,6 +905,44 @@ Delegates.prototype.shared = {
         });
     },
 
+    /**
+     * Voters and total vote weight of delegate over time, one entry per vote or unvote
+     * between heights. Weights of votes applied before vote history was kept are null.
+     * @param {Object} req - contains the public key, optional heights, limit and offset.
+     * @param {function} cb
+     */
+    getVoteHistory(req, cb) {
+        library.schema.validate(req.body, schema.getVoteHistory, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            library.db.manyOrNone(sql.getDelegateVoteHistory, {
+                publicKey: req.body.publicKey,
+                fromHeight: req.body.fromHeight || 1,
+                toHeight: req.body.toHeight || modules.blocks.lastBlock.get().height,
+                limit: req.body.limit || 100,
+                offset: req.body.offset || 0
+            })
+                .then(rows => setImmediate(cb, null, {
+                    history: rows.map(row => ({
+                        transactionId: row.transactionId,
+                        height: row.height,
+                        timestamp: row.timestamp,
+                        address: row.address,
+                        type: row.isDownVote ? 'unvote' : 'vote',
+                        weight: row.weight === null ? null : parseInt(row.weight, 10),
+                        voteCount: row.voteCount,
+                        totalWeight: row.totalWeight === null ? null : parseInt(row.totalWeight, 10)
+                    }))
+                }))
+                .catch((historyErr) => {
+                    library.logger.error(historyErr.stack);
+                    return setImmediate(cb, 'Failed to get vote history for delegate: ' + req.body.publicKey);
+                });
+        });
+    },
+
     getDelegates(req, cb) {
         library.schema.validate(req.body, schema.getDelegates, (err) => {
             if (err) {
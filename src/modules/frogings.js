@@ -3,9 +3,15 @@ const schema = require('../schema/frogings.js');
 const sql = require('../sql/frogings.js');
 const transactionTypes = require('../helpers/transactionTypes.js');
 const Frozen = require('../logic/frozen.js');
+const Unstake = require('../logic/unstake.js');
+const StakePool = require('../logic/stakePool.js');
+const StakePoolMember = require('../logic/stakePoolMember.js');
 const constants = require('../helpers/constants.js');
 const cache = require('./cache.js');
 const slots = require('../helpers/slots.js');
+const jobsQueue = require('../helpers/jobsQueue.js');
+const stakeNotifier = require('../helpers/stakeNotifier.js');
+const OrderBy = require('../helpers/orderBy.js');
 
 const COUNT_ACTIVE_STAKE_HOLDERS_KEY = 'COUNT_ACTIVE_STAKE_HOLDERS';
 const COUNT_ACTIVE_STAKE_HOLDERS_EXPIRE = 300; // 5 minutes
@@ -47,6 +53,7 @@ function Frogings(cb, scope) {
         ed: scope.ed,
         balancesSequence: scope.balancesSequence,
         logic: {
+            account: scope.logic.account,
             transaction: scope.logic.transaction,
             frozen: scope.logic.frozen
         },
@@ -57,6 +64,8 @@ function Frogings(cb, scope) {
 
     self = this;
 
+    stakeNotifier.init(scope.config.stakeNotifications, scope.logger);
+
     __private.assetTypes[transactionTypes.STAKE] = library.logic.transaction.attachAssetType(
         transactionTypes.STAKE, new Frozen(
             scope.logger,
@@ -69,6 +78,20 @@ function Frogings(cb, scope) {
         )
     );
 
+    __private.assetTypes[transactionTypes.UNSTAKE] = library.logic.transaction.attachAssetType(
+        transactionTypes.UNSTAKE, new Unstake(scope.logic.account, scope.schema, scope.db, scope.config)
+    );
+
+    __private.assetTypes[transactionTypes.STAKE_POOL] = library.logic.transaction.attachAssetType(
+        transactionTypes.STAKE_POOL, new StakePool(scope.schema, scope.db)
+    );
+
+    [transactionTypes.STAKE_POOL_JOIN, transactionTypes.STAKE_POOL_LEAVE].forEach((type) => {
+        __private.assetTypes[type] = library.logic.transaction.attachAssetType(
+            type, new StakePoolMember(scope.schema, scope.db)
+        );
+    });
+
     setImmediate(cb, null, self);
 }
 
@@ -94,6 +117,8 @@ function Frogings(cb, scope) {
 Frogings.prototype.onBind = function (scope) {
     modules = {
         accounts: scope.accounts,
+        blocks: scope.blocks,
+        rounds: scope.rounds,
         transactions: scope.transactions
     };
 
@@ -105,6 +130,99 @@ Frogings.prototype.onBind = function (scope) {
     );
 };
 
+/**
+ * Starts reminding owners of stake orders whose vote milestone has passed
+ * and fills missing staking statistics.
+ * @implements {jobsQueue.register}
+ */
+Frogings.prototype.onBlockchainReady = function () {
+    if (__private.voteDueCheckTime !== undefined) {
+        return;
+    }
+    __private.voteDueCheckTime = slots.getTime();
+
+    __private.backfillStakeStats().catch((err) => {
+        library.logger.error(`[Frogings][backfillStakeStats]: ${err}`);
+    });
+
+    jobsQueue.register('frogingsVoteDue', (cb) => {
+        __private.notifyVoteDue()
+            .catch((err) => {
+                library.logger.error(`[Frogings][notifyVoteDue]: ${err}`);
+            })
+            .then(() => setImmediate(cb));
+    }, constants.STAKE_VOTE_DUE_CHECK_INTERVAL);
+};
+
+/**
+ * Fills staking statistics of rounds applied before they were kept by round
+ * ticks, if any round of the chain is missing.
+ * @private
+ */
+__private.backfillStakeStats = async function () {
+    const height = modules.blocks.lastBlock.get().height;
+    const stats = await library.db.one(sql.countStakeStats);
+
+    if (parseInt(stats.count, 10) >= modules.rounds.calc(height)) {
+        return;
+    }
+
+    await library.db.query(sql.backfillStakeStats, {
+        delegates: modules.rounds.getSlotDelegatesCount(height)
+    });
+};
+
+/**
+ * Returns staking statistics by round or by UTC day, ordered by time.
+ * @private
+ * @param {Object} filter - `from` and `to` epoch time, `interval` and `limit`.
+ * @return {Promise<Object[]>}
+ */
+__private.getStakeStats = async function (filter) {
+    const params = {
+        from: filter.from || 0,
+        to: filter.to === undefined ? slots.getTime() : filter.to,
+        limit: filter.limit || 100,
+        epoch: Math.floor(constants.epochTime.getTime() / 1000)
+    };
+    const rows = await library.db.query(
+        filter.interval === 'day' ? sql.getStakeStatsByDay : sql.getStakeStatsByRound, params
+    );
+
+    return rows.map(row => ({
+        round: row.round,
+        timestamp: row.timestamp,
+        date: new Date(slots.getRealTime(row.timestamp)).toISOString(),
+        totalStaked: parseInt(row.totalStaked, 10),
+        stakeholders: parseInt(row.stakeholders, 10),
+        rewards: parseInt(row.rewards, 10),
+        unstaked: parseInt(row.unstaked, 10),
+        airdrop: parseInt(row.airdrop, 10)
+    }));
+};
+
+/**
+ * Sends `stake/vote-due` for each active order whose vote milestone has passed
+ * since the previous check. Orders voted for have their milestone moved forward.
+ * @private
+ * @implements {stakeNotifier.send}
+ */
+__private.notifyVoteDue = async function () {
+    const currentTime = slots.getTime();
+    const orders = await library.db.manyOrNone(sql.getVoteDueOrders, {
+        from: __private.voteDueCheckTime,
+        to: currentTime
+    });
+    __private.voteDueCheckTime = currentTime;
+
+    orders.forEach((order) => {
+        stakeNotifier.send(order.senderId, 'stake/vote-due', {
+            stakeId: order.id,
+            nextVoteMilestone: parseInt(order.nextVoteMilestone, 10)
+        });
+    });
+};
+
 __private.getMyDDKFrozen = async function (account) {
     return new Promise(async (resolve, reject) => {
         try {
@@ -179,6 +297,204 @@ __private.getAllActiveFreezeOrders = async function (account) {
     });
 };
 
+/**
+ * Returns address given in request or derived from its public key.
+ * @private
+ * @param {Object} body - `address` and/or `publicKey`.
+ * @return {Object} error | {address}.
+ */
+__private.getRequestAddress = function (body) {
+    if (!body.address && !body.publicKey) {
+        return { error: 'Missing address or publicKey' };
+    }
+
+    const address = body.publicKey ? modules.accounts.generateAddressByPublicKey(body.publicKey) : body.address;
+
+    if (body.address && body.address !== address) {
+        return { error: 'Address does not match publicKey' };
+    }
+    return { address };
+};
+
+/**
+ * Returns page of stake orders of an address filtered by status.
+ * @private
+ * @param {Object} filter - `address`, `status`, `limit`, `offset` and `orderBy`.
+ * @return {Promise<Object>} Orders and their total count.
+ * @throws {string} Invalid sort field
+ */
+__private.getStakeOrders = async function (filter) {
+    const where = ['"senderId" = ${senderId}'];
+    const params = {
+        senderId: filter.address,
+        limit: filter.limit || 10,
+        offset: filter.offset || 0
+    };
+
+    if (filter.status !== undefined) {
+        where.push('"status" = ${status}');
+        params.status = filter.status;
+    }
+
+    const orderBy = OrderBy(filter.orderBy || 'insertTime:desc', { sortFields: sql.sortFields });
+
+    if (orderBy.error) {
+        throw orderBy.error;
+    }
+
+    const [count, orders] = await Promise.all([
+        library.db.one(sql.countOrdersList({ where }), params),
+        library.db.query(sql.ordersList({
+            where,
+            sortField: orderBy.sortField,
+            sortMethod: orderBy.sortMethod
+        }), params)
+    ]);
+
+    return { orders, count: count.count };
+};
+
+/**
+ * Returns airdrop budget from chain state: airdrop account balance, reward
+ * reserved by transactions in pool and projected height the budget is spent at,
+ * by average spending of recent rounds.
+ * @private
+ * @return {Promise<Object>} Airdrop status.
+ */
+__private.getAirdropStatus = async function () {
+    const height = modules.blocks.lastBlock.get().height;
+    const [balance, spent] = await Promise.all([
+        library.logic.frozen.getAirdropBalance(),
+        library.db.one(sql.getRecentAirdropSpent, { limit: constants.AIRDROP_DEPLETION_ROUNDS })
+    ]);
+    const reserved = library.logic.frozen.getReservedAirdropReward();
+    const available = Math.max(balance - reserved, 0);
+    const spentBlocks = parseInt(spent.rounds, 10) * modules.rounds.getSlotDelegatesCount(height);
+    const spentPerBlock = spentBlocks ? parseInt(spent.airdrop, 10) / spentBlocks : 0;
+
+    return {
+        account: constants.airdrop.account,
+        balance,
+        reserved,
+        available,
+        enabled: available > 0,
+        spentPerBlock: Math.floor(spentPerBlock),
+        projectedDepletionHeight: spentPerBlock > 0 ? height + Math.ceil(available / spentPerBlock) : null
+    };
+};
+
+/**
+ * Returns page of stake pools, or a single pool, with their active orders summary.
+ * @private
+ * @param {Object} filter - `id`, `limit` and `offset`.
+ * @return {Promise<Object>} Pools and their total count.
+ */
+__private.getStakePools = async function (filter) {
+    const [count, rows] = await Promise.all([
+        library.db.one(sql.countStakePools),
+        library.db.query(sql.getStakePools, {
+            id: filter.id || null,
+            limit: filter.limit || 10,
+            offset: filter.offset || 0
+        })
+    ]);
+
+    return {
+        pools: rows.map(row => ({
+            id: row.id,
+            operatorId: row.operatorId,
+            name: row.name,
+            commission: parseInt(row.commission, 10),
+            orders: parseInt(row.orders, 10),
+            members: parseInt(row.members, 10),
+            totalStaked: parseInt(row.totalStaked, 10)
+        })),
+        count: parseInt(count.count, 10)
+    };
+};
+
+/**
+ * Creates transaction signed with secret of request and puts it in queue.
+ * @private
+ * @param {Object} body - `secret` and optional `secondSecret`.
+ * @param {Object} data - Transaction type and asset data.
+ * @param {function} cb - Callback function.
+ * @return {setImmediateCallback} error | {transaction}
+ */
+__private.addTransaction = function (body, data, cb) {
+    const hash = crypto.createHash('sha256').update(body.secret, 'utf8').digest();
+    const keypair = library.ed.makeKeypair(hash);
+    const publicKey = keypair.publicKey.toString('hex');
+
+    library.balancesSequence.add((sequenceCb) => {
+        modules.accounts.setAccountAndGet({ publicKey }, (err, account) => {
+            if (err) {
+                return setImmediate(sequenceCb, err);
+            }
+            if (!account || !account.publicKey) {
+                return setImmediate(sequenceCb, 'Account not found');
+            }
+
+            if (account.secondSignature && !body.secondSecret) {
+                return setImmediate(sequenceCb, 'Missing second passphrase');
+            }
+
+            let secondKeypair = null;
+
+            if (account.secondSignature) {
+                const secondHash = crypto.createHash('sha256').update(body.secondSecret, 'utf8').digest();
+                secondKeypair = library.ed.makeKeypair(secondHash);
+            }
+
+            library.logic.transaction.create(Object.assign({
+                sender: account,
+                keypair,
+                secondKeypair
+            }, data)).then((transaction) => {
+                modules.transactions.putInQueue(transaction);
+                return setImmediate(sequenceCb, null, transaction);
+            }).catch(e => setImmediate(sequenceCb, e.toString()));
+        });
+    }, (err, transaction) => {
+        if (err) {
+            return setImmediate(cb, err);
+        }
+        return setImmediate(cb, null, { transaction });
+    });
+};
+
+/**
+ * Projects the schedule of every active stake order of an account, or of
+ * a hypothetical order when no address is given.
+ * @private
+ * @param {Object} params - `address` or `freezedAmount` with optional `startTime` and `compound`.
+ * @return {Promise<Object>} Projected orders and their total reward.
+ */
+__private.getProjection = async function (params) {
+    const height = modules.blocks.lastBlock.get().height;
+    const currentTime = slots.getTime();
+    let orders;
+
+    if (params.address) {
+        orders = await library.db.query(sql.getAllActiveFrozeOrders, { senderId: params.address });
+    } else {
+        orders = [{
+            id: null,
+            freezedAmount: params.freezedAmount,
+            voteCount: 0,
+            nextVoteMilestone: params.startTime === undefined ? currentTime : params.startTime,
+            compound: Boolean(params.compound)
+        }];
+    }
+
+    const projections = orders.map(order => library.logic.frozen.calculateProjection(order, height, currentTime));
+
+    return {
+        orders: projections,
+        totalReward: projections.reduce((total, projection) => total + projection.totalReward, 0)
+    };
+};
+
 // Shared API
 /**
  * @todo implement API comments with apidoc.
@@ -335,6 +651,7 @@ Frogings.prototype.shared = {
                     library.logic.transaction.create({
                         type: transactionTypes.STAKE,
                         freezedAmount: req.body.freezedAmount,
+                        compound: req.body.compound,
                         sender: account,
                         keypair,
                         secondKeypair
@@ -357,6 +674,207 @@ Frogings.prototype.shared = {
         });
     },
 
+    addTransactionForUnstake(req, cb) {
+        library.schema.validate(req.body, schema.addTransactionForUnstake, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.addTransaction(req.body, {
+                type: transactionTypes.UNSTAKE,
+                stakeId: req.body.stakeId,
+                amount: req.body.amount
+            }, (addErr, result) => {
+                if (addErr) {
+                    return setImmediate(cb, addErr);
+                }
+                library.network.io.sockets.emit('updateTotalStakeAmount', null);
+                return setImmediate(cb, null, result);
+            });
+        });
+    },
+
+    addTransactionForStakePool(req, cb) {
+        library.schema.validate(req.body, schema.addTransactionForStakePool, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.addTransaction(req.body, {
+                type: transactionTypes.STAKE_POOL,
+                name: req.body.name,
+                commission: req.body.commission
+            }, cb);
+        });
+    },
+
+    addTransactionForStakePoolJoin(req, cb) {
+        library.schema.validate(req.body, schema.addTransactionForStakePoolMember, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.addTransaction(req.body, {
+                type: transactionTypes.STAKE_POOL_JOIN,
+                poolId: req.body.poolId,
+                stakeId: req.body.stakeId
+            }, cb);
+        });
+    },
+
+    addTransactionForStakePoolLeave(req, cb) {
+        library.schema.validate(req.body, schema.addTransactionForStakePoolMember, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.addTransaction(req.body, {
+                type: transactionTypes.STAKE_POOL_LEAVE,
+                poolId: req.body.poolId,
+                stakeId: req.body.stakeId
+            }, cb);
+        });
+    },
+
+    getAirdropStatus(req, cb) {
+        __private.getAirdropStatus()
+            .then(status => setImmediate(cb, null, status))
+            .catch(err => setImmediate(cb, err.toString()));
+    },
+
+    getStakePools(req, cb) {
+        library.schema.validate(req.body, schema.getStakePools, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.getStakePools(req.body)
+                .then(result => setImmediate(cb, null, result))
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getStakePool(req, cb) {
+        library.schema.validate(req.body, schema.getStakePool, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.getStakePools({ id: req.body.id, limit: 1 })
+                .then(({ pools }) => {
+                    if (!pools.length) {
+                        return setImmediate(cb, 'Stake pool not found');
+                    }
+                    return setImmediate(cb, null, { pool: pools[0] });
+                })
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getStakePoolOrders(req, cb) {
+        library.schema.validate(req.body, schema.getStakePoolOrders, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            const params = {
+                poolId: req.body.id,
+                limit: req.body.limit || 10,
+                offset: req.body.offset || 0
+            };
+
+            Promise.all([
+                library.db.one(sql.countStakePoolOrders, params),
+                library.db.query(sql.getStakePoolOrders, params)
+            ])
+                .then(([count, orders]) => setImmediate(cb, null, { orders, count: parseInt(count.count, 10) }))
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getProjection(req, cb) {
+        library.schema.validate(req.body, schema.getProjection, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            if (!req.body.address && !req.body.freezedAmount) {
+                return setImmediate(cb, 'Missing address or freezedAmount');
+            }
+
+            __private.getProjection(req.body)
+                .then(projection => setImmediate(cb, null, projection))
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getStakeOrders(req, cb) {
+        library.schema.validate(req.body, schema.getStakeOrders, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            const { error, address } = __private.getRequestAddress(req.body);
+
+            if (error) {
+                return setImmediate(cb, error);
+            }
+
+            __private.getStakeOrders(Object.assign({}, req.body, { address }))
+                .then(result => setImmediate(cb, null, result))
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getStakedAmount(req, cb) {
+        library.schema.validate(req.body, schema.getStakedAmount, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            const { error, address } = __private.getRequestAddress(req.body);
+
+            if (error) {
+                return setImmediate(cb, error);
+            }
+
+            library.db.one(sql.getMyStakedAmount, { address })
+                .then(row => setImmediate(cb, null, { address, totalDDKStaked: parseInt(row.sum, 10) || 0 }))
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getStakeStats(req, cb) {
+        library.schema.validate(req.body, schema.getStakeStats, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.getStakeStats(req.body)
+                .then(stats => setImmediate(cb, null, { stats }))
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
+    getStakeLineage(req, cb) {
+        library.schema.validate(req.body, schema.getStakeLineage, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            library.db.query(sql.getStakeLineage, { id: req.body.id })
+                .then((rows) => {
+                    const lineage = library.logic.frozen.buildLineage(rows);
+
+                    if (!lineage) {
+                        return setImmediate(cb, 'Stake order not found');
+                    }
+                    return setImmediate(cb, null, lineage);
+                })
+                .catch(err => setImmediate(cb, err.toString()));
+        });
+    },
+
     getRewardHistory(req, cb) {
         const params = {};
         if (req.body.limit) {
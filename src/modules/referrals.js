@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const mailer = require('../helpers/mailer.js');
+const schema = require('../schema/referrals.js');
+const sql = require('../sql/referal_sql.js');
+const constants = require('../helpers/constants.js');
+const transactionTypes = require('../helpers/transactionTypes.js');
+const ReferralChange = require('../logic/referralChange.js');
+const cache = require('./cache.js');
+
+// Cleared by cache module on every new block
+const REFERRAL_TREE_KEY = '/api/referral/tree';
+
+// Private fields
+let modules,
+    library,
+    self;
+const __private = {};
+
+__private.assetTypes = {};
+
+/**
+ * Initializes library with scope content and generates a ReferralChange instance.
+ * Calls logic.transaction.attachAssetType().
+ * @memberof module:referrals
+ * @class
+ * @classdesc Main referrals methods.
+ * @param {function} cb - Callback function.
+ * @param {scope} scope - App instance.
+ * @return {setImmediateCallback} Callback function with `self` as data.
+ */
+// Constructor
+function Referrals(cb, scope) {
+    library = {
+        logger: scope.logger,
+        db: scope.db,
+        schema: scope.schema,
+        ed: scope.ed,
+        balancesSequence: scope.balancesSequence,
+        logic: {
+            transaction: scope.logic.transaction
+        },
+        config: scope.config
+    };
+    self = this;
+
+    __private.assetTypes[transactionTypes.REFERRAL_CHANGE] = library.logic.transaction.attachAssetType(
+        transactionTypes.REFERRAL_CHANGE, new ReferralChange(scope.schema, scope.db)
+    );
+
+    setImmediate(cb, null, self);
+}
+
+// Private methods
+/**
+ * Get downline of address with per-level statistics and page of its members.
+ * Result is cached until next block.
+ *
+ * @private
+ * @async
+ * @method getTree
+ * @param  {Object} filter Conditions to filter with
+ * @param  {string} filter.address Address whose downline we have to get
+ * @param  {number} filter.level Level of listed members, default: all levels
+ * @param  {number} filter.limit Limit of members to retrieve, default: 100
+ * @param  {number} filter.offset Offset from where to start
+ * @return {Promise<Object>} levels - members, active stakers, staked volume and rewards per level,
+ * members - page of downline members, count - total count of listed members.
+ */
+__private.getTree = async function (filter) {
+    const params = {
+        address: filter.address,
+        depth: constants.airdrop.referralPercentPerLevel.length,
+        level: filter.level || null,
+        limit: filter.limit || 100,
+        offset: filter.offset || 0
+    };
+
+    const key = `${REFERRAL_TREE_KEY}/${params.address}?level=${params.level}` +
+        `&limit=${params.limit}&offset=${params.offset}`;
+
+    try {
+        const resultFromCache = await cache.prototype.getJsonForKeyAsync(key);
+
+        if (resultFromCache !== null) {
+            return resultFromCache;
+        }
+    } catch (err) {
+        library.logger.debug(`Referral tree cache is not available: ${err}`);
+    }
+
+    const levelRows = await library.db.manyOrNone(sql.getReferralTreeLevels, params);
+    const members = await library.db.manyOrNone(sql.getReferralTreeMembers, params);
+
+    // Empty levels of downline are listed with zeros
+    const levels = constants.airdrop.referralPercentPerLevel.map((percent, index) => {
+        const row = levelRows.find(levelRow => levelRow.level === index + 1);
+
+        return {
+            level: index + 1,
+            members: row ? row.members : 0,
+            stakers: row ? row.stakers : 0,
+            staked: row ? parseInt(row.staked, 10) : 0,
+            rewards: row ? parseInt(row.rewards, 10) : 0
+        };
+    });
+
+    const result = {
+        levels,
+        members: members.map(member => ({
+            address: member.address,
+            level: member.level,
+            staked: parseInt(member.staked, 10),
+            isStaking: member.isStaking
+        })),
+        count: members.length ? members[0].count : 0
+    };
+
+    try {
+        await cache.prototype.setJsonForKeyAsync(key, result);
+    } catch (err) {
+        library.logger.debug(`Referral tree is not cached: ${err}`);
+    }
+
+    return result;
+};
+
+/**
+ * Creates transaction signed with secret of request and puts it in queue.
+ * @private
+ * @param {Object} body - secret and optional secondSecret.
+ * @param {Object} data - type and asset data of transaction.
+ * @param {function} cb
+ */
+__private.addTransaction = function (body, data, cb) {
+    const hash = crypto.createHash('sha256').update(body.secret, 'utf8').digest();
+    const keypair = library.ed.makeKeypair(hash);
+    const publicKey = keypair.publicKey.toString('hex');
+
+    library.balancesSequence.add((sequenceCb) => {
+        modules.accounts.setAccountAndGet({ publicKey }, (err, account) => {
+            if (err) {
+                return setImmediate(sequenceCb, err);
+            }
+            if (!account || !account.publicKey) {
+                return setImmediate(sequenceCb, 'Account not found');
+            }
+
+            if (account.secondSignature && !body.secondSecret) {
+                return setImmediate(sequenceCb, 'Missing second passphrase');
+            }
+
+            let secondKeypair = null;
+
+            if (account.secondSignature) {
+                const secondHash = crypto.createHash('sha256').update(body.secondSecret, 'utf8').digest();
+                secondKeypair = library.ed.makeKeypair(secondHash);
+            }
+
+            library.logic.transaction.create(Object.assign({
+                sender: account,
+                keypair,
+                secondKeypair
+            }, data)).then((transaction) => {
+                modules.transactions.putInQueue(transaction);
+                return setImmediate(sequenceCb, null, transaction);
+            }).catch(e => setImmediate(sequenceCb, e.toString()));
+        });
+    }, (err, transaction) => {
+        if (err) {
+            return setImmediate(cb, err);
+        }
+        return setImmediate(cb, null, { transaction });
+    });
+};
+
+// Public methods
+/**
+ * Checks if `modules` is loaded.
+ * @return {boolean} True if `modules` is loaded.
+ */
+Referrals.prototype.isLoaded = function () {
+    return !!modules;
+};
+
+// Events
+/**
+ * Assigns modules to private variable `modules`.
+ * @param {modules} scope - Loaded modules.
+ */
+Referrals.prototype.onBind = function (scope) {
+    modules = {
+        accounts: scope.accounts,
+        transactions: scope.transactions
+    };
+};
+
+// Shared API
+/**
+ * @todo implement API comments with apidoc.
+ * @see {@link http://apidocjs.com/}
+ */
+Referrals.prototype.shared = {
+
+    /**
+     * Shares referral link of authenticated account through email, sent by mail queue.
+     * Link is built from configured referral url and address of the account,
+     * so node can not be used to send arbitrary links.
+     * @param {Object} req - contains the email id and decoded access token.
+     * @param {function} cb
+     */
+    sendEmail(req, cb) {
+        library.schema.validate(req.body, schema.sendEmail, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            if (!req.decoded || !req.decoded.address) {
+                return setImmediate(cb, 'Authentication required');
+            }
+
+            if (!library.config.mail.referralUrl) {
+                return setImmediate(cb, 'Referral link is not configured');
+            }
+
+            mailer.enqueue('referral', req.body.email, {
+                username: req.body.email,
+                referralLink: `${library.config.mail.referralUrl}${req.decoded.address}`
+            })
+                .then(() => setImmediate(cb, null, { info: 'Mail queued successfully' }))
+                .catch((error) => {
+                    library.logger.error(`Referral mail is not queued: ${error}`);
+                    return setImmediate(cb, 'Failed to queue email');
+                });
+        });
+    },
+
+    /**
+     * Sets or corrects introducer of account, accepted only before its first stake.
+     * @param {Object} req - contains the secret and address of new introducer.
+     * @param {function} cb
+     */
+    addTransactionForReferralChange(req, cb) {
+        library.schema.validate(req.body, schema.addTransactionForReferralChange, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.addTransaction(req.body, {
+                type: transactionTypes.REFERRAL_CHANGE,
+                referral: req.body.referral
+            }, cb);
+        });
+    },
+
+    /**
+     * Referrals of address on a specific level of its referral chain with their stake info.
+     * @param {Object} req - contains the user address, level, limit and offset.
+     * @param {function} cb
+     */
+    getReferralList(req, cb) {
+        library.schema.validate(req.body, schema.getReferralList, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            library.db.manyOrNone(sql.findReferralList, {
+                levelInfo: req.body.level,
+                address: req.body.userAddress,
+                limit: req.body.limit || 100,
+                offset: req.body.offset || 0
+            })
+                .then(rows => setImmediate(cb, null, {
+                    sponsorList: rows,
+                    count: (rows && rows.length) ? rows[0].totalusers : 0
+                }))
+                .catch(error => setImmediate(cb, error.toString()));
+        });
+    },
+
+    /**
+     * Rewards received by address either by direct or chain referral.
+     * @param {Object} req - contains the user address, limit and offset.
+     * @param {function} cb
+     */
+    getRewardHistory(req, cb) {
+        library.schema.validate(req.body, schema.getRewardHistory, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            library.db.manyOrNone(sql.getReferralRewardHistory, {
+                introducer_address: req.body.address,
+                limit: req.body.limit || 100,
+                offset: req.body.offset || 0
+            })
+                .then(rows => setImmediate(cb, null, {
+                    SponsorList: rows,
+                    count: (rows && rows.length) ? rows[0].rewards_count : 0
+                }))
+                .catch(error => setImmediate(cb, error.toString()));
+        });
+    },
+
+    /**
+     * Downline of address up to the last level of referral rewards.
+     * @param {Object} req - contains the user address and optional level, limit and offset.
+     * @param {function} cb
+     */
+    getReferralTree(req, cb) {
+        library.schema.validate(req.body, schema.getReferralTree, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            __private.getTree(req.body)
+                .then(result => setImmediate(cb, null, result))
+                .catch(error => setImmediate(cb, error.toString()));
+        });
+    }
+};
+
+// Export
+module.exports = Referrals;
+
+/** ************************************* END OF FILE ************************************ */
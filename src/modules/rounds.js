@@ -89,6 +89,8 @@ Rounds.prototype.flush = function (round, cb) {
  * @implements {calc}
  * @implements {__private.getOutsiders}
  * @implements {Round.mergeBlockGenerator}
+ * @implements {Round.restoreLockedTransfers}
+ * @implements {Round.revertStakeStats}
  * @implements {Round.markBlockId}
  * @implements {Round.land}
  * @implements {library.db.tx}
@@ -107,6 +109,7 @@ Rounds.prototype.backwardTick = function (block, previousBlock, done) {
         modules,
         block,
         round,
+        prevRound,
         backwards: true
     };
 
@@ -121,12 +124,15 @@ Rounds.prototype.backwardTick = function (block, previousBlock, done) {
         library.logger.debug('Performing backward tick');
         library.logger.trace(scope);
 
-        return promised.mergeBlockGenerator().then(() => {
-            if (scope.finishRound) {
-                return promised.backwardLand().then(() => promised.markBlockId());
-            }
-            return promised.markBlockId();
-        });
+        return promised.mergeBlockGenerator()
+            .then(() => promised.restoreLockedTransfers())
+            .then(() => promised.revertStakeStats())
+            .then(() => {
+                if (scope.finishRound) {
+                    return promised.backwardLand().then(() => promised.markBlockId());
+                }
+                return promised.markBlockId();
+            });
     }
 
     async.series([
@@ -173,6 +179,8 @@ Rounds.prototype.setSnapshotRounds = function (rounds) {
  * Generates snapshot round
  * @implements {calc}
  * @implements {Round.mergeBlockGenerator}
+ * @implements {Round.releaseLockedTransfers}
+ * @implements {Round.applyStakeStats}
  * @implements {Round.land}
  * @implements {library.bus.message}
  * @implements {Round.truncateBlocks}
@@ -209,18 +217,21 @@ Rounds.prototype.tick = function (block, done) {
         library.logger.debug('Performing forward tick');
         library.logger.trace(scope);
 
-        return promised.mergeBlockGenerator().then(() => {
-            if (scope.finishRound) {
-                return promised.land().then(() => {
-                    library.bus.message('finishRound', round);
-                    if (scope.snapshotRound) {
-                        return promised.truncateBlocks().then(() => {
-                            scope.finishSnapshot = true;
-                        });
-                    }
-                });
-            }
-        });
+        return promised.mergeBlockGenerator()
+            .then(() => promised.releaseLockedTransfers())
+            .then(() => promised.applyStakeStats())
+            .then(() => {
+                if (scope.finishRound) {
+                    return promised.land().then(() => {
+                        library.bus.message('finishRound', round);
+                        if (scope.snapshotRound) {
+                            return promised.truncateBlocks().then(() => {
+                                scope.finishSnapshot = true;
+                            });
+                        }
+                    });
+                }
+            });
     }
 
     async.series([
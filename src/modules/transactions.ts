@@ -1,7 +1,16 @@
 import { default as NewTransactionPool, TransactionQueue } from 'src/logic/newTransactionPool';
-import { Account, Transaction, TransactionStatus } from 'src/helpers/types';
-import { getAccountByAddress } from 'src/helpers/account.utils';
-import { transactionSortFunc } from 'src/helpers/transaction.utils';
+import TransactionJournal from 'src/logic/transactionJournal';
+import {
+    Account,
+    Transaction,
+    TransactionQueueResult,
+    TransactionStatus,
+    TransactionValidationResult,
+    TransactionValidationStage
+} from 'src/helpers/types';
+import { generateAddressByPublicKey, getAccountByAddress } from 'src/helpers/account.utils';
+import { getTransactionTransfers, transactionSortFunc } from 'src/helpers/transaction.utils';
+import { TransactionStatusTracker } from 'src/helpers/transactionStatusTracker';
 
 const _ = require('lodash');
 const async = require('async');
@@ -14,7 +23,9 @@ const schema = require('../schema/transactions.js');
 const sql = require('../sql/transactions.js');
 const transactionTypes = require('../helpers/transactionTypes.js');
 const Transfer = require('../logic/transfer.js');
+const BatchTransfer = require('../logic/batchTransfer.js');
 const slots = require('../helpers/slots');
+const jobsQueue = require('../helpers/jobsQueue.js');
 const trsCache = require('memory-cache');
 
 const expCache = new trsCache.Cache();
@@ -54,6 +65,7 @@ class Transactions {
 
     private newTransactionPool: NewTransactionPool;
     private transactionQueue: TransactionQueue;
+    private transactionJournal: TransactionJournal;
 
     constructor(cb, scope) {
         library = {
@@ -72,11 +84,18 @@ class Transactions {
 
         self = this;
 
+        this.transactionJournal = new TransactionJournal({
+            logger: scope.logger,
+            db: scope.db
+        });
+
         this.newTransactionPool = new NewTransactionPool({
             transactionLogic: scope.logic.transaction,
             logger: scope.logger,
             db: scope.db,
-            bus: scope.bus
+            bus: scope.bus,
+            config: scope.config,
+            transactionJournal: this.transactionJournal
         });
 
         this.transactionQueue = new TransactionQueue({
@@ -84,19 +103,24 @@ class Transactions {
             transactionPool: this.newTransactionPool,
             logger: scope.logger,
             db: scope.db,
-            network: scope.network
+            network: scope.network,
+            transactionJournal: this.transactionJournal
         });
 
         __private.assetTypes[transactionTypes.SEND] = library.logic.transaction.attachAssetType(
-            transactionTypes.SEND, new Transfer(scope.logic.account)
+            transactionTypes.SEND, new Transfer(scope.logic.account, scope.schema, scope.db)
+        );
+
+        __private.assetTypes[transactionTypes.BATCH_SEND] = library.logic.transaction.attachAssetType(
+            transactionTypes.BATCH_SEND, new BatchTransfer(scope.logic.account, scope.schema)
         );
 
         setImmediate(cb, null, self);
     }
 
 
-    putInQueue(trs: Transaction): void {
-        this.transactionQueue.push(trs);
+    putInQueue(trs: Transaction): Promise<TransactionQueueResult> {
+        return this.transactionQueue.enqueue(trs);
     }
 
     async getUnconfirmedTransactionsForBlockGeneration(): Promise<Array<Transaction>> {
@@ -132,12 +156,79 @@ class Transactions {
         return removedTransactions;
     }
 
+    // Journaled transactions go through the queue again, so confirmed and invalid ones are declined
+    async restoreFromJournal(): Promise<void> {
+        const entries = await this.transactionJournal.load();
+        for (const { transaction } of entries) {
+            if (!this.inPool(transaction)) {
+                this.transactionQueue.push(transaction);
+            }
+        }
+        library.logger.info(`[Transactions][restoreFromJournal]: ${entries.length} transactions restored`);
+    }
+
+    // Runs the checks of transaction queue without putting transaction in queue or pool
+    async validateTransaction(transaction: Transaction): Promise<TransactionValidationResult> {
+        const result: TransactionValidationResult = {
+            valid: false,
+            transactionId: transaction.id || null,
+            fee: null,
+            potentialConflict: false,
+            errors: []
+        };
+
+        let trs: Transaction;
+        try {
+            trs = library.logic.transaction.objectNormalize(_.cloneDeep(transaction));
+        } catch (e) {
+            result.errors.push({ stage: TransactionValidationStage.NORMALIZE, message: e.message || String(e) });
+            return result;
+        }
+
+        const address = generateAddressByPublicKey(trs.senderPublicKey);
+        const sender = new Account(await getAccountByAddress(library.db, address) || {
+            address,
+            publicKey: trs.senderPublicKey,
+            balance: 0,
+            u_balance: 0,
+            totalFrozeAmount: 0,
+            u_totalFrozeAmount: 0
+        });
+
+        try {
+            await library.logic.transaction.newVerify({ trs, sender, checkExists: true });
+            result.transactionId = trs.id;
+            result.fee = library.logic.transaction.calculateUnconfirmedFee(trs, sender);
+        } catch (e) {
+            result.errors.push({ stage: TransactionValidationStage.VERIFY, message: e.message || String(e) });
+            return result;
+        }
+
+        try {
+            await library.logic.transaction.newVerifyUnconfirmed({ trs, sender });
+        } catch (e) {
+            result.errors.push({
+                stage: TransactionValidationStage.VERIFY_UNCONFIRMED,
+                message: e.message || String(e)
+            });
+            return result;
+        }
+
+        result.potentialConflict = this.newTransactionPool.isPotentialConflict(trs);
+        result.valid = true;
+        return result;
+    }
+
     async pushInPool(transactions: Array<Transaction>): Promise<void> {
         for (const trs of transactions) {
             await this.newTransactionPool.push(trs, false, true);
         }
     }
 
+    getReplaceableTransaction(id: string): Transaction {
+        return this.newTransactionPool.get(id) || this.transactionQueue.getConflictedById(id);
+    }
+
     getQueueSize(): number {
         return this.transactionQueue.getSize().queue;
     }
@@ -150,6 +241,10 @@ class Transactions {
         return this.newTransactionPool.getSize();
     }
 
+    getReservedAirdropReward(): number {
+        return this.newTransactionPool.getReservedAirdropReward();
+    }
+
     getLockStatus(): { transactionQueue: boolean, transactionPool: boolean } {
         return {
             transactionQueue: this.transactionQueue.getLockStatus(),
@@ -171,6 +266,24 @@ class Transactions {
         this.transactionQueue.process();
     }
 
+    async removeExpiredTransactions(): Promise<void> {
+        const lockStatus = this.getLockStatus();
+        if (lockStatus.transactionQueue || lockStatus.transactionPool) {
+            return;
+        }
+
+        const expired = [
+            ...await this.transactionQueue.removeExpired(),
+            ...await this.newTransactionPool.removeExpired()
+        ];
+
+        if (expired.length) {
+            library.logger.debug(
+                `[Transactions][removeExpiredTransactions] ${expired.map(trs => trs.id).join(', ')}`
+            );
+        }
+    }
+
     async returnToQueueConflictedTransactionFromPool(transactions): Promise<void> {
         const verifiedTransactions: Set<string> = new Set();
         const accountsMap: { [address: string]: Account } = {};
@@ -210,7 +323,11 @@ class Transactions {
                 .sort(transactionSortFunc)
                 .filter((trs: Transaction, index: number) => index > transactions.indexOf(senderTrs))
                 .forEach((trs: Transaction) => {
-                    account.u_balance -= trs.amount;
+                    getTransactionTransfers(trs)
+                    .filter(({ recipientId }) => recipientId === senderId)
+                    .forEach(({ amount }) => {
+                        account.u_balance -= amount;
+                    });
                 });
 
                 const verifyStatus = await this.transactionQueue.verify(senderTrs, account);
@@ -224,9 +341,9 @@ class Transactions {
                         `[Transaction][checkSenderTransactions][remove] ${senderTrs.id} because ${verifyStatus.error}`
                     );
                     // TODO broadcast undoUnconfirmed in future
-                    if (senderTrs.type === transactionTypes.SEND) {
+                    for (const { recipientId } of getTransactionTransfers(senderTrs)) {
                         library.logger.debug(`[Transaction][checkSenderTransactions][deeper] ${verifyStatus.error}`);
-                        await this.checkSenderTransactions(senderTrs.recipientId, verifiedTransactions, accountsMap);
+                        await this.checkSenderTransactions(recipientId, verifiedTransactions, accountsMap);
                     }
                 }
             }
@@ -668,11 +785,40 @@ Transactions.prototype.onBind = function (scope) {
     };
 
     __private.assetTypes[transactionTypes.SEND].bind(
+        scope.accounts,
+        scope.rounds,
+        scope.blocks
+    );
+
+    __private.assetTypes[transactionTypes.BATCH_SEND].bind(
         scope.accounts,
         scope.rounds
     );
 };
 
+/**
+ * Restores transactions of queue and pool saved before node restart
+ * and starts sweeping expired transactions out of them.
+ */
+Transactions.prototype.onBlockchainReady = function () {
+    if (__private.journalRestored) {
+        return;
+    }
+    __private.journalRestored = true;
+
+    self.restoreFromJournal().catch((err) => {
+        library.logger.error(`[Transactions][onBlockchainReady]: ${err}`);
+    });
+
+    jobsQueue.register('transactionsExpirySweep', (cb) => {
+        self.removeExpiredTransactions()
+        .catch((err) => {
+            library.logger.error(`[Transactions][removeExpiredTransactions]: ${err}`);
+        })
+        .then(() => setImmediate(cb));
+    }, constants.TRANSACTION_EXPIRY_SWEEP_INTERVAL);
+};
+
 // Internal API
 /**
  * @todo implement API comments with apidoc.
@@ -824,6 +970,61 @@ Transactions.prototype.shared = {
         return setImmediate(cb, null, []);
     },
 
+    getConflictedTransactions(req, cb) {
+        library.schema.validate(req.body, schema.getConflictedTransactions, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            return setImmediate(cb, null, self.transactionQueue.getConflictedTransactions({
+                limit: req.body.limit || constants.maxSharedTxs,
+                offset: req.body.offset || 0
+            }));
+        });
+    },
+
+    getTransactionStatus(req, cb) {
+        library.schema.validate(req.body, schema.getTransactionStatus, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            const status = TransactionStatusTracker.getInstance().get(req.body.id);
+            if (status) {
+                return setImmediate(cb, null, status);
+            }
+
+            library.db.one(sql.countById, { id: req.body.id }).then((row) => {
+                if (!row.count) {
+                    return setImmediate(cb, 'Transaction status not found');
+                }
+                return setImmediate(cb, null, {
+                    id: req.body.id,
+                    status: TransactionStatus[TransactionStatus.APPLIED],
+                    history: []
+                });
+            }).catch((dbErr) => {
+                library.logger.error(dbErr.stack);
+                return setImmediate(cb, 'Transactions#getTransactionStatus error');
+            });
+        });
+    },
+
+    validateTransaction(req, cb) {
+        library.schema.validate(req.body, schema.validateTransaction, (err) => {
+            if (err) {
+                return setImmediate(cb, err[0].message);
+            }
+
+            self.validateTransaction(req.body.transaction)
+            .then(result => setImmediate(cb, null, result))
+            .catch((e) => {
+                library.logger.error(`[Transactions][validateTransaction]: ${e}`);
+                return setImmediate(cb, 'Transactions#validateTransaction error');
+            });
+        });
+    },
+
     getUnconfirmedTransactions(req, cb) {
         library.schema.validate(req.body, schema.getUnconfirmedTransactions, (err) => {
             if (err) {
@@ -905,12 +1106,22 @@ Transactions.prototype.shared = {
                                 (
                                     req.body.amount +
                                     (req.body.amount * constants.fees.send) / 100 +
-                                    parseInt(account.u_totalFrozeAmount)
-                                ) > parseInt(account.u_balance)
+                                    parseInt(account.u_totalFrozeAmount, 10) +
+                                    parseInt(account.u_lockedBalance || 0, 10)
+                                ) > parseInt(account.u_balance, 10)
                             ) {
                                 return setImmediate(balancesSequenceCb, 'Insufficient balance');
                             }
 
+                            let replaceable: Transaction = null;
+
+                            if (req.body.replaceTransactionId) {
+                                replaceable = self.getReplaceableTransaction(req.body.replaceTransactionId);
+                                if (!replaceable || replaceable.senderPublicKey !== account.publicKey) {
+                                    return setImmediate(balancesSequenceCb, 'Replaceable transaction not found');
+                                }
+                            }
+
                             let secondKeypair = null;
 
                             if (account.secondSignature) {
@@ -924,11 +1135,19 @@ Transactions.prototype.shared = {
                                 sender: account,
                                 recipientId,
                                 keypair,
-                                secondKeypair
+                                secondKeypair,
+                                lock: req.body.lock,
+                                data: req.body.data,
+                                expireTime: req.body.expireTime,
+                                expireHeight: req.body.expireHeight,
+                                priorityFee: req.body.priorityFee,
+                                salt: replaceable ? replaceable.salt : null
                             }).then((transactionReferSend) => {
                                 transactionReferSend.status = TransactionStatus.CREATED;
-                                modules.transactions.putInQueue(transactionReferSend);
-                                return setImmediate(balancesSequenceCb, null, [transactionReferSend]);
+                                transactionReferSend.senderId = account.address;
+
+                                const queued = modules.transactions.putInQueue(transactionReferSend);
+                                return setImmediate(balancesSequenceCb, null, [transactionReferSend, queued]);
                             }).catch(e => setImmediate(balancesSequenceCb, e.toString()));
                         });
                     });
@@ -937,7 +1156,18 @@ Transactions.prototype.shared = {
                         return setImmediate(cb, balancesSequenceErr);
                     }
 
-                    return setImmediate(cb, null, { transactionId: transaction[0].id });
+                    // Reason of pool push is known once transaction leaves the queue
+                    transaction[1].then((result: TransactionQueueResult) => {
+                        if (!result.success) {
+                            return setImmediate(cb, result.reason || result.error);
+                        }
+
+                        return setImmediate(cb, null, {
+                            transactionId: transaction[0].id,
+                            status: TransactionStatus[result.status],
+                            reason: result.reason
+                        });
+                    }).catch(e => setImmediate(cb, e.toString()));
                 });
             });
         });
@@ -62,6 +62,28 @@ module.exports = {
         },
         required: ['address']
     },
+    getVoteHistory: {
+        id: 'accounts.getVoteHistory',
+        type: 'object',
+        properties: {
+            address: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        },
+        required: ['address']
+    },
     addDelegates: {
         id: 'accounts.addDelegates',
         type: 'object',
@@ -124,6 +124,24 @@ module.exports = {
                                     }
                                 },
                                 required: ['max', 'delayMs', 'delayAfter', 'windowMs']
+                            },
+                            emailLimits: {
+                                type: 'object',
+                                properties: {
+                                    max: {
+                                        type: 'integer'
+                                    },
+                                    delayMs: {
+                                        type: 'integer'
+                                    },
+                                    delayAfter: {
+                                        type: 'integer'
+                                    },
+                                    windowMs: {
+                                        type: 'integer'
+                                    }
+                                },
+                                required: ['max', 'delayMs', 'delayAfter', 'windowMs']
                             }
                         },
                         required: ['limits']
@@ -211,12 +229,22 @@ module.exports = {
             },
             transactions: {
                 type: 'object',
-                maxTxsPerQueue: {
-                    type: 'integer',
-                    minimum: 100,
-                    maximum: 5000
+                properties: {
+                    maxTxsPerQueue: {
+                        type: 'integer',
+                        minimum: 100,
+                        maximum: 5000
+                    },
+                    maxTxsPerPool: {
+                        type: 'integer',
+                        minimum: 100
+                    },
+                    maxTxsPerSender: {
+                        type: 'integer',
+                        minimum: 1
+                    }
                 },
-                required: ['maxTxsPerQueue']
+                required: ['maxTxsPerQueue', 'maxTxsPerPool', 'maxTxsPerSender']
             },
             forging: {
                 type: 'object',
@@ -283,8 +311,95 @@ module.exports = {
                     }
                 },
                 required: ['masterrequired', 'autoexec']
+            },
+            stakeNotifications: {
+                type: 'object',
+                properties: {
+                    webhook: {
+                        type: 'object',
+                        properties: {
+                            url: {
+                                type: 'string'
+                            },
+                            timeout: {
+                                type: 'integer',
+                                minimum: 1
+                            }
+                        },
+                        required: ['url', 'timeout']
+                    }
+                }
+            },
+            mail: {
+                type: 'object',
+                properties: {
+                    driver: {
+                        type: 'string',
+                        enum: ['postmark', 'smtp', 'file']
+                    },
+                    from: {
+                        type: 'string'
+                    },
+                    referralUrl: {
+                        type: 'string'
+                    },
+                    postmark: {
+                        type: 'object'
+                    },
+                    smtp: {
+                        type: 'object'
+                    },
+                    file: {
+                        type: 'object',
+                        properties: {
+                            dir: {
+                                type: 'string',
+                                minLength: 1
+                            }
+                        },
+                        required: ['dir']
+                    },
+                    queue: {
+                        type: 'object',
+                        properties: {
+                            interval: {
+                                type: 'integer',
+                                minimum: 1
+                            },
+                            batchSize: {
+                                type: 'integer',
+                                minimum: 1
+                            },
+                            maxAttempts: {
+                                type: 'integer',
+                                minimum: 1
+                            }
+                        },
+                        required: ['interval', 'batchSize', 'maxAttempts']
+                    }
+                },
+                required: ['driver', 'queue']
+            },
+            stakeRewards: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        start: {
+                            type: 'integer',
+                            minimum: 0
+                        },
+                        percent: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 100
+                        }
+                    },
+                    required: ['start', 'percent']
+                }
             }
         },
-        required: ['address', 'version', 'minVersion', 'fileLogLevel', 'logFileName', 'consoleLogLevel', 'trustProxy', 'topAccounts', 'db', 'api', 'peers', 'broadcasts', 'transactions', 'forging', 'loading', 'ssl', 'dapp', 'cacheEnabled', 'redis']
+        required: ['address', 'version', 'minVersion', 'fileLogLevel', 'logFileName', 'consoleLogLevel', 'trustProxy', 'topAccounts', 'db', 'api', 'peers', 'broadcasts', 'transactions', 'forging', 'loading', 'ssl', 'dapp', 'cacheEnabled', 'redis', 'stakeRewards']
     }
 };
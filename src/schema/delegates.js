@@ -86,6 +86,34 @@ module.exports = {
         },
         required: ['publicKey']
     },
+    getVoteHistory: {
+        id: 'delegates.getVoteHistory',
+        type: 'object',
+        properties: {
+            publicKey: {
+                type: 'string',
+                format: 'publicKey'
+            },
+            fromHeight: {
+                type: 'integer',
+                minimum: 1
+            },
+            toHeight: {
+                type: 'integer',
+                minimum: 1
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 1000
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        },
+        required: ['publicKey']
+    },
     getDelegates: {
         id: 'delegates.getDelegates',
         type: 'object',
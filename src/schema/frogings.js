@@ -13,6 +13,9 @@ module.exports = {
             freezedAmount: {
                 type: 'integer'
             },
+            compound: {
+                type: 'boolean'
+            },
             secondSecret: {
                 type: 'string',
                 minLength: 1,
@@ -25,6 +28,33 @@ module.exports = {
         },
         required: ['secret', 'freezedAmount']
     },
+    addTransactionForUnstake: {
+        id: 'frogings.addTransactionForUnstake',
+        type: 'object',
+        properties: {
+            secret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            },
+            stakeId: {
+                type: 'string',
+                format: 'id',
+                minLength: 1,
+                maxLength: 64
+            },
+            amount: {
+                type: 'integer',
+                minimum: 1
+            },
+            secondSecret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            }
+        },
+        required: ['secret', 'stakeId', 'amount']
+    },
     getAllFreezeOrder: {
         id: 'frogings.getAllFreezeOrder',
         type: 'object',
@@ -60,6 +90,229 @@ module.exports = {
             }
         },
         required: ['secret']
+    },
+    getProjection: {
+        id: 'frogings.getProjection',
+        type: 'object',
+        properties: {
+            address: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            freezedAmount: {
+                type: 'integer',
+                minimum: 1
+            },
+            startTime: {
+                type: 'integer',
+                minimum: 0
+            },
+            compound: {
+                type: 'boolean'
+            }
+        }
+    },
+
+    getStakeOrders: {
+        id: 'frogings.getStakeOrders',
+        type: 'object',
+        properties: {
+            address: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            publicKey: {
+                type: 'string',
+                format: 'publicKey'
+            },
+            status: {
+                type: 'integer',
+                enum: [0, 1]
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            },
+            orderBy: {
+                type: 'string'
+            }
+        }
+    },
+
+    getStakedAmount: {
+        id: 'frogings.getStakedAmount',
+        type: 'object',
+        properties: {
+            address: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            publicKey: {
+                type: 'string',
+                format: 'publicKey'
+            }
+        }
+    },
+
+    getStakeStats: {
+        id: 'frogings.getStakeStats',
+        type: 'object',
+        properties: {
+            from: {
+                type: 'integer',
+                minimum: 0
+            },
+            to: {
+                type: 'integer',
+                minimum: 0
+            },
+            interval: {
+                type: 'string',
+                enum: ['round', 'day']
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 1000
+            }
+        }
+    },
+
+    addTransactionForStakePool: {
+        id: 'frogings.addTransactionForStakePool',
+        type: 'object',
+        properties: {
+            secret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            },
+            name: {
+                type: 'string',
+                format: 'username',
+                minLength: 1,
+                maxLength: 20
+            },
+            commission: {
+                type: 'integer',
+                minimum: 0,
+                maximum: 100
+            },
+            secondSecret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            }
+        },
+        required: ['secret', 'name', 'commission']
+    },
+
+    addTransactionForStakePoolMember: {
+        id: 'frogings.addTransactionForStakePoolMember',
+        type: 'object',
+        properties: {
+            secret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            },
+            poolId: {
+                type: 'string',
+                format: 'id',
+                minLength: 1,
+                maxLength: 64
+            },
+            stakeId: {
+                type: 'string',
+                format: 'id',
+                minLength: 1,
+                maxLength: 64
+            },
+            secondSecret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            }
+        },
+        required: ['secret', 'poolId', 'stakeId']
+    },
+
+    getStakePools: {
+        id: 'frogings.getStakePools',
+        type: 'object',
+        properties: {
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        }
+    },
+
+    getStakePool: {
+        id: 'frogings.getStakePool',
+        type: 'object',
+        properties: {
+            id: {
+                type: 'string',
+                format: 'id',
+                minLength: 1,
+                maxLength: 64
+            }
+        },
+        required: ['id']
+    },
+
+    getStakePoolOrders: {
+        id: 'frogings.getStakePoolOrders',
+        type: 'object',
+        properties: {
+            id: {
+                type: 'string',
+                format: 'id',
+                minLength: 1,
+                maxLength: 64
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        },
+        required: ['id']
+    },
+
+    getStakeLineage: {
+        id: 'frogings.getStakeLineage',
+        type: 'object',
+        properties: {
+            id: {
+                type: 'string',
+                format: 'id',
+                minLength: 1,
+                maxLength: 64
+            }
+        },
+        required: ['id']
     }
 
 };
@@ -0,0 +1,119 @@
+module.exports = {
+
+    sendEmail: {
+        id: 'referrals.sendEmail',
+        type: 'object',
+        properties: {
+            email: {
+                type: 'string',
+                format: 'email',
+                minLength: 1,
+                maxLength: 100
+            }
+        },
+        required: ['email']
+    },
+
+    addTransactionForReferralChange: {
+        id: 'referrals.addTransactionForReferralChange',
+        type: 'object',
+        properties: {
+            secret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            },
+            referral: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            secondSecret: {
+                type: 'string',
+                minLength: 1,
+                maxLength: 100
+            }
+        },
+        required: ['secret', 'referral']
+    },
+
+    getReferralList: {
+        id: 'referrals.getReferralList',
+        type: 'object',
+        properties: {
+            userAddress: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            level: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 15
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        },
+        required: ['userAddress', 'level']
+    },
+
+    getRewardHistory: {
+        id: 'referrals.getRewardHistory',
+        type: 'object',
+        properties: {
+            address: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        },
+        required: ['address']
+    },
+
+    getReferralTree: {
+        id: 'referrals.getReferralTree',
+        type: 'object',
+        properties: {
+            address: {
+                type: 'string',
+                format: 'address',
+                minLength: 1,
+                maxLength: 25
+            },
+            level: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 15
+            },
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        },
+        required: ['address']
+    }
+};
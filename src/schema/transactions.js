@@ -14,7 +14,7 @@ module.exports = {
             type: {
                 type: 'integer',
                 minimum: 0,
-                maximum: 100
+                maximum: 124
             },
             senderId: {
                 type: 'string',
@@ -166,6 +166,44 @@ module.exports = {
             },
         },
     },
+    getConflictedTransactions: {
+        id: 'transactions.getConflictedTransactions',
+        type: 'object',
+        properties: {
+            limit: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 100
+            },
+            offset: {
+                type: 'integer',
+                minimum: 0
+            }
+        }
+    },
+    getTransactionStatus: {
+        id: 'transactions.getTransactionStatus',
+        type: 'object',
+        properties: {
+            id: {
+                type: 'string',
+                format: 'hex',
+                minLength: 1,
+                maxLength: 64
+            }
+        },
+        required: ['id']
+    },
+    validateTransaction: {
+        id: 'transactions.validateTransaction',
+        type: 'object',
+        properties: {
+            transaction: {
+                type: 'object'
+            }
+        },
+        required: ['transaction']
+    },
     getPooledTransaction: {
         id: 'transactions.getPooledTransaction',
         type: 'object',
@@ -223,6 +261,45 @@ module.exports = {
             multisigAccountPublicKey: {
                 type: 'string',
                 format: 'publicKey'
+            },
+            replaceTransactionId: {
+                type: 'string',
+                format: 'hex',
+                minLength: 1,
+                maxLength: 64
+            },
+            lock: {
+                type: 'object',
+                properties: {
+                    unlockTime: {
+                        type: 'integer',
+                        minimum: 1
+                    },
+                    unlockHeight: {
+                        type: 'integer',
+                        minimum: 1
+                    }
+                },
+                minProperties: 1,
+                maxProperties: 1
+            },
+            data: {
+                type: 'string',
+                minLength: 1,
+                maxLength: constants.maxTransactionDataLength
+            },
+            expireTime: {
+                type: 'integer',
+                minimum: 1
+            },
+            expireHeight: {
+                type: 'integer',
+                minimum: 1
+            },
+            priorityFee: {
+                type: 'integer',
+                minimum: 0,
+                maximum: constants.totalAmount
             }
         },
         required: ['secret', 'amount', 'recipientId']
@@ -42,9 +42,9 @@ const Accounts = {
 
     totalFrozeAmount: 'SELECT sum("freezedAmount") FROM stake_orders WHERE "id"=${account_id} and "status"=1',
 
-    updateStakeOrder: 'UPDATE stake_orders SET "voteCount"="voteCount"+1, "nextVoteMilestone"=${nextVoteMilestone} WHERE "senderId"=${senderId} AND "status"=1 AND ( "nextVoteMilestone" = 0 OR ${currentTime} >= "nextVoteMilestone") returning *',
+    updateStakeOrder: 'UPDATE stake_orders SET "voteCount"="voteCount"+1, "nextVoteMilestone"=${nextVoteMilestone} WHERE (("senderId"=${senderId} AND "poolId" IS NULL) OR "poolId" IN (SELECT "id" FROM stake_pools WHERE "operatorId"=${senderId})) AND "status"=1 AND ( "nextVoteMilestone" = 0 OR ${currentTime} >= "nextVoteMilestone") returning *',
 
-    undoUpdateStakeOrder: 'UPDATE stake_orders SET "voteCount"="voteCount"-1, "nextVoteMilestone"="nextVoteMilestone"- ${milestone} WHERE "senderId"=${senderId} AND "status"=1 AND ${currentTime} + ${milestone} = "nextVoteMilestone"',
+    undoUpdateStakeOrder: 'UPDATE stake_orders SET "voteCount"="voteCount"-1, "nextVoteMilestone"="nextVoteMilestone"- ${milestone} WHERE (("senderId"=${senderId} AND "poolId" IS NULL) OR "poolId" IN (SELECT "id" FROM stake_pools WHERE "operatorId"=${senderId})) AND "status"=1 AND ${currentTime} + ${milestone} = "nextVoteMilestone"',
 
     countAvailableStakeOrdersForVote: 'SELECT count(*) FROM stake_orders WHERE "senderId"=${senderId} AND "status"=1',
 
@@ -67,6 +67,35 @@ const DelegatesSql = {
 
     removeVoteForUDelegates: 'DELETE FROM mem_accounts2u_delegates WHERE "accountId" = ${accountId} and "dependentId" in (${dependentIds:csv})',
 
+    addVoteHistory: 'INSERT INTO vote_history ("transactionId", "accountId", "dependentId", "isDownVote", "weight", "voteCount", "totalWeight")' +
+    ' SELECT ${transactionId}, ${accountId}, d."dependentId", ${isDownVote}, s."totalFrozeAmount",' +
+    '  COUNT(v."accountId")::int, COALESCE(SUM(m."totalFrozeAmount"), 0)' +
+    ' FROM UNNEST(ARRAY[${dependentIds:csv}]::VARCHAR[]) WITH ORDINALITY AS d("dependentId", "position")' +
+    '  INNER JOIN mem_accounts s ON s."address" = ${accountId}' +
+    '  LEFT JOIN mem_accounts2delegates v ON v."dependentId" = d."dependentId"' +
+    '  LEFT JOIN mem_accounts m ON m."address" = v."accountId"' +
+    ' GROUP BY d."dependentId", d."position", s."totalFrozeAmount"' +
+    ' ORDER BY d."position"',
+
+    removeVoteHistory: 'DELETE FROM vote_history WHERE "transactionId" = ${transactionId}',
+
+    getAccountVoteHistory: 'SELECT h."transactionId", b."height", t."timestamp", h."dependentId" AS "publicKey",' +
+    '  m."username", h."isDownVote", h."weight", h."voteCount", h."totalWeight", COUNT(*) OVER () AS "count"' +
+    ' FROM vote_history h' +
+    '  INNER JOIN trs t ON t."id" = h."transactionId"' +
+    '  INNER JOIN blocks b ON b."id" = t."blockId"' +
+    '  LEFT JOIN mem_accounts m ON m."publicKey" = h."dependentId"' +
+    ' WHERE h."accountId" = ${address}' +
+    ' ORDER BY h."rowId" DESC LIMIT ${limit} OFFSET ${offset}',
+
+    getDelegateVoteHistory: 'SELECT h."transactionId", b."height", t."timestamp", h."accountId" AS "address",' +
+    '  h."isDownVote", h."weight", h."voteCount", h."totalWeight"' +
+    ' FROM vote_history h' +
+    '  INNER JOIN trs t ON t."id" = h."transactionId"' +
+    '  INNER JOIN blocks b ON b."id" = t."blockId"' +
+    ' WHERE h."dependentId" = ${publicKey} AND b."height" BETWEEN ${fromHeight} AND ${toHeight}' +
+    ' ORDER BY h."rowId" LIMIT ${limit} OFFSET ${offset}',
+
     getTopDelegates: 'SELECT' +
     '  "username",' +
     '  "address",' +
@@ -11,11 +11,28 @@ const FrogingsSql = {
         'voteCount',
         'nextVoteMilestone',
         'isVoteDone',
-        'isTransferred'
+        'isTransferred',
+        'compound'
     ],
 
     count: 'SELECT COUNT("id")::int AS "count" FROM stake_orders',
 
+    countOrdersList(params) {
+        return [
+            'SELECT COUNT(1)::int AS "count" FROM stake_orders',
+            `WHERE ${params.where.join(' AND ')}`
+        ].join(' ');
+    },
+
+    ordersList(params) {
+        return [
+            'SELECT * FROM stake_orders',
+            `WHERE ${params.where.join(' AND ')}`,
+            (params.sortField ? `ORDER BY ${[params.sortField, params.sortMethod].join(' ')}` : ''),
+            'LIMIT ${limit} OFFSET ${offset}'
+        ].filter(Boolean).join(' ');
+    },
+
     updateAccountBalance: 'UPDATE mem_accounts SET "balance"=("balance" + ${reward}), "u_balance"=("u_balance" + ${reward}) WHERE "address"=${senderId}',
 
     updateFrozeAmount: 'UPDATE mem_accounts SET "totalFrozeAmount" = ("totalFrozeAmount" + ${reward}), "u_totalFrozeAmount" = ("u_totalFrozeAmount" + ${reward}) WHERE "address" = ${senderId}',
@@ -30,16 +47,30 @@ const FrogingsSql = {
 
     getFrozeOrdersCount: 'SELECT count(*) FROM stake_orders WHERE "senderId"=${senderId}',
 
-    getActiveFrozeOrders: 'SELECT * FROM stake_orders WHERE "senderId"=${senderId} AND "status"=1 AND ${currentTime} >= "nextVoteMilestone"',
+    getActiveFrozeOrders: 'SELECT * FROM stake_orders WHERE (("senderId"=${senderId} AND "poolId" IS NULL) OR "poolId" IN (SELECT "id" FROM stake_pools WHERE "operatorId"=${senderId})) AND "status"=1 AND ${currentTime} >= "nextVoteMilestone"',
+
+    getVoteDueOrders: 'SELECT so."id", COALESCE(sp."operatorId", so."senderId") AS "senderId", so."nextVoteMilestone" FROM stake_orders so LEFT JOIN stake_pools sp ON sp."id"=so."poolId" WHERE so."status"=1 AND so."nextVoteMilestone" > ${from} AND so."nextVoteMilestone" <= ${to}',
+
+    getAllActiveFrozeOrders: 'SELECT * FROM stake_orders WHERE "senderId"=${senderId} AND "status"=1 ORDER BY "startTime" ASC',
 
     getActiveFrozeOrder: 'SELECT * FROM stake_orders WHERE "senderId"=${senderId} AND "id"=${stakeId} AND "status"=1',
 
     updateFrozeOrder: 'UPDATE stake_orders SET "status"=0,"recipientId"=${recipientId}, "nextVoteMilestone"=-1, "transferCount" = ("transferCount"+1) WHERE "senderId"=${senderId} AND "id"=${stakeId} AND "status"=1 RETURNING *',
 
-    createNewFrozeOrder: 'INSERT INTO stake_orders ("id","status","startTime","insertTime","senderId","freezedAmount","rewardCount","voteCount","nextVoteMilestone","isVoteDone","transferCount") VALUES (${id},1,${startTime},${insertTime},${senderId},${freezedAmount},${rewardCount},${voteCount},${nextVoteMilestone},${isVoteDone},$(transferCount)+1) RETURNING *',
+    createNewFrozeOrder: 'INSERT INTO stake_orders ("id","parentId","status","startTime","insertTime","senderId","freezedAmount","rewardCount","voteCount","nextVoteMilestone","isVoteDone","transferCount") VALUES (${id},${parentId},1,${startTime},${insertTime},${senderId},${freezedAmount},${rewardCount},${voteCount},${nextVoteMilestone},${isVoteDone},$(transferCount)+1) RETURNING *',
 
     countStakeholders: 'select count(1) from (select 1 from stake_orders o where o.status = 1 group by "senderId") a',
 
+    countStakeStats: 'SELECT COUNT(*) AS "count" FROM stake_stats',
+
+    backfillStakeStats: 'SELECT stake_stats_backfill(${delegates})',
+
+    getRecentAirdropSpent: 'SELECT COALESCE(SUM("airdrop"), 0) AS "airdrop", COUNT(*) AS "rounds" FROM (SELECT "airdrop" FROM stake_stats ORDER BY "round" DESC LIMIT ${limit}) s',
+
+    getStakeStatsByRound: 'SELECT * FROM stake_stats WHERE "timestamp" BETWEEN ${from} AND ${to} ORDER BY "round" LIMIT ${limit}',
+
+    getStakeStatsByDay: 'SELECT "day" AS "timestamp", (ARRAY_AGG("totalStaked" ORDER BY "round" DESC))[1] AS "totalStaked", (ARRAY_AGG("stakeholders" ORDER BY "round" DESC))[1] AS "stakeholders", SUM("rewards") AS "rewards", SUM("unstaked") AS "unstaked", SUM("airdrop") AS "airdrop" FROM (SELECT *, (FLOOR(("timestamp" + ${epoch}) / 86400) * 86400 - ${epoch})::int AS "day" FROM stake_stats WHERE "timestamp" BETWEEN ${from} AND ${to}) s GROUP BY "day" ORDER BY "day" LIMIT ${limit}',
+
     getTotalStakedAmount: 'SELECT coalesce(sum("freezedAmount"), 0) as sum FROM stake_orders WHERE "status"=1',
 
     getMyStakedAmount: 'SELECT sum("freezedAmount") FROM stake_orders WHERE "senderId"=${address} AND "status"=1',
@@ -52,11 +83,45 @@ const FrogingsSql = {
 
     updateOldOrder: 'UPDATE stake_orders SET "status"=1, "nextVoteMilestone"=${nextVoteMilestone}, "isVoteDone"=false, "recipientId"=NULL WHERE "stakeId"=${stakeId}',
 
-    getRecentlyChangedFrozeOrders: 'SELECT * FROM stake_orders WHERE "senderId"=${senderId} AND ${nextVoteMilestone} = "nextVoteMilestone"',
+    getRecentlyChangedFrozeOrders: 'SELECT * FROM stake_orders WHERE (("senderId"=${senderId} AND "poolId" IS NULL) OR "poolId" IN (SELECT "id" FROM stake_pools WHERE "operatorId"=${senderId})) AND ${nextVoteMilestone} = "nextVoteMilestone"',
 
     getStakeRewardHistory: 'SELECT "v_reward", "t_timestamp", count(*) OVER() AS rewards_count from full_blocks_list WHERE "t_senderId" = ${senderId} AND "v_reward" > 0 ORDER BY "t_timestamp" DESC LIMIT ${limit} OFFSET ${offset}',
 
-    getStakeById: 'SELECT * FROM stake_orders WHERE "id"=${id}'
+    getStakeById: 'SELECT * FROM stake_orders WHERE "id"=${id}',
+
+    getStakeLineage: 'WITH RECURSIVE ancestors AS (SELECT "id", "parentId", 0 AS "depth" FROM stake_orders WHERE "id"=${id} UNION ALL SELECT so."id", so."parentId", a."depth" + 1 FROM stake_orders so JOIN ancestors a ON so."id"=a."parentId"), chain AS (SELECT so."id", so."parentId", so."senderId", so."status", so."freezedAmount", 0 AS "hop" FROM stake_orders so WHERE so."id"=(SELECT "id" FROM ancestors ORDER BY "depth" DESC LIMIT 1) UNION ALL SELECT so."id", so."parentId", so."senderId", so."status", so."freezedAmount", c."hop" + 1 FROM stake_orders so JOIN chain c ON so."parentId"=c."id") SELECT c.*, t."type", t."senderId" AS "trsSenderId", t."recipientId", t."timestamp", b."height" FROM chain c JOIN trs t ON t."id"=c."id" JOIN blocks b ON b."id"=t."blockId" ORDER BY c."hop"',
+
+    reduceFrozeOrder: 'UPDATE stake_orders SET "freezedAmount"=("freezedAmount" - ${amount}), "status"=(CASE WHEN "freezedAmount"=${amount} THEN 0 ELSE 1 END) WHERE "id"=${stakeId} AND "status"=1',
+
+    mergeSplitFrozeOrder: 'UPDATE stake_orders SET "freezedAmount"=("freezedAmount" + ${amount}), "status"=1 WHERE "id"=${stakeId}',
+
+    compoundFrozeOrder: 'UPDATE stake_orders SET "freezedAmount"=("freezedAmount" + ${amount}) WHERE "id"=${id}',
+
+    addStakeCompound: 'INSERT INTO stake_compounds ("transactionId", "stakeId", "amount") VALUES (${transactionId}, ${stakeId}, ${amount})',
+
+    removeStakeCompounds: 'DELETE FROM stake_compounds WHERE "transactionId"=${transactionId} RETURNING "stakeId", "amount"',
+
+    getStakePoolById: 'SELECT * FROM stake_pools WHERE "id"=${id}',
+
+    getStakePoolByOperator: 'SELECT * FROM stake_pools WHERE "operatorId"=${operatorId}',
+
+    getStakePoolByName: 'SELECT * FROM stake_pools WHERE "name"=${name}',
+
+    removeStakePool: 'DELETE FROM stake_pools WHERE "id"=${id}',
+
+    countStakePools: 'SELECT count(*) FROM stake_pools',
+
+    getStakePools: 'SELECT sp.*, COUNT(so."id") AS "orders", COUNT(DISTINCT so."senderId") AS "members", COALESCE(SUM(so."freezedAmount"), 0) AS "totalStaked" FROM stake_pools sp LEFT JOIN stake_orders so ON so."poolId"=sp."id" AND so."status"=1 WHERE (${id} IS NULL OR sp."id"=${id}) GROUP BY sp."id" ORDER BY "totalStaked" DESC, sp."id" LIMIT ${limit} OFFSET ${offset}',
+
+    countStakePoolOrders: 'SELECT count(*) FROM stake_orders WHERE "poolId"=${poolId} AND "status"=1',
+
+    getStakePoolOrders: 'SELECT * FROM stake_orders WHERE "poolId"=${poolId} AND "status"=1 ORDER BY "insertTime" DESC LIMIT ${limit} OFFSET ${offset}',
+
+    setFrozeOrderPool: 'UPDATE stake_orders SET "poolId"=${poolId} WHERE "id"=${stakeId}',
+
+    addStakePoolReward: 'INSERT INTO stake_pool_rewards ("transactionId", "stakeId", "senderId", "amount", "commission") VALUES (${transactionId}, ${stakeId}, ${senderId}, ${amount}, ${commission})',
+
+    removeStakePoolRewards: 'DELETE FROM stake_pool_rewards WHERE "transactionId"=${transactionId} RETURNING "stakeId", "senderId", "amount"'
 };
 
 module.exports = FrogingsSql;
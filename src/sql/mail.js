@@ -0,0 +1,11 @@
+const MailSql = {
+    addMail: 'INSERT INTO mail_queue ("template", "to", "subject", "html") VALUES (${template}, ${to}, ${subject}, ${html}) RETURNING "id"',
+
+    getDueMails: 'SELECT "id", "to", "subject", "html", "attempts" FROM mail_queue WHERE "status" = 0 AND "nextAttemptAt" <= NOW() ORDER BY "id" LIMIT ${limit}',
+
+    setMailSent: 'UPDATE mail_queue SET "status" = 1, "attempts" = "attempts" + 1, "sentAt" = NOW() WHERE "id" = ${id}',
+
+    setMailAttemptFailed: 'UPDATE mail_queue SET "attempts" = "attempts" + 1, "lastError" = ${error}, "status" = CASE WHEN "attempts" + 1 >= ${maxAttempts} THEN 2 ELSE 0 END, "nextAttemptAt" = NOW() + ${delay} * INTERVAL \'1 millisecond\' WHERE "id" = ${id}'
+};
+
+module.exports = MailSql;
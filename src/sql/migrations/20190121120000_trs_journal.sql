@@ -0,0 +1,12 @@
+BEGIN;
+
+-- transactions of queue, conflicted queue and pool kept across node restarts
+CREATE TABLE IF NOT EXISTS "trs_journal" (
+  "id"          CHAR(64)    NOT NULL PRIMARY KEY,
+  "transaction" JSON        NOT NULL,
+  "insertTime"  INT         NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "trs_journal_insertTime" ON "trs_journal" ("insertTime");
+
+COMMIT;
@@ -0,0 +1,13 @@
+BEGIN;
+
+-- order a transferred stake order was created from, links the chain of SENDSTAKE hops
+ALTER TABLE "stake_orders" ADD COLUMN IF NOT EXISTS "parentId" CHAR(64);
+
+CREATE INDEX IF NOT EXISTS "stake_orders_parentId" ON "stake_orders" ("parentId");
+
+UPDATE "stake_orders" so
+SET "parentId" = t."stakeId"
+FROM trs t
+WHERE t."id" = so."id" AND t."type" = 50 AND t."stakeId" IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,6 @@
+BEGIN;
+
+-- stake orders with passed vote milestone are looked up for vote reminders
+CREATE INDEX IF NOT EXISTS "stake_orders_status_nextVoteMilestone" ON "stake_orders" ("status", "nextVoteMilestone");
+
+COMMIT;
@@ -0,0 +1,17 @@
+BEGIN;
+
+-- staking statistics per round, updated on each block of the round and rebuilt on block deletion;
+-- totalStaked and stakeholders are taken at the last block of the round, other values are sums
+CREATE TABLE IF NOT EXISTS "stake_stats" (
+  "round"        INT    NOT NULL PRIMARY KEY,
+  "timestamp"    INT    NOT NULL,
+  "totalStaked"  BIGINT NOT NULL,
+  "stakeholders" INT    NOT NULL,
+  "rewards"      BIGINT NOT NULL,
+  "unstaked"     BIGINT NOT NULL,
+  "airdrop"      BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "stake_stats_timestamp" ON "stake_stats" ("timestamp");
+
+COMMIT;
@@ -0,0 +1,6 @@
+BEGIN;
+
+-- downline of an address is looked up by containment of the address in referral chains
+CREATE INDEX IF NOT EXISTS "referals_level" ON "referals" USING GIN ("level");
+
+COMMIT;
@@ -0,0 +1,20 @@
+BEGIN;
+
+-- outgoing mail, sent by mail queue job with retries; status 0 - pending, 1 - sent, 2 - failed
+CREATE TABLE IF NOT EXISTS "mail_queue" (
+  "id"            SERIAL       NOT NULL PRIMARY KEY,
+  "template"      VARCHAR(30)  NOT NULL,
+  "to"            VARCHAR(100) NOT NULL,
+  "subject"       VARCHAR(250) NOT NULL,
+  "html"          TEXT         NOT NULL,
+  "status"        SMALLINT     NOT NULL DEFAULT 0,
+  "attempts"      SMALLINT     NOT NULL DEFAULT 0,
+  "lastError"     TEXT,
+  "createdAt"     TIMESTAMP    NOT NULL DEFAULT NOW(),
+  "nextAttemptAt" TIMESTAMP    NOT NULL DEFAULT NOW(),
+  "sentAt"        TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS "mail_queue_due" ON "mail_queue" ("status", "nextAttemptAt");
+
+COMMIT;
@@ -0,0 +1,131 @@
+BEGIN;
+
+DROP VIEW IF EXISTS full_blocks_list;
+
+-- introducer set by account before its first stake
+CREATE TABLE IF NOT EXISTS "referral_changes" (
+  "transactionId" CHAR(64)     NOT NULL PRIMARY KEY,
+  "referral"      VARCHAR(100) NOT NULL,
+  FOREIGN KEY ("transactionId") REFERENCES trs (id) ON DELETE CASCADE
+);
+
+-- referral chain of account before change, kept for undo;
+-- written on apply before change transaction is saved, so no reference to trs
+CREATE TABLE IF NOT EXISTS "referral_change_levels" (
+  "rowId"         SERIAL       NOT NULL,
+  "transactionId" CHAR(64)     NOT NULL PRIMARY KEY,
+  "address"       VARCHAR(100) NOT NULL,
+  "previousLevel" VARCHAR(250) []
+);
+
+CREATE INDEX IF NOT EXISTS "referral_change_levels_address" ON "referral_change_levels" ("address");
+
+-- registration transaction keeps introducer it was signed with, taken from chain before the first change
+CREATE VIEW full_blocks_list AS
+
+  SELECT
+    b."id"                                AS "b_id",
+    b."version"                           AS "b_version",
+    b."timestamp"                         AS "b_timestamp",
+    b."height"                            AS "b_height",
+    b."previousBlock"                     AS "b_previousBlock",
+    b."numberOfTransactions"              AS "b_numberOfTransactions",
+    (b."totalAmount") :: BIGINT           AS "b_totalAmount",
+    (b."totalFee") :: BIGINT              AS "b_totalFee",
+    (b."reward") :: BIGINT                AS "b_reward",
+    b."payloadLength"                     AS "b_payloadLength",
+    b."payloadHash"                       AS "b_payloadHash",
+    b."generatorPublicKey"                AS "b_generatorPublicKey",
+    b."blockSignature"                    AS "b_blockSignature",
+    t."id"                                AS "t_id",
+    t."rowId"                             AS "t_rowId",
+    t."type"                              AS "t_type",
+    t."timestamp"                         AS "t_timestamp",
+    t."trsName"                           AS "t_trsName",
+    t."senderPublicKey"                   AS "t_senderPublicKey",
+    t."senderId"                          AS "t_senderId",
+    t."recipientId"                       AS "t_recipientId",
+    (t."amount") :: BIGINT                AS "t_amount",
+    (t."fee") :: BIGINT                   AS "t_fee",
+    t."signature"                         AS "t_signature",
+    t."signSignature"                     AS "t_signSignature",
+    t."stakedAmount"                      AS "t_stakedAmount",
+    t."stakeId"                           AS "t_stakeId",
+    t."groupBonus"                        AS "t_groupBonus",
+    t."pendingGroupBonus"                 AS "t_pendingGroupBonus",
+    s."publicKey"                         AS "s_publicKey",
+    t."requesterPublicKey"                AS "t_requesterPublicKey",
+    t."signatures"                        AS "t_signatures",
+    t.salt                                AS t_salt,
+    t."priorityFee"                       AS "t_priorityFee",
+    t."data"                              AS "t_data",
+    t."expireTime"                        AS "t_expireTime",
+    t."expireHeight"                      AS "t_expireHeight",
+    t."reward"                            AS "t_reward",
+    d."username"                          AS "d_username",
+    v."votes"                             AS "v_votes",
+    v."reward"                            AS "v_reward",
+    v."unstake"                           AS "v_unstake",
+    v."airdropReward"                     AS "v_airdropReward",
+    m."min"                               AS "m_min",
+    m."lifetime"                          AS "m_lifetime",
+    m."keysgroup"                         AS "m_keysgroup",
+    dapp."name"                           AS "dapp_name",
+    dapp."description"                    AS "dapp_description",
+    dapp."tags"                           AS "dapp_tags",
+    dapp."type"                           AS "dapp_type",
+    dapp."link"                           AS "dapp_link",
+    dapp."category"                       AS "dapp_category",
+    dapp."icon"                           AS "dapp_icon",
+    it."dappId"                           AS "in_dappId",
+    ot."dappId"                           AS "ot_dappId",
+    ot."outTransactionId"                 AS "ot_outTransactionId",
+    so."id"                               AS "so_id",
+    so."status"                           AS "so_status",
+    so."startTime"                        AS "so_startTime",
+    so."insertTime"                       AS "so_insertTime",
+    so."senderId"                         AS "so_senderId",
+    so."recipientId"                      AS "so_recipientId",
+    so."freezedAmount"                    AS "so_freezedAmount",
+    so."nextVoteMilestone"                AS "so_nextVoteMilestone",
+    so."airdropReward"                    AS "so_airdropReward",
+    so."compound"                         AS "so_compound",
+    CASE WHEN rcl."address" IS NULL
+      THEN ref."level"
+    ELSE rcl."previousLevel" END          AS "ref_level",
+    bt."transfers"                        AS "bt_transfers",
+    lt."unlockTime"                       AS "lt_unlockTime",
+    lt."unlockHeight"                     AS "lt_unlockHeight",
+    us."stakeId"                          AS "us_stakeId",
+    us."amount"                           AS "us_amount",
+    us."penalty"                          AS "us_penalty",
+    sp."name"                             AS "sp_name",
+    sp."commission"                       AS "sp_commission",
+    spm."poolId"                          AS "spm_poolId",
+    spm."stakeId"                         AS "spm_stakeId",
+    rc."referral"                         AS "rc_referral"
+
+  FROM blocks b
+
+    LEFT OUTER JOIN trs AS t ON t."blockId" = b."id"
+    LEFT OUTER JOIN delegates AS d ON d."transactionId" = t."id"
+    LEFT OUTER JOIN votes AS v ON v."transactionId" = t."id"
+    LEFT OUTER JOIN signatures AS s ON s."transactionId" = t."id"
+    LEFT OUTER JOIN multisignatures AS m ON m."transactionId" = t."id"
+    LEFT OUTER JOIN dapps AS dapp ON dapp."transactionId" = t."id"
+    LEFT OUTER JOIN intransfer AS it ON it."transactionId" = t."id"
+    LEFT OUTER JOIN outtransfer AS ot ON ot."transactionId" = t."id"
+    LEFT JOIN stake_orders so ON so."id" = t."id"
+    LEFT JOIN referals ref ON ref."address" = t."senderId"
+    LEFT JOIN batch_transfers_list bt ON bt."transactionId" = t."id"
+    LEFT JOIN locked_transfers lt ON lt."transactionId" = t."id"
+    LEFT JOIN stake_unstakes us ON us."transactionId" = t."id"
+    LEFT JOIN stake_pools sp ON sp."id" = t."id"
+    LEFT JOIN stake_pool_members spm ON spm."transactionId" = t."id"
+    LEFT JOIN referral_changes rc ON rc."transactionId" = t."id"
+    LEFT JOIN LATERAL (
+      SELECT "address", "previousLevel" FROM referral_change_levels
+      WHERE "address" = t."senderId" ORDER BY "rowId" LIMIT 1
+    ) rcl ON TRUE;
+
+COMMIT;
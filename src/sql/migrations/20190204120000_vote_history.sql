@@ -0,0 +1,45 @@
+BEGIN;
+
+-- votes and unvotes per delegate with weight of voter and resulting voters and weight of delegate;
+-- written on apply before vote transaction is saved, so no reference to trs
+CREATE TABLE IF NOT EXISTS "vote_history" (
+  "rowId"         SERIAL      NOT NULL,
+  "transactionId" CHAR(64)    NOT NULL,
+  "accountId"     VARCHAR(25) NOT NULL,
+  "dependentId"   VARCHAR(64) NOT NULL,
+  "isDownVote"    BOOLEAN     NOT NULL,
+  "weight"        BIGINT,
+  "voteCount"     INT         NOT NULL,
+  "totalWeight"   BIGINT,
+  PRIMARY KEY ("transactionId", "dependentId")
+);
+
+CREATE INDEX IF NOT EXISTS "vote_history_accountId" ON "vote_history" ("accountId", "rowId");
+CREATE INDEX IF NOT EXISTS "vote_history_dependentId" ON "vote_history" ("dependentId", "rowId");
+
+-- votes applied before this migration; weights at their time are unknown, so they are left empty
+INSERT INTO "vote_history" ("transactionId", "accountId", "dependentId", "isDownVote", "voteCount")
+SELECT
+  h."transactionId",
+  h."accountId",
+  h."dependentId",
+  h."isDownVote",
+  SUM(CASE WHEN h."isDownVote" THEN -1 ELSE 1 END)
+    OVER (PARTITION BY h."dependentId" ORDER BY h."height", h."trsRowId")
+FROM (
+  SELECT
+    t."id"                          AS "transactionId",
+    t."senderId"                    AS "accountId",
+    SUBSTRING(v."vote" FROM 2)      AS "dependentId",
+    LEFT(v."vote", 1) = '-'         AS "isDownVote",
+    b."height"                      AS "height",
+    t."rowId"                       AS "trsRowId"
+  FROM votes vt
+    INNER JOIN trs t ON t."id" = vt."transactionId"
+    INNER JOIN blocks b ON b."id" = t."blockId"
+    CROSS JOIN UNNEST(STRING_TO_ARRAY(vt."votes", ',')) AS v("vote")
+) h
+ORDER BY h."height", h."trsRowId"
+ON CONFLICT DO NOTHING;
+
+COMMIT;
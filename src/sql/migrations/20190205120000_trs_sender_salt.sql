@@ -0,0 +1,6 @@
+BEGIN;
+
+-- salt of confirmed transaction is checked on every verify of a new one of the same sender
+CREATE INDEX IF NOT EXISTS "trs_senderId_salt" ON "trs" ("senderId", "salt");
+
+COMMIT;
@@ -0,0 +1,114 @@
+BEGIN;
+
+-- staking statistics are kept by round ticks, rounds applied before are filled by this function
+-- when blockchain is ready, rounds already present in stake_stats are kept;
+-- sums are taken from transactions of round blocks, totalStaked and stakeholders are rebuilt from
+-- changes of staked amounts by transactions up to the end of round, parts of vote unstake of
+-- stake pool members are counted to the pool operator
+CREATE OR REPLACE FUNCTION stake_stats_backfill(delegates INT)
+  RETURNS VOID LANGUAGE SQL AS $$
+  WITH
+    block_rounds AS (
+      SELECT "id", "timestamp", CEIL("height" / delegates :: FLOAT) :: INT AS "round"
+      FROM blocks
+    ),
+    rounds AS (
+      SELECT "round", MAX("timestamp") AS "timestamp"
+      FROM block_rounds
+      GROUP BY "round"
+    ),
+    round_trs AS (
+      SELECT t."id", t."type", t."senderId", t."recipientId", t."amount", t."stakedAmount", br."round"
+      FROM trs t
+        INNER JOIN block_rounds br ON br."id" = t."blockId"
+    ),
+    -- changes of staked amount of accounts
+    changes AS (
+      SELECT "round", "senderId" AS "address", "stakedAmount" AS "amount"
+      FROM round_trs
+      WHERE "stakedAmount" <> 0
+      UNION ALL
+      SELECT t."round", t."senderId", v."unstake"
+      FROM votes v
+        INNER JOIN round_trs t ON t."id" = v."transactionId"
+      WHERE v."unstake" <> 0
+      UNION ALL
+      SELECT t."round", so."senderId", sc."amount"
+      FROM stake_compounds sc
+        INNER JOIN round_trs t ON t."id" = sc."transactionId"
+        INNER JOIN stake_orders so ON so."id" = sc."stakeId"
+      UNION ALL
+      SELECT t."round", t."senderId", -us."amount"
+      FROM stake_unstakes us
+        INNER JOIN round_trs t ON t."id" = us."transactionId"
+      UNION ALL
+      -- transferred stake orders (SENDSTAKE)
+      SELECT "round", "senderId", -"amount"
+      FROM round_trs
+      WHERE "type" = 50
+      UNION ALL
+      SELECT "round", "recipientId", "amount"
+      FROM round_trs
+      WHERE "type" = 50
+    ),
+    staked AS (
+      SELECT "round", SUM("amount") AS "change"
+      FROM changes
+      GROUP BY "round"
+    ),
+    -- staked amount of accounts at the end of rounds they changed it
+    balances AS (
+      SELECT "round", "address", SUM(SUM("amount")) OVER (PARTITION BY "address" ORDER BY "round") AS "amount"
+      FROM changes
+      GROUP BY "round", "address"
+    ),
+    holders AS (
+      SELECT "round", SUM(("amount" > 0) :: INT - (COALESCE("previous", 0) > 0) :: INT) AS "change"
+      FROM (
+        SELECT *, LAG("amount") OVER (PARTITION BY "address" ORDER BY "round") AS "previous"
+        FROM balances
+      ) b
+      GROUP BY "round"
+    ),
+    sums AS (
+      SELECT "round", SUM("rewards") AS "rewards", SUM("unstaked") AS "unstaked", SUM("airdrop") AS "airdrop"
+      FROM (
+        SELECT
+          t."round",
+          COALESCE(v."reward", 0)                                  AS "rewards",
+          -COALESCE(v."unstake", 0)                                AS "unstaked",
+          COALESCE((v."airdropReward" ->> 'totalReward') :: BIGINT, 0) AS "airdrop"
+        FROM votes v
+          INNER JOIN round_trs t ON t."id" = v."transactionId"
+        UNION ALL
+        SELECT t."round", 0, us."amount", 0
+        FROM stake_unstakes us
+          INNER JOIN round_trs t ON t."id" = us."transactionId"
+        UNION ALL
+        SELECT t."round", 0, 0, COALESCE((so."airdropReward" ->> 'totalReward') :: BIGINT, 0)
+        FROM stake_orders so
+          INNER JOIN round_trs t ON t."id" = so."id"
+      ) r
+      GROUP BY "round"
+    ),
+    stats AS (
+      SELECT
+        r."round",
+        r."timestamp",
+        SUM(COALESCE(st."change", 0)) OVER (ORDER BY r."round") AS "totalStaked",
+        SUM(COALESCE(h."change", 0)) OVER (ORDER BY r."round")  AS "stakeholders",
+        COALESCE(s."rewards", 0)                                AS "rewards",
+        COALESCE(s."unstaked", 0)                               AS "unstaked",
+        COALESCE(s."airdrop", 0)                                AS "airdrop"
+      FROM rounds r
+        LEFT JOIN staked st ON st."round" = r."round"
+        LEFT JOIN holders h ON h."round" = r."round"
+        LEFT JOIN sums s ON s."round" = r."round"
+    )
+  INSERT INTO stake_stats ("round", "timestamp", "totalStaked", "stakeholders", "rewards", "unstaked", "airdrop")
+    SELECT "round", "timestamp", "totalStaked", "stakeholders", "rewards", "unstaked", "airdrop"
+    FROM stats
+    WHERE "round" NOT IN (SELECT "round" FROM stake_stats);
+$$;
+
+COMMIT;
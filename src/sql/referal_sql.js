@@ -39,6 +39,24 @@ const Referals = {
 
     findReferralList: 'WITH t0 as ( SELECT address, count(*) OVER () AS totalusers FROM referals WHERE level[${levelInfo}] = ${address} LIMIT ${limit} OFFSET ${offset} ) SELECT address, COALESCE(s."status",0) AS stakeStatus, COALESCE(SUM(s."freezedAmount"),0) as freezedAmount, totalusers FROM t0 r LEFT JOIN stake_orders s ON r."address" = s."senderId" AND s."status" = 1 GROUP BY r."address", totalusers, s."status"',
 
+    getReferralTreeLevels: 'WITH members AS ( SELECT "address", array_position("level", ${address}::VARCHAR) AS "level" FROM referals WHERE "level" @> ARRAY[${address}]::VARCHAR[] ), stakes AS ( SELECT "senderId", SUM("freezedAmount") AS "staked" FROM stake_orders WHERE "status" = 1 AND "senderId" IN (SELECT "address" FROM members) GROUP BY "senderId" ), rewards AS ( SELECT m."level", SUM(rt."reward") AS "rewards" FROM referral_transactions rt JOIN members m ON m."address" = rt."sponsor_address" WHERE rt."introducer_address" = ${address} GROUP BY m."level" ) SELECT m."level", COUNT(*)::INT AS "members", COUNT(s."senderId")::INT AS "stakers", COALESCE(SUM(s."staked"), 0)::BIGINT AS "staked", COALESCE(MAX(r."rewards"), 0)::BIGINT AS "rewards" FROM members m LEFT JOIN stakes s ON s."senderId" = m."address" LEFT JOIN rewards r ON r."level" = m."level" WHERE m."level" <= ${depth} GROUP BY m."level" ORDER BY m."level"',
+
+    getReferralTreeMembers: 'WITH members AS ( SELECT "address", array_position("level", ${address}::VARCHAR) AS "level" FROM referals WHERE "level" @> ARRAY[${address}]::VARCHAR[] ) SELECT m."address", m."level", COALESCE(SUM(s."freezedAmount"), 0)::BIGINT AS "staked", COUNT(s."id") > 0 AS "isStaking", COUNT(*) OVER ()::INT AS "count" FROM members m LEFT JOIN stake_orders s ON s."senderId" = m."address" AND s."status" = 1 WHERE m."level" <= ${depth} AND (${level} IS NULL OR m."level" = ${level}) GROUP BY m."address", m."level" ORDER BY m."level", m."address" LIMIT ${limit} OFFSET ${offset}',
+
+    getFirstStakeOrder: 'SELECT "id" FROM stake_orders WHERE "senderId" = ${senderId} LIMIT 1',
+
+    setLevelChain: 'INSERT INTO referals ("address", "level") VALUES (${address}, ${level}) ON CONFLICT ("address") DO UPDATE SET "level" = EXCLUDED."level"',
+
+    removeLevelChain: 'DELETE FROM referals WHERE "address" = ${address}',
+
+    getUpline: 'WITH RECURSIVE upline("address") AS ( SELECT "level"[1] FROM referals WHERE "address" = ${address} UNION SELECT r."level"[1] FROM referals r JOIN upline u ON r."address" = u."address" ) SELECT "address" FROM upline WHERE "address" IS NOT NULL',
+
+    rebaseDownlineLevelChains: 'UPDATE referals SET "level" = ("level"[1:array_position("level", ${address}::VARCHAR)] || ${level}::VARCHAR[])[1:${depth}] WHERE "level" @> ARRAY[${address}]::VARCHAR[]',
+
+    addReferralChangeLevel: 'INSERT INTO referral_change_levels ("transactionId", "address", "previousLevel") VALUES (${transactionId}, ${address}, ${previousLevel})',
+
+    removeReferralChangeLevel: 'DELETE FROM referral_change_levels WHERE "transactionId" = ${transactionId} RETURNING "address", "previousLevel"',
+
     findTotalStakeVolume: 'SELECT SUM("freezedAmount") as freezed_amount from stake_orders WHERE "senderId" = ANY(ARRAY[${address_list}]) AND "status" =1',
 
     findSponsorStakeStatus: 'SELECT "senderId",count(*)::int as status from stake_orders WHERE "senderId" = ANY(ARRAY[${sponsor_address}]) AND "status" = 1 GROUP BY "senderId"',
@@ -1,3 +1,17 @@
+// Staked amount and stakeholders at the current state of stake orders
+const stakeOrdersTotals = '(SELECT COALESCE(SUM("freezedAmount"), 0) AS "totalStaked",' +
+    ' COUNT(DISTINCT "senderId") AS "stakeholders" FROM stake_orders WHERE "status" = 1) o';
+
+// Rewards, unstaked amounts and airdrop paid by transactions of block
+const blockStakeSums = '(SELECT' +
+    '  COALESCE(SUM(v."reward"), 0) AS "rewards",' +
+    '  COALESCE(SUM(-v."unstake"), 0) + (SELECT COALESCE(SUM(us."amount"), 0) FROM stake_unstakes us' +
+    '    INNER JOIN trs t ON t."id" = us."transactionId" WHERE t."blockId" = ${blockId}) AS "unstaked",' +
+    '  COALESCE(SUM((v."airdropReward"->>\'totalReward\')::bigint), 0) +' +
+    '  (SELECT COALESCE(SUM((so."airdropReward"->>\'totalReward\')::bigint), 0) FROM stake_orders so' +
+    '    INNER JOIN trs t ON t."id" = so."id" WHERE t."blockId" = ${blockId}) AS "airdrop"' +
+    '  FROM votes v INNER JOIN trs t ON t."id" = v."transactionId" WHERE t."blockId" = ${blockId}) s';
+
 const RoundsSql = {
     flush: 'DELETE FROM mem_round WHERE "round" = (${round})::bigint;',
 
@@ -17,6 +31,51 @@ const RoundsSql = {
 
     updateBlockId: 'UPDATE mem_accounts SET "blockId" = ${newId} WHERE "blockId" = ${oldId};',
 
+    releaseLockedTransfers: 'WITH released AS (' +
+    '  UPDATE locked_transfers SET "releasedBlockId" = ${blockId}' +
+    '  WHERE "releasedBlockId" IS NULL' +
+    '    AND ("unlockHeight" <= ${height} OR "unlockTime" <= ${timestamp})' +
+    '  RETURNING "recipientId", "amount"' +
+    ') UPDATE mem_accounts m SET' +
+    '  "lockedBalance" = m."lockedBalance" - r."amount",' +
+    '  "u_lockedBalance" = m."u_lockedBalance" - r."amount"' +
+    ' FROM (SELECT "recipientId", SUM("amount")::bigint AS "amount" FROM released GROUP BY "recipientId") r' +
+    ' WHERE m."address" = r."recipientId";',
+
+    restoreLockedTransfers: 'WITH restored AS (' +
+    '  UPDATE locked_transfers SET "releasedBlockId" = NULL' +
+    '  WHERE "releasedBlockId" = ${blockId}' +
+    '  RETURNING "recipientId", "amount"' +
+    ') UPDATE mem_accounts m SET' +
+    '  "lockedBalance" = m."lockedBalance" + r."amount",' +
+    '  "u_lockedBalance" = m."u_lockedBalance" + r."amount"' +
+    ' FROM (SELECT "recipientId", SUM("amount")::bigint AS "amount" FROM restored GROUP BY "recipientId") r' +
+    ' WHERE m."address" = r."recipientId";',
+
+    applyStakeStats: 'INSERT INTO stake_stats' +
+    ' ("round", "timestamp", "totalStaked", "stakeholders", "rewards", "unstaked", "airdrop")' +
+    ' SELECT ${round}, ${timestamp}, o."totalStaked", o."stakeholders", s."rewards", s."unstaked", s."airdrop"' +
+    ` FROM ${stakeOrdersTotals}, ${blockStakeSums}` +
+    ' ON CONFLICT ("round") DO UPDATE SET' +
+    '  "timestamp" = EXCLUDED."timestamp",' +
+    '  "totalStaked" = EXCLUDED."totalStaked",' +
+    '  "stakeholders" = EXCLUDED."stakeholders",' +
+    '  "rewards" = stake_stats."rewards" + EXCLUDED."rewards",' +
+    '  "unstaked" = stake_stats."unstaked" + EXCLUDED."unstaked",' +
+    '  "airdrop" = stake_stats."airdrop" + EXCLUDED."airdrop";',
+
+    revertStakeStats: 'UPDATE stake_stats ss SET' +
+    '  "timestamp" = (SELECT "timestamp" FROM blocks WHERE "id" = ${previousBlockId}),' +
+    '  "totalStaked" = o."totalStaked",' +
+    '  "stakeholders" = o."stakeholders",' +
+    '  "rewards" = ss."rewards" - s."rewards",' +
+    '  "unstaked" = ss."unstaked" - s."unstaked",' +
+    '  "airdrop" = ss."airdrop" - s."airdrop"' +
+    ` FROM ${stakeOrdersTotals}, ${blockStakeSums}` +
+    ' WHERE ss."round" = ${round};',
+
+    removeStakeStats: 'DELETE FROM stake_stats WHERE "round" = ${round};',
+
     // TODO better that was but work while we have constants number activeDelegate, have to change logic and after query
     summedRound: 'SELECT' +
     '  SUM(r.fee) :: BIGINT AS "fees",' +
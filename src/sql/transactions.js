@@ -43,6 +43,12 @@ const TransactionsSql = {
 
     countById: 'SELECT COUNT("id")::int AS "count" FROM trs WHERE "id" = ${id}',
 
+    countBySenderIdAndSalt: 'SELECT COUNT("id")::int AS "count" FROM trs ' +
+        'WHERE "senderId" = ${senderId} AND "salt" = ${salt}',
+
+    deleteLockedTransfer: 'DELETE FROM locked_transfers WHERE "transactionId" = ${transactionId} ' +
+        'RETURNING "releasedBlockId"',
+
 
     list(params) {
         return [
@@ -95,13 +101,15 @@ const TransactionsSql = {
             '  so."freezedAmount"     AS "so_freezedAmount",' +
             '  so."nextVoteMilestone" AS "so_nextVoteMilestone",' +
             '  so."airdropReward"     AS "so_airdropReward",' +
-            '  ref.level              AS ref_level' +
+            '  CASE WHEN rcl.address IS NULL THEN ref.level ELSE rcl."previousLevel" END AS ref_level' +
             '  FROM' +
             '  t0 t' +
             '  LEFT JOIN blocks b ON t."t_blockId" = b.id' +
             '  LEFT JOIN votes v ON v."transactionId" = t.t_id' +
             '  LEFT JOIN stake_orders so ON so.id = t.t_id' +
             '  LEFT JOIN referals ref ON ref.address = t."t_senderId" ' +
+            '  LEFT JOIN LATERAL (SELECT address, "previousLevel" FROM referral_change_levels' +
+            '  WHERE address = t."t_senderId" ORDER BY "rowId" LIMIT 1) rcl ON TRUE ' +
             (params.afterSortField ? `ORDER BY ${[params.afterSortField, params.sortMethod].join(' ')}` : ''),
         ].filter(Boolean).join(' ');
     },
@@ -112,7 +120,16 @@ const TransactionsSql = {
 
     getDelegateNames: 'SELECT username as m_username, address as m_address from mem_accounts where mem_accounts."isDelegate" = 1',
 
-    getTransactionById: 'SELECT * from trs WHERE "id" = ${id}'
+    getTransactionById: 'SELECT * from trs WHERE "id" = ${id}',
+
+    saveInJournal: 'INSERT INTO trs_journal ("id", "transaction", "insertTime") ' +
+        'VALUES (${id}, ${transaction}, ${insertTime}) ON CONFLICT ("id") DO NOTHING',
+
+    removeFromJournal: 'DELETE FROM trs_journal WHERE "id" = ${id}',
+
+    removeStaleFromJournal: 'DELETE FROM trs_journal WHERE "insertTime" < ${insertTime} RETURNING "id"',
+
+    getJournal: 'SELECT "transaction", "insertTime" FROM trs_journal ORDER BY "insertTime" ASC'
 };
 
 module.exports = TransactionsSql;
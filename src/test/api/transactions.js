@@ -591,6 +591,74 @@ describe('GET /api/transactions/queued', function () {
     });
 });
 
+describe('GET /api/transactions/queued/conflicted', function () {
+
+    it('should be ok', function (done) {
+        node.get('/api/transactions/queued/conflicted', function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.ok;
+            node.expect(res.body).to.have.property('transactions').that.is.an('array');
+            node.expect(res.body).to.have.property('count').that.is.an('number');
+            done();
+        });
+    });
+
+    it('using limit > 100 should fail', function (done) {
+        node.get('/api/transactions/queued/conflicted?limit=101', function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.not.ok;
+            node.expect(res.body).to.have.property('error');
+            done();
+        });
+    });
+});
+
+describe('GET /api/transactions/status?id=', function () {
+
+    it('using valid id should be ok', function (done) {
+        let params = 'id=' + transactionList[0].txId;
+
+        node.get('/api/transactions/status?' + params, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.ok;
+            node.expect(res.body).to.have.property('id').to.equal(transactionList[0].txId);
+            node.expect(res.body).to.have.property('status').that.is.a('string');
+            node.expect(res.body).to.have.property('history').that.is.an('array');
+            done();
+        });
+    });
+
+    it('using unknown id should fail', function (done) {
+        let params = 'id=' + '1234';
+
+        node.get('/api/transactions/status?' + params, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.false;
+            node.expect(res.body).to.have.property('error').that.is.equal('Transaction status not found');
+            done();
+        });
+    });
+});
+
+describe('POST /api/transactions/validate', function () {
+
+    it('using no transaction should fail', function (done) {
+        node.post('/api/transactions/validate', {}, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.not.ok;
+            node.expect(res.body).to.have.property('error');
+            done();
+        });
+    });
+
+    it('using invalid transaction should return normalization error', function (done) {
+        node.post('/api/transactions/validate', { transaction: { type: node.txTypes.SEND } }, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.ok;
+            node.expect(res.body).to.have.property('valid').to.be.false;
+            node.expect(res.body).to.have.property('fee').to.be.null;
+            node.expect(res.body).to.have.property('errors').that.is.an('array').with.lengthOf(1);
+            node.expect(res.body.errors[0]).to.have.property('stage').to.equal('NORMALIZE');
+            node.expect(res.body.errors[0]).to.have.property('message').that.is.a('string');
+            done();
+        });
+    });
+});
+
 describe('GET /api/transactions/multisignatures/get?id=', function () {
 
     it('using unknown id should be ok', function (done) {
@@ -766,6 +834,71 @@ describe('PUT /api/transactions', function () {
         });
     });
 
+    it('using data should be ok', function (done) {
+        putTransaction({
+            secret: account.password,
+            amount: 1,
+            recipientId: account2.address,
+            data: 'deposit 1024'
+        }, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.ok;
+            node.expect(res.body).to.have.property('transactionId');
+            done();
+        });
+    });
+
+    it('using data longer than maxTransactionDataLength should fail', function (done) {
+        putTransaction({
+            secret: account.password,
+            amount: 1,
+            recipientId: account2.address,
+            data: new Array(node.constants.maxTransactionDataLength + 2).join('x')
+        }, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.not.ok;
+            node.expect(res.body).to.have.property('error');
+            done();
+        });
+    });
+
+    it('using already reached expireHeight should fail', function (done) {
+        putTransaction({
+            secret: account.password,
+            amount: 1,
+            recipientId: account2.address,
+            expireHeight: 1
+        }, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.not.ok;
+            node.expect(res.body).to.have.property('error');
+            done();
+        });
+    });
+
+    it('using lock with both unlockTime and unlockHeight should fail', function (done) {
+        putTransaction({
+            secret: account.password,
+            amount: 1,
+            recipientId: account2.address,
+            lock: { unlockTime: 1, unlockHeight: 1 }
+        }, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.not.ok;
+            node.expect(res.body).to.have.property('error');
+            done();
+        });
+    });
+
+    it('using already reached unlockHeight should fail', function (done) {
+        putTransaction({
+            secret: account.password,
+            amount: 1,
+            recipientId: account2.address,
+            lock: { unlockHeight: 1 }
+        }, function (err, res) {
+            node.expect(res.body).to.have.property('success').to.be.not.ok;
+            node.expect(res.body).to.have.property('error');
+            done();
+        });
+    });
+
     it('using no passphase should fail', function (done) {
         let amountToSend = 100000000;
 
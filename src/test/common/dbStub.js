@@ -0,0 +1,41 @@
+let pgp = require('pg-promise');
+
+/**
+ * Stub of database connection for unit tests of logic using real query modules.
+ * Every query is formatted with its params as pg-promise does, so a missing
+ * param fails the test, then it is passed to the handler registered for it.
+ * Executed queries are kept in `queries` with their formatted text.
+ * @param {Array} handlers - Pairs of query and `function (params, text)` returning the result.
+ * @return {Object} db
+ */
+let createDb = function (handlers) {
+    let db = { queries: [] };
+
+    let execute = async function (query, params) {
+        let text = pgp.as.format(query, params);
+        let handler = handlers.find(pair => pair[0] === query);
+
+        db.queries.push({ query, params, text });
+        if (!handler) {
+            throw new Error(`Unexpected query: ${text}`);
+        }
+        return handler[1](params, text);
+    };
+
+    db.none = async (query, params) => {
+        await execute(query, params);
+        return null;
+    };
+    db.one = execute;
+    db.oneOrNone = execute;
+    db.many = execute;
+    db.manyOrNone = execute;
+    db.any = execute;
+    db.query = execute;
+    db.task = async callback => callback.call(db, db);
+    db.tx = db.task;
+
+    return db;
+};
+
+module.exports = createDb;
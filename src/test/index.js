@@ -20,6 +20,8 @@ require('./rpc/getNextForgers.js');
 require('./rpc/getPeers.js');
 require('./rpc/getPeer.js');
 require('./rpc/getReward.js');
+require('./rpc/getStakeOrders.js');
+require('./rpc/getStakedAmount.js');
 require('./rpc/getSupply.js');
 require('./rpc/getTransaction.js');
 require('./rpc/getPublickey.js');
@@ -28,10 +30,31 @@ require('./rpc/createTransaction.js');
 require('./rpc/addTransactions.js');
 require('./rpc/transactionSend.js');
 require('./rpc/transactionStake.js');
+require('./rpc/validateTransaction.js');
 
 require('./unit/helpers/request-limiter.js');
+require('./unit/helpers/mailer.js');
+require('./unit/helpers/transactionBuilder.js');
 require('./unit/logic/blockReward.js');
+require('./unit/logic/stakeReward.js');
+require('./unit/logic/batchTransfer.js');
+require('./unit/logic/frozenProjection.js');
+require('./unit/logic/frozenCompound.js');
+require('./unit/logic/frozenLineage.js');
+require('./unit/logic/frozenNotifications.js');
+require('./unit/logic/frozenPool.js');
+require('./unit/logic/stakePoolMember.js');
+require('./unit/logic/frozenAirdrop.js');
+require('./unit/logic/referralChange.js');
+require('./unit/logic/voteHistory.js');
+require('./unit/logic/replaceByFee.js');
+require('./unit/logic/transactionPool.js');
+require('./unit/logic/transactionJournal.js');
+require('./unit/logic/lockedTransfer.js');
+require('./unit/logic/stakeStats.js');
+require('./unit/logic/unstake.js');
 require('./unit/sql/blockRewards.js');
+require('./unit/modules/referralTree.js');
 require('./unit/modules/peers.js');
 require('./unit/modules/blocks.js');
 require('./unit/modules/blocks/verify.js');
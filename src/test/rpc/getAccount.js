@@ -52,6 +52,7 @@ describe('RPC method: GET_ACCOUNT', function () {
             expect(accountResult).to.have.property('secondPublicKey');
             expect(accountResult).to.have.property('multisignatures');
             expect(accountResult).to.have.property('totalFrozeAmount');
+            expect(accountResult).to.have.property('lockedBalance');
             done()
         });
 
@@ -33,6 +33,7 @@ describe('RPC method: GET_BALANCE', function () {
                 expect(result).to.be.an('object');
                 expect(result.balance).to.be.an('string');
                 expect(result.unconfirmedBalance).to.be.an('string');
+                expect(result).to.have.property('lockedBalance');
                 done();
             });
 
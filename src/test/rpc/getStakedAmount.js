@@ -0,0 +1,48 @@
+const chai = require('chai');
+const expect = require('chai').expect;
+const TestWebSocketConnector = require('../common/TestWebSocketConnector.js');
+
+
+describe('RPC method: GET_STAKED_AMOUNT', function () {
+
+    const ADDRESS = 'DDK14224602569244644359';
+    let wsc;
+
+    before(function (done) {
+        wsc = new TestWebSocketConnector();
+        wsc.open(done);
+    });
+
+    after(function (done) {
+        wsc.close();
+        done();
+    });
+
+    describe('Checked connection', function () {
+        it('socket is ready', function (done) {
+            expect(wsc.ws.ready).to.equals(true);
+            done();
+        });
+    });
+
+    describe('Checked method result', function () {
+
+        it('should have valid parameters', function (done) {
+            wsc.call('GET_STAKED_AMOUNT', { address: ADDRESS }, (result) => {
+                expect(result).to.be.an('object');
+                expect(result.address).to.equals(ADDRESS);
+                expect(result.totalDDKStaked).to.be.an('number');
+                done();
+            });
+        });
+
+        it('should fail without address and publicKey', function (done) {
+            wsc.call('GET_STAKED_AMOUNT', {}, (result) => {
+                expect(result.error).to.equals('Missing address or publicKey');
+                done();
+            });
+        });
+
+    })
+
+});
@@ -0,0 +1,53 @@
+const chai = require('chai');
+const expect = require('chai').expect;
+const TestWebSocketConnector = require('../common/TestWebSocketConnector.js');
+const transactionTypes = require('../../helpers/transactionTypes.js');
+const ReservedError = require('../../api/rpc/errors.js');
+
+
+describe('RPC method: VALIDATE_TRANSACTION', function () {
+
+    let wsc;
+
+    before(function (done) {
+        wsc = new TestWebSocketConnector();
+        wsc.open(done);
+    });
+
+    after(function (done) {
+        wsc.close();
+        done();
+    });
+
+    describe('Checked connection', function () {
+        it('socket is ready', function (done) {
+            expect(wsc.ws.ready).to.equals(true);
+            done();
+        });
+    });
+
+    describe('Call and checked method result', function () {
+
+        it('should return normalization error for invalid transaction', function (done) {
+            wsc.call('VALIDATE_TRANSACTION', { transaction: { type: transactionTypes.SEND } }, (result) => {
+                expect(result).to.be.an('object');
+                expect(result.valid).to.equals(false);
+                expect(result.fee).to.equals(null);
+                expect(result.potentialConflict).to.equals(false);
+                expect(result.errors).to.be.an.instanceof(Array);
+                expect(result.errors[0]).to.have.property('stage').to.equals('NORMALIZE');
+                expect(result.errors[0]).to.have.property('message');
+                done();
+            });
+        });
+
+        it('should fail without transaction', function (done) {
+            wsc.call('VALIDATE_TRANSACTION', {}, (result) => {
+                expect(result.error).to.equals(ReservedError.ServerErrorInvalidMethodParameters);
+                done();
+            });
+        });
+
+    });
+
+});
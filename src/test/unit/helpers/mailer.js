@@ -0,0 +1,128 @@
+let expect = require('chai').expect;
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+
+let sql = require('../../../sql/mail.js');
+let mailer = require('../../../helpers/mailer.js');
+let fileTransport = require('../../../helpers/mail/file.js');
+let createDb = require('../../common/dbStub.js');
+
+let config = {
+    driver: 'file',
+    from: 'noreply@ddk.io',
+    file: { dir: path.join(os.tmpdir(), `ddk-mail-outbox-${process.pid}`) },
+    queue: { interval: 1000, batchSize: 10, maxAttempts: 2 }
+};
+
+// Stub of mail_queue table
+let createState = function () {
+    let state = { mails: [] };
+
+    let attempt = function (params) {
+        let mail = state.mails.find(row => row.id === params.id);
+
+        mail.attempts++;
+        return mail;
+    };
+
+    state.db = createDb([
+        [sql.addMail, (params) => {
+            state.mails.push(Object.assign({ id: state.mails.length + 1, status: 0, attempts: 0 }, params));
+            return { id: state.mails.length };
+        }],
+        [sql.getDueMails, params => state.mails.filter(mail => mail.status === 0).slice(0, params.limit)],
+        [sql.setMailSent, (params) => {
+            attempt(params).status = 1;
+        }],
+        [sql.setMailAttemptFailed, (params) => {
+            let mail = attempt(params);
+
+            mail.status = mail.attempts >= params.maxAttempts ? 2 : 0;
+            mail.delay = params.delay;
+            mail.lastError = params.error;
+        }]
+    ]);
+
+    return state;
+};
+
+describe('mailer', function () {
+
+    let state;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+    beforeEach(function () {
+        state = createState();
+        mailer.init(config, state.db, logger);
+    });
+
+    after(function () {
+        fs.readdirSync(config.file.dir).forEach(file => fs.unlinkSync(path.join(config.file.dir, file)));
+        fs.rmdirSync(config.file.dir);
+    });
+
+    it('should not init unknown driver', function () {
+        expect(() => mailer.init(Object.assign({}, config, { driver: 'fax' }), state.db, logger))
+            .to.throw('Unknown mail driver fax');
+    });
+
+    it('should queue rendered mail without sending it', async function () {
+        let id = await mailer.enqueue('referral', 'user@ddk.io', {
+            username: 'user@ddk.io',
+            referralLink: 'https://ddk.io/#/signup?referral=<DDK14224602569244644359>'
+        });
+
+        expect(id).to.equal(1);
+        expect(state.mails[0]).to.include({ template: 'referral', to: 'user@ddk.io', status: 0 });
+        expect(state.mails[0].subject).to.equal('You are invited to DDK');
+        expect(state.mails[0].html).to.contain('&lt;DDK14224602569244644359&gt;');
+    });
+
+    it('should write queued mail to outbox and mark it sent', async function () {
+        await mailer.enqueue('welcome', 'user@ddk.io', {
+            username: 'user@ddk.io',
+            address: 'DDK14224602569244644359',
+            publicKey: 'f4ae589b02f97e9ab5bce61cf187bcc96cfb3fdf9a11333703a682b7d47c8dc2'
+        });
+
+        expect(await mailer.processQueue()).to.equal(1);
+        expect(state.mails[0].status).to.equal(1);
+
+        let files = fs.readdirSync(config.file.dir);
+        let message = JSON.parse(fs.readFileSync(path.join(config.file.dir, files[files.length - 1]), 'utf8'));
+
+        expect(message).to.include({ from: config.from, to: 'user@ddk.io', subject: 'Welcome to DDK' });
+        expect(message.html).to.contain('DDK14224602569244644359');
+    });
+
+    it('should create nested outbox directory and reuse existing one', async function () {
+        let root = path.join(os.tmpdir(), `ddk-mail-nested-${process.pid}`);
+        let dir = path.join(root, 'outbox', 'mails');
+        let message = { from: config.from, to: 'user@ddk.io', subject: 'Welcome to DDK', html: '' };
+
+        await fileTransport({ dir }).send(message);
+        await fileTransport({ dir }).send(message);
+
+        let files = fs.readdirSync(dir);
+
+        expect(files).to.have.lengthOf(2);
+
+        files.forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+        fs.rmdirSync(path.dirname(dir));
+        fs.rmdirSync(root);
+    });
+
+    it('should retry failed mail with doubled delay and give up after max attempts', async function () {
+        mailer.transport = { send: async () => { throw new Error('Provider is down'); } };
+        await mailer.enqueue('referral', 'user@ddk.io', { username: 'user@ddk.io', referralLink: 'link' });
+
+        expect(await mailer.processQueue()).to.equal(0);
+        expect(state.mails[0]).to.include({ status: 0, attempts: 1, delay: 1000 });
+        expect(state.mails[0].lastError).to.equal('Error: Provider is down');
+
+        expect(await mailer.processQueue()).to.equal(0);
+        expect(state.mails[0]).to.include({ status: 2, attempts: 2, delay: 2000 });
+    });
+});
@@ -71,6 +71,39 @@ describe('RequestLimiter', function () {
             expect(limiter).to.be.a('object').that.has.property('middleware').that.is.a('object');
             expect(limiter.middleware).to.have.property('peer').that.is.a('function');
         });
+
+        it('should return the default email limits', function () {
+            expect(limiter).to.be.a('object').that.has.property('email').that.is.a('object');
+            expect(limiter.email).to.have.property('max').to.eql(5);
+            expect(limiter.email).to.have.property('delayMs').to.eql(0);
+            expect(limiter.email).to.have.property('delayAfter').to.eql(0);
+            expect(limiter.email).to.have.property('windowMs').to.eql(3600000);
+        });
+
+        it('should enable the email middleware', function () {
+            expect(limiter).to.be.a('object').that.has.property('middleware').that.is.a('object');
+            expect(limiter.middleware).to.have.property('email').that.is.a('function');
+        });
+    });
+
+    describe('when email limits are defined', function () {
+
+        let limiter;
+
+        beforeEach(function () {
+            limiter = RequestLimiter(app, { api: { options: { emailLimits: { max: 1, windowMs: 4 } } } });
+        });
+
+        it('should return the defined email limits', function () {
+            expect(limiter.email).to.have.property('max').to.eql(1);
+            expect(limiter.email).to.have.property('delayMs').to.eql(0);
+            expect(limiter.email).to.have.property('delayAfter').to.eql(0);
+            expect(limiter.email).to.have.property('windowMs').to.eql(4);
+        });
+
+        it('should keep the default client limits', function () {
+            expect(limiter.client).to.have.property('max').to.eql(0);
+        });
     });
 
     describe('when limits are defined', function () {
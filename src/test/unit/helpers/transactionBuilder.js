@@ -0,0 +1,239 @@
+let expect = require('chai').expect;
+
+let ed = require('../../../helpers/ed.js');
+let transactionTypes = require('../../../helpers/transactionTypes.js');
+let transactionBuilder = require('../../../helpers/transactionBuilder.js');
+let TransactionLogic = require('../../../logic/transaction.js');
+let Transfer = require('../../../logic/transfer.js');
+let BatchTransfer = require('../../../logic/batchTransfer.js');
+let Frozen = require('../../../logic/frozen.js');
+let Vote = require('../../../logic/vote.js');
+let Signature = require('../../../logic/signature.js');
+let Delegate = require('../../../logic/delegate.js');
+let Multisignature = require('../../../logic/multisignature.js');
+let Referral = require('../../../logic/referral.js');
+let Unstake = require('../../../logic/unstake.js');
+let StakePool = require('../../../logic/stakePool.js');
+let StakePoolMember = require('../../../logic/stakePoolMember.js');
+let ReferralChange = require('../../../logic/referralChange.js');
+
+let keypair = transactionBuilder.makeKeypair('robust weapon course unknown head trial pencil latin acid');
+let secondKeypair = transactionBuilder.makeKeypair(
+    'stay undo beyond powder sand laptop grow gloom apology hamster primary arrive'
+);
+let senderPublicKey = keypair.publicKey.toString('hex');
+let sender = { totalFrozeAmount: 100000000000, u_totalFrozeAmount: 100000000000 };
+
+let common = {
+    senderPublicKey,
+    timestamp: 86400,
+    salt: '0145b4f09dc2d5008beeed1f45423eb7'
+};
+
+let airdropReward = {
+    withAirdropReward: true,
+    sponsors: { DDK4995063339468361088: 10000000 },
+    totalReward: 10000000
+};
+
+let fixtures = {
+    SEND: {
+        type: transactionTypes.SEND,
+        amount: 100000000,
+        recipientId: 'DDK14224602569244644359'
+    },
+    'SEND with data and lock': {
+        type: transactionTypes.SEND,
+        amount: 100000000,
+        recipientId: 'DDK14224602569244644359',
+        data: 'deposit 1024',
+        lock: { unlockHeight: 1000 }
+    },
+    'SEND with priority fee': {
+        type: transactionTypes.SEND,
+        amount: 100000000,
+        recipientId: 'DDK14224602569244644359',
+        priorityFee: 5000000
+    },
+    'SEND with expiry': {
+        type: transactionTypes.SEND,
+        amount: 100000000,
+        recipientId: 'DDK14224602569244644359',
+        expireTime: 90000,
+        expireHeight: 2000
+    },
+    BATCH_SEND: {
+        type: transactionTypes.BATCH_SEND,
+        transfers: [
+            { recipientId: 'DDK14224602569244644359', amount: 100000000 },
+            { recipientId: 'DDK4995063339468361088', amount: 250000000 }
+        ]
+    },
+    STAKE: {
+        type: transactionTypes.STAKE,
+        freezedAmount: 100000000000,
+        airdropReward
+    },
+    'STAKE with compound': {
+        type: transactionTypes.STAKE,
+        freezedAmount: 100000000000,
+        compound: true,
+        airdropReward
+    },
+    VOTE: {
+        type: transactionTypes.VOTE,
+        votes: ['+589884f4743701a07140a504ee0f0a46236f30e17cdc3d36501a1d026d3d79b0'],
+        reward: 20000000,
+        unstake: 0,
+        airdropReward,
+        expireHeight: 2000
+    },
+    UNSTAKE: {
+        type: transactionTypes.UNSTAKE,
+        stakeId: '2eb8bc7ab982720b8b0e677840405d340988cfdc251ff5d8055a2a344079a825',
+        amount: 50000000000
+    },
+    STAKE_POOL: {
+        type: transactionTypes.STAKE_POOL,
+        name: 'Pool_1',
+        commission: 15
+    },
+    STAKE_POOL_JOIN: {
+        type: transactionTypes.STAKE_POOL_JOIN,
+        poolId: '8e4bb8fc3b2a0b0ee8b15e1b1d7d5a8a52dc4a1e7e6b0a3cfd8b9b2b5e1d4c3a',
+        stakeId: '2eb8bc7ab982720b8b0e677840405d340988cfdc251ff5d8055a2a344079a825'
+    },
+    STAKE_POOL_LEAVE: {
+        type: transactionTypes.STAKE_POOL_LEAVE,
+        poolId: '8e4bb8fc3b2a0b0ee8b15e1b1d7d5a8a52dc4a1e7e6b0a3cfd8b9b2b5e1d4c3a',
+        stakeId: '2eb8bc7ab982720b8b0e677840405d340988cfdc251ff5d8055a2a344079a825'
+    },
+    SIGNATURE: {
+        type: transactionTypes.SIGNATURE,
+        secondPublicKey: secondKeypair.publicKey.toString('hex')
+    },
+    DELEGATE: {
+        type: transactionTypes.DELEGATE,
+        username: ' Delegate_1 '
+    },
+    MULTI: {
+        type: transactionTypes.MULTI,
+        min: 2,
+        lifetime: 24,
+        keysgroup: [
+            '+589884f4743701a07140a504ee0f0a46236f30e17cdc3d36501a1d026d3d79b0',
+            `+${secondKeypair.publicKey.toString('hex')}`
+        ]
+    },
+    REFERRAL: {
+        type: transactionTypes.REFERRAL,
+        referral: 'DDK4995063339468361088'
+    },
+    REFERRAL_CHANGE: {
+        type: transactionTypes.REFERRAL_CHANGE,
+        referral: 'DDK4995063339468361088'
+    }
+};
+
+describe('transactionBuilder', function () {
+
+    let transactionLogic;
+
+    before(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        transactionLogic = new TransactionLogic(null, ed, null, null, null, logger);
+        transactionLogic.attachAssetType(transactionTypes.SEND, new Transfer());
+        transactionLogic.attachAssetType(transactionTypes.BATCH_SEND, new BatchTransfer());
+        transactionLogic.attachAssetType(transactionTypes.STAKE, new Frozen(logger));
+        transactionLogic.attachAssetType(transactionTypes.VOTE, new Vote(logger));
+        transactionLogic.attachAssetType(transactionTypes.SIGNATURE, new Signature());
+        transactionLogic.attachAssetType(transactionTypes.DELEGATE, new Delegate());
+        transactionLogic.attachAssetType(transactionTypes.MULTI, new Multisignature());
+        transactionLogic.attachAssetType(transactionTypes.REFERRAL, new Referral(logger));
+        transactionLogic.attachAssetType(transactionTypes.UNSTAKE, new Unstake());
+        transactionLogic.attachAssetType(transactionTypes.STAKE_POOL, new StakePool());
+        transactionLogic.attachAssetType(transactionTypes.STAKE_POOL_JOIN, new StakePoolMember());
+        transactionLogic.attachAssetType(transactionTypes.STAKE_POOL_LEAVE, new StakePoolMember());
+        transactionLogic.attachAssetType(transactionTypes.REFERRAL_CHANGE, new ReferralChange());
+    });
+
+    describe('makeKeypair', function () {
+
+        it('should create keypair of secret', function () {
+            let hash = require('crypto').createHash('sha256').update('secret', 'utf8').digest();
+
+            expect(transactionBuilder.makeKeypair('secret')).to.eql(ed.makeKeypair(hash));
+        });
+    });
+
+    describe('create', function () {
+
+        it('should throw if sender public key is missing', function () {
+            expect(() => transactionBuilder.create({ type: transactionTypes.SEND }))
+                .to.throw('Invalid sender public key');
+        });
+
+        it('should throw if type is unknown', function () {
+            expect(() => transactionBuilder.create({ type: 255, senderPublicKey }))
+                .to.throw('Unknown transaction type 255');
+        });
+
+        it('should set vote recipient to sender address', function () {
+            let trs = transactionBuilder.create(Object.assign({}, common, fixtures.VOTE));
+
+            expect(trs.recipientId).to.equal(transactionBuilder.getAddressByPublicKey(senderPublicKey));
+        });
+
+        it('should normalize delegate username', function () {
+            let trs = transactionBuilder.create(Object.assign({}, common, fixtures.DELEGATE));
+
+            expect(trs.asset.delegate.username).to.equal('delegate_1');
+        });
+    });
+
+    Object.keys(fixtures).forEach(function (name) {
+
+        describe(name, function () {
+
+            let trs;
+
+            beforeEach(function () {
+                trs = transactionBuilder.create(Object.assign({}, common, fixtures[name]));
+            });
+
+            it('getBytes of unsigned transaction should match logic', function () {
+                expect(transactionBuilder.getBytes(trs)).to.eql(transactionLogic.getBytes(trs));
+            });
+
+            it('signature should match logic and be verified by it', function () {
+                let signature = transactionBuilder.sign(keypair, trs);
+
+                expect(signature).to.equal(transactionLogic.sign(keypair, trs));
+
+                trs.signature = signature;
+                expect(transactionLogic.verifySignature(trs, senderPublicKey, trs.signature)).to.be.true;
+            });
+
+            it('signed transaction should have bytes, id and fee of logic', function () {
+                transactionBuilder.signTransaction(trs, keypair, secondKeypair, sender);
+
+                expect(transactionBuilder.getBytes(trs)).to.eql(transactionLogic.getBytes(trs));
+                expect(transactionBuilder.getBytes(trs, true, true)).to.eql(transactionLogic.getBytes(trs, true, true));
+                expect(trs.id).to.equal(transactionLogic.getId(trs));
+                expect(trs.fee).to.equal(transactionLogic.calculateUnconfirmedFee(trs, sender));
+                expect(transactionLogic.verifySignature(trs, senderPublicKey, trs.signature)).to.be.true;
+                expect(transactionLogic.verifySecondSignature(
+                    trs, secondKeypair.publicKey.toString('hex'), trs.signSignature
+                )).to.be.true;
+            });
+
+            it('multisign should match logic', function () {
+                transactionBuilder.signTransaction(trs, keypair, null, sender);
+
+                expect(transactionBuilder.multisign(secondKeypair, trs))
+                    .to.equal(transactionLogic.multisign(secondKeypair, trs));
+            });
+        });
+    });
+});
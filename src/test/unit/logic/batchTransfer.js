@@ -0,0 +1,123 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let transactionTypes = require('../../../helpers/transactionTypes');
+let BatchTransfer = require('../../../logic/batchTransfer.js');
+
+let transfers = [
+    { recipientId: 'DDK14224602569244644359', amount: 100000000 },
+    { recipientId: 'DDK4995063339468361088', amount: 250000000 }
+];
+
+let validTransaction = function () {
+    return {
+        id: '2eb8bc7ab982720b8b0e677840405d340988cfdc251ff5d8055a2a344079a825',
+        type: transactionTypes.BATCH_SEND,
+        amount: 350000000,
+        asset: {
+            transfers: transfers.map(transfer => Object.assign({}, transfer))
+        }
+    };
+};
+
+describe('BatchTransfer', function () {
+
+    let batchTransfer;
+
+    before(function () {
+        batchTransfer = new BatchTransfer();
+    });
+
+    describe('create', function () {
+
+        it('should set transfers and their sum as amount', function () {
+            let trs = batchTransfer.create({ transfers }, { asset: {}, amount: 0 });
+
+            expect(trs.asset.transfers).to.eql(transfers);
+            expect(trs.amount).to.equal(350000000);
+            expect(trs.trsName).to.equal('BATCH_SEND');
+        });
+    });
+
+    describe('calculateFee', function () {
+
+        it('should scale with recipient count', function () {
+            let trs = validTransaction();
+            let expectedFee = (trs.amount * constants.fees.send) / 100 + 2 * constants.fees.batchrecipient;
+
+            expect(batchTransfer.calculateFee(trs)).to.equal(expectedFee);
+        });
+    });
+
+    describe('getBytes', function () {
+
+        it('should write recipient and amount of each transfer', function () {
+            expect(batchTransfer.getBytes(validTransaction())).to.have.lengthOf(2 * 16);
+        });
+
+        it('should change if transfer amount changes', function () {
+            let trs = validTransaction();
+            let bytes = batchTransfer.getBytes(trs);
+            trs.asset.transfers[1].amount += 1;
+
+            expect(batchTransfer.getBytes(trs).equals(bytes)).to.be.false;
+        });
+    });
+
+    describe('newVerify', function () {
+
+        it('should be ok for valid transaction', function () {
+            expect(() => batchTransfer.newVerify(validTransaction())).to.not.throw();
+        });
+
+        it('should throw if recipientId is set', function () {
+            let trs = validTransaction();
+            trs.recipientId = 'DDK14224602569244644359';
+
+            expect(() => batchTransfer.newVerify(trs)).to.throw('Invalid recipient');
+        });
+
+        it('should throw if recipient is duplicated', function () {
+            let trs = validTransaction();
+            trs.asset.transfers[1].recipientId = trs.asset.transfers[0].recipientId;
+
+            expect(() => batchTransfer.newVerify(trs)).to.throw('Encountered duplicate recipient');
+        });
+
+        it('should throw if amount is not sum of transfers', function () {
+            let trs = validTransaction();
+            trs.amount += 1;
+
+            expect(() => batchTransfer.newVerify(trs)).to.throw('Invalid transaction amount');
+        });
+    });
+
+    describe('dbSave', function () {
+
+        it('should return row for each transfer', function () {
+            let rows = batchTransfer.dbSave(validTransaction());
+
+            expect(rows).to.have.lengthOf(2);
+            expect(rows[1]).to.have.property('table').to.equal('batch_transfers');
+            expect(rows[1].values).to.eql({
+                transactionId: validTransaction().id,
+                index: 1,
+                recipientId: transfers[1].recipientId,
+                amount: transfers[1].amount
+            });
+        });
+    });
+
+    describe('dbRead', function () {
+
+        it('should return null if no transfers', function () {
+            expect(batchTransfer.dbRead({})).to.be.null;
+        });
+
+        it('should return transfers', function () {
+            let raw = { bt_transfers: transfers.map(t => ({ recipientId: t.recipientId, amount: String(t.amount) })) };
+
+            expect(batchTransfer.dbRead(raw)).to.eql({ transfers });
+        });
+    });
+});
@@ -0,0 +1,135 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let transactionTypes = require('../../../helpers/transactionTypes.js');
+let accountSql = require('../../../sql/accounts.js');
+let rewardSql = require('../../../sql/referal_sql.js');
+let Frozen = require('../../../logic/frozen.js');
+let createDb = require('../../common/dbStub.js');
+
+let senderId = 'DDK14224602569244644359';
+let sponsorId = 'DDK4995063339468361088';
+
+// Stub of airdrop account balance and referral chain of sender
+let createAirdropDb = state => createDb([
+    [accountSql.getCurrentUnmined, (params) => {
+        expect(params.address).to.equal(constants.airdrop.account);
+        return state.balance === null ? null : { balance: String(state.balance) };
+    }],
+    [rewardSql.referLevelChain, () => ({ level: [sponsorId] })]
+]);
+
+describe('Frozen airdrop budget', function () {
+
+    let frozen;
+    let state;
+    let amount = 100000000000;
+    let reward = Math.ceil((amount * constants.airdrop.stakeRewardPercent) / 100);
+
+    beforeEach(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        state = { balance: reward, reserved: 0 };
+        frozen = new Frozen(logger, createAirdropDb(state), null, null, {
+            stakeRewards: [{ start: 0, percent: 10 }]
+        });
+        frozen.bind(null, null, null, { getReservedAirdropReward: () => state.reserved });
+    });
+
+    let getAirdropReward = async () =>
+        frozen.getAirdropReward(senderId, amount, transactionTypes.STAKE, await frozen.getAirdropBalance());
+
+    let createStake = async () => frozen.create(
+        { sender: { address: senderId }, freezedAmount: amount, type: transactionTypes.STAKE },
+        { id: 's1', type: transactionTypes.STAKE, senderId, timestamp: 1000, asset: {} }
+    );
+
+    describe('getAirdropReward', function () {
+
+        it('should allow reward covered by airdrop balance', async function () {
+            expect(await getAirdropReward()).to.eql({
+                total: reward,
+                sponsors: { [sponsorId]: reward },
+                allowed: true
+            });
+        });
+
+        it('should not allow reward exceeding airdrop balance', async function () {
+            state.balance = reward - 1;
+
+            let result = await getAirdropReward();
+
+            expect(result).to.eql({ total: 0, sponsors: {}, allowed: false });
+        });
+
+        it('should allow reward again once airdrop balance is refilled', async function () {
+            state.balance = 0;
+            expect((await getAirdropReward()).allowed).to.equal(false);
+
+            state.balance = reward;
+            expect((await getAirdropReward()).allowed).to.equal(true);
+        });
+
+        it('should not allow reward without airdrop account', async function () {
+            state.balance = null;
+
+            let result = await getAirdropReward();
+
+            expect(result.allowed).to.equal(false);
+        });
+    });
+
+    describe('create', function () {
+
+        it('should refuse stake while reserved reward leaves too little airdrop balance', async function () {
+            state.reserved = 1;
+
+            let error = await createStake().catch(e => e);
+
+            expect(error).to.be.an('error')
+                .with.property('message', 'Airdrop balance is reserved by transactions in pool, try again later');
+        });
+
+        it('should create stake without reward when airdrop balance is spent', async function () {
+            state.balance = reward - 1;
+            state.reserved = reward;
+
+            let trs = await createStake();
+
+            expect(trs.asset.airdropReward).to.eql({ withAirdropReward: false, sponsors: {}, totalReward: 0 });
+        });
+    });
+
+    describe('verifyAirdrop', function () {
+
+        it('should verify stake created under reservation', async function () {
+            state.balance = reward * 2;
+            state.reserved = reward;
+
+            let trs = await createStake();
+
+            expect(trs.asset.airdropReward.totalReward).to.equal(reward);
+            await frozen.verifyAirdrop(trs);
+            await frozen.verifyAirdrop(trs, { transactions: [trs] });
+        });
+
+        it('should verify stake created without reward under reservation', async function () {
+            state.balance = reward - 1;
+            state.reserved = reward;
+
+            let trs = await createStake();
+
+            await frozen.verifyAirdrop(trs);
+        });
+
+        it('should take reward of preceding transactions of block from airdrop balance', async function () {
+            let trs = await createStake();
+            let preceding = { id: 's0', asset: { airdropReward: { withAirdropReward: true, totalReward: 1 } } };
+
+            let error = await frozen.verifyAirdrop(trs, { transactions: [preceding, trs] }).catch(e => e);
+
+            expect(error).to.equal('Verify failed: stake airdrop reward is corrupted');
+            await frozen.verifyAirdrop(trs, { transactions: [trs, preceding] });
+        });
+    });
+});
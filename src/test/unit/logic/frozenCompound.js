@@ -0,0 +1,117 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let sql = require('../../../sql/frogings.js');
+let Frozen = require('../../../logic/frozen.js');
+let createDb = require('../../common/dbStub.js');
+
+let totalSupplyAccount = 'DDK5216144241543004733';
+let senderId = 'DDK14224602569244644359';
+let rewardedVoteCount = constants.froze.rewardVoteCount;
+
+let createOrders = function () {
+    return [
+        { id: 'a1', freezedAmount: 300000000, voteCount: rewardedVoteCount, compound: true },
+        { id: 'b2', freezedAmount: 100000000, voteCount: rewardedVoteCount, compound: false },
+        { id: 'c3', freezedAmount: 100000000, voteCount: 1, compound: true }
+    ];
+};
+
+// Stub of stake_orders, stake_compounds tables and account balances
+let createState = function (orders) {
+    let state = { orders, compounds: [], accounts: {} };
+
+    let updateAccount = function (address, field, value) {
+        state.accounts[address] = state.accounts[address] || { balance: 0, totalFrozeAmount: 0 };
+        state.accounts[address][field] += value;
+    };
+
+    state.db = createDb([
+        [sql.updateAccountBalance, params => updateAccount(params.senderId, 'balance', params.reward)],
+        [sql.updateFrozeAmount, params => updateAccount(params.senderId, 'totalFrozeAmount', params.reward)],
+        [sql.compoundFrozeOrder, (params) => {
+            // orders passed to applyRewards are updated by it, keep stored amounts apart
+            state.stored = state.stored || {};
+            state.stored[params.id] = (state.stored[params.id] || 0) + params.amount;
+        }],
+        [sql.addStakeCompound, params => state.compounds.push(Object.assign({}, params))],
+        [sql.removeStakePoolRewards, () => []],
+        [sql.removeStakeCompounds, (params) => {
+            let removed = state.compounds.filter(c => c.transactionId === params.transactionId);
+            state.compounds = state.compounds.filter(c => c.transactionId !== params.transactionId);
+            return removed.map(c => ({ stakeId: c.stakeId, amount: String(c.amount) }));
+        }]
+    ]);
+
+    return state;
+};
+
+describe('Frozen compound rewards', function () {
+
+    let frozen;
+    let state;
+
+    beforeEach(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        state = createState(createOrders());
+        frozen = new Frozen(logger, state.db, null, null, {
+            forging: { totalSupplyAccount },
+            stakeRewards: [{ start: 0, percent: 10 }]
+        });
+    });
+
+    describe('getCompoundRewards', function () {
+
+        it('should split reward between rewarded orders by amount', function () {
+            expect(frozen.getCompoundRewards(40000000, createOrders())).to.eql([
+                { stakeId: 'a1', amount: 30000000 }
+            ]);
+        });
+
+        it('should not compound order unstaked by the vote', function () {
+            let orders = createOrders();
+            orders[0].voteCount = constants.froze.unstakeVoteCount;
+
+            let rewards = frozen.getCompoundRewards(40000000, orders);
+            expect(rewards.find(reward => reward.stakeId === 'a1')).to.not.exist;
+        });
+
+        it('should return nothing without reward', function () {
+            expect(frozen.getCompoundRewards(0, createOrders())).to.eql([]);
+        });
+    });
+
+    describe('applyRewards and undoRewards', function () {
+
+        let voteTransaction = { id: 'v1', senderId, asset: { reward: 40000000 } };
+
+        it('should keep compounded reward frozen and revert it exactly', async function () {
+            await frozen.applyRewards(voteTransaction, state.orders);
+
+            expect(state.accounts[senderId]).to.eql({ balance: 40000000, totalFrozeAmount: 30000000 });
+            expect(state.accounts[totalSupplyAccount]).to.eql({ balance: -40000000, totalFrozeAmount: 0 });
+            expect(state.stored).to.eql({ a1: 30000000 });
+            expect(state.orders[0].freezedAmount).to.equal(330000000);
+            expect(state.compounds).to.eql([{ transactionId: 'v1', stakeId: 'a1', amount: 30000000 }]);
+
+            await frozen.undoRewards(voteTransaction);
+
+            expect(state.accounts[senderId]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+            expect(state.accounts[totalSupplyAccount]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+            expect(state.stored).to.eql({ a1: 0 });
+            expect(state.compounds).to.eql([]);
+        });
+    });
+
+    describe('calculateProjection', function () {
+
+        it('should add rewards to amount of compound order', function () {
+            let order = { id: 'a1', freezedAmount: 100000000, voteCount: 0, nextVoteMilestone: 0 };
+            let simple = frozen.calculateProjection(order, 100, 0);
+            let compound = frozen.calculateProjection(Object.assign({ compound: true }, order), 100, 0);
+
+            expect(compound.totalReward).to.be.above(simple.totalReward);
+        });
+    });
+});
@@ -0,0 +1,59 @@
+let expect = require('chai').expect;
+
+let transactionTypes = require('../../../helpers/transactionTypes');
+let Frozen = require('../../../logic/frozen.js');
+
+let staker = 'DDK14224602569244644359';
+let holder = 'DDK5216144241543004733';
+let lastHolder = 'DDK10720340277000928808';
+
+let createRows = function () {
+    return [
+        { id: 'a1', parentId: null, senderId: staker, status: 0, freezedAmount: '100000000', hop: 0,
+            type: transactionTypes.STAKE, trsSenderId: staker, recipientId: null, timestamp: 100, height: 10 },
+        { id: 'b2', parentId: 'a1', senderId: holder, status: 0, freezedAmount: '100000000', hop: 1,
+            type: transactionTypes.SENDSTAKE, trsSenderId: staker, recipientId: holder, timestamp: 200, height: 20 },
+        { id: 'c3', parentId: 'b2', senderId: lastHolder, status: 1, freezedAmount: '100000000', hop: 2,
+            type: transactionTypes.SENDSTAKE, trsSenderId: holder, recipientId: lastHolder, timestamp: 300, height: 30 }
+    ];
+};
+
+describe('Frozen lineage', function () {
+
+    let frozen;
+
+    before(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        frozen = new Frozen(logger);
+    });
+
+    it('should return null if order is not found', function () {
+        expect(frozen.buildLineage([])).to.be.null;
+    });
+
+    it('should return staking transaction, every transfer and current holder', function () {
+        let lineage = frozen.buildLineage(createRows());
+
+        expect(lineage.origin).to.eql({
+            id: 'a1',
+            type: transactionTypes.STAKE,
+            senderId: staker,
+            freezedAmount: 100000000,
+            timestamp: 100,
+            height: 10
+        });
+        expect(lineage.transfers).to.eql([
+            { id: 'b2', stakeId: 'a1', senderId: staker, recipientId: holder, timestamp: 200, height: 20 },
+            { id: 'c3', stakeId: 'b2', senderId: holder, recipientId: lastHolder, timestamp: 300, height: 30 }
+        ]);
+        expect(lineage.current).to.eql({ id: 'c3', holder: lastHolder, status: 1, freezedAmount: 100000000 });
+    });
+
+    it('should return staker as current holder of order never transferred', function () {
+        let lineage = frozen.buildLineage(createRows().slice(0, 1));
+
+        expect(lineage.transfers).to.eql([]);
+        expect(lineage.current).to.include({ id: 'a1', holder: staker });
+    });
+});
@@ -0,0 +1,80 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let stakeNotifier = require('../../../helpers/stakeNotifier.js');
+let Frozen = require('../../../logic/frozen.js');
+
+let senderId = 'DDK14224602569244644359';
+let rewardedVoteCount = constants.froze.rewardVoteCount;
+
+describe('Frozen notifications', function () {
+
+    let frozen;
+    let sent;
+    let send = stakeNotifier.send;
+
+    before(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        frozen = new Frozen(logger);
+    });
+
+    beforeEach(function () {
+        sent = [];
+        stakeNotifier.send = (address, eventName, message) => sent.push({ address, eventName, message });
+    });
+
+    afterEach(function () {
+        stakeNotifier.send = send;
+    });
+
+    describe('getOrderRewards', function () {
+
+        it('should split reward between rewarded orders by amount', function () {
+            let orders = [
+                { id: 'a1', freezedAmount: 300000000, voteCount: rewardedVoteCount },
+                { id: 'b2', freezedAmount: 100000000, voteCount: rewardedVoteCount },
+                { id: 'c3', freezedAmount: 100000000, voteCount: 1 }
+            ];
+
+            expect(frozen.getOrderRewards(40000000, orders)).to.eql([
+                { stakeId: 'a1', amount: 30000000 },
+                { stakeId: 'b2', amount: 10000000 }
+            ]);
+        });
+    });
+
+    describe('notifyRewardsAndUnstakes', function () {
+
+        it('should send reward of each rewarded order and each unstaked order to sender', function () {
+            let voteTransaction = { id: 'v1', senderId, asset: { reward: 20000000 } };
+            let orders = [
+                { id: 'a1', freezedAmount: 100000000, voteCount: rewardedVoteCount, status: 1 },
+                { id: 'b2', freezedAmount: 200000000, voteCount: 1, status: 0 }
+            ];
+
+            frozen.notifyRewardsAndUnstakes(voteTransaction, orders);
+
+            expect(sent).to.eql([
+                {
+                    address: senderId,
+                    eventName: 'stake/reward',
+                    message: { stakeId: 'a1', amount: 20000000, transactionId: 'v1' }
+                },
+                {
+                    address: senderId,
+                    eventName: 'stake/unstaked',
+                    message: { stakeId: 'b2', amount: 200000000, transactionId: 'v1' }
+                }
+            ]);
+        });
+
+        it('should send nothing without reward and unstake', function () {
+            frozen.notifyRewardsAndUnstakes({ id: 'v1', senderId, asset: { reward: 0 } }, [
+                { id: 'a1', freezedAmount: 100000000, voteCount: 1, status: 1 }
+            ]);
+
+            expect(sent).to.eql([]);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let sql = require('../../../sql/frogings.js');
+let Frozen = require('../../../logic/frozen.js');
+let createDb = require('../../common/dbStub.js');
+
+let totalSupplyAccount = 'DDK5216144241543004733';
+let operatorId = 'DDK14224602569244644359';
+let memberId = 'DDK4995063339468361088';
+let poolId = '8e4bb8fc3b2a0b0ee8b15e1b1d7d5a8a52dc4a1e7e6b0a3cfd8b9b2b5e1d4c3a';
+let rewardedVoteCount = constants.froze.rewardVoteCount;
+let unstakeVoteCount = constants.froze.unstakeVoteCount;
+
+let createOrders = function () {
+    return [
+        { id: 'a1', senderId: operatorId, poolId: null, freezedAmount: 100000000, voteCount: rewardedVoteCount },
+        { id: 'b2', senderId: memberId, poolId, freezedAmount: 300000000, voteCount: rewardedVoteCount, compound: true }
+    ];
+};
+
+// Stub of stake_orders, stake_compounds, stake_pool_rewards tables and account balances
+let createState = function () {
+    let state = { compounds: [], poolRewards: [], stored: {}, accounts: {} };
+
+    let updateAccount = function (address, field, value) {
+        state.accounts[address] = state.accounts[address] || { balance: 0, totalFrozeAmount: 0 };
+        state.accounts[address][field] += value;
+    };
+
+    let remove = function (table, transactionId) {
+        let removed = state[table].filter(row => row.transactionId === transactionId);
+        state[table] = state[table].filter(row => row.transactionId !== transactionId);
+        return removed.map(row => Object.assign({}, row, { amount: String(row.amount) }));
+    };
+
+    state.db = createDb([
+        [sql.updateAccountBalance, params => updateAccount(params.senderId, 'balance', params.reward)],
+        [sql.updateFrozeAmount, params => updateAccount(params.senderId, 'totalFrozeAmount', params.reward)],
+        [sql.compoundFrozeOrder, (params) => {
+            state.stored[params.id] = (state.stored[params.id] || 0) + params.amount;
+        }],
+        [sql.addStakeCompound, params => state.compounds.push(Object.assign({}, params))],
+        [sql.addStakePoolReward, params => state.poolRewards.push(Object.assign({}, params))],
+        [sql.disableFrozeOrders, () => {}],
+        [sql.enableFrozeOrder, () => {}],
+        [sql.removeStakePoolRewards, params => remove('poolRewards', params.transactionId)],
+        [sql.removeStakeCompounds, params => remove('compounds', params.transactionId)]
+    ]);
+
+    return state;
+};
+
+describe('Frozen stake pools', function () {
+
+    let frozen;
+    let state;
+
+    beforeEach(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        state = createState();
+        frozen = new Frozen(logger, state.db, null, null, {
+            forging: { totalSupplyAccount },
+            stakeRewards: [{ start: 0, percent: 10 }]
+        });
+    });
+
+    describe('deductPoolCommission', function () {
+
+        it('should deduct commission from reward parts of other pool members only', function () {
+            let orderRewards = [{ stakeId: 'a1', amount: 10000000 }, { stakeId: 'b2', amount: 30000000 }];
+
+            expect(frozen.deductPoolCommission(orderRewards, createOrders(), operatorId, 15)).to.eql([
+                { stakeId: 'a1', amount: 10000000 },
+                { stakeId: 'b2', senderId: memberId, amount: 25500000, commission: 4500000 }
+            ]);
+        });
+
+        it('should keep reward parts of orders without pool', function () {
+            let orders = createOrders().map(order => Object.assign(order, { poolId: null }));
+            let orderRewards = [{ stakeId: 'b2', amount: 30000000 }];
+
+            expect(frozen.deductPoolCommission(orderRewards, orders, operatorId, 15)).to.eql(orderRewards);
+        });
+    });
+
+    describe('applyRewards and undoRewards', function () {
+
+        let voteTransaction = { id: 'v1', senderId: operatorId, asset: { reward: 40000000 } };
+
+        it('should pay member reward after commission and revert it exactly', async function () {
+            let orders = createOrders();
+
+            await frozen.applyRewards(voteTransaction, orders, 15);
+
+            expect(state.accounts[operatorId]).to.eql({ balance: 14500000, totalFrozeAmount: 0 });
+            expect(state.accounts[memberId]).to.eql({ balance: 25500000, totalFrozeAmount: 25500000 });
+            expect(state.accounts[totalSupplyAccount]).to.eql({ balance: -40000000, totalFrozeAmount: 0 });
+            expect(state.stored).to.eql({ b2: 25500000 });
+            expect(orders[1].freezedAmount).to.equal(325500000);
+            expect(state.poolRewards).to.eql([{
+                transactionId: 'v1', stakeId: 'b2', senderId: memberId, amount: 25500000, commission: 4500000
+            }]);
+
+            await frozen.undoRewards(voteTransaction);
+
+            expect(state.accounts[operatorId]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+            expect(state.accounts[memberId]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+            expect(state.accounts[totalSupplyAccount]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+            expect(state.stored).to.eql({ b2: 0 });
+            expect(state.poolRewards).to.eql([]);
+            expect(state.compounds).to.eql([]);
+        });
+    });
+
+    describe('applyUnstake and undoUnstake', function () {
+
+        it('should release amounts of unstaked orders from their owners', async function () {
+            let orders = createOrders().map(order => Object.assign(order, { voteCount: unstakeVoteCount }));
+            let voteTransaction = { id: 'v1', senderId: operatorId, asset: { reward: 0, unstake: -400000000 } };
+
+            await frozen.applyUnstake(orders, voteTransaction);
+
+            expect(orders.map(order => order.status)).to.eql([0, 0]);
+            expect(state.accounts[operatorId].totalFrozeAmount).to.equal(-100000000);
+            expect(state.accounts[memberId].totalFrozeAmount).to.equal(-300000000);
+
+            await frozen.undoUnstake(orders, voteTransaction);
+
+            expect(state.accounts[operatorId].totalFrozeAmount).to.equal(0);
+            expect(state.accounts[memberId].totalFrozeAmount).to.equal(0);
+        });
+    });
+});
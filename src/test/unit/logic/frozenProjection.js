@@ -0,0 +1,79 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let slots = require('../../../helpers/slots.js');
+let Frozen = require('../../../logic/frozen.js');
+let StakeReward = require('../../../logic/stakeReward.js');
+
+let voteInterval = constants.froze.vTime * 60;
+let stakeRewards = [{ start: 0, percent: 10 }];
+
+describe('Frozen projection', function () {
+
+    let frozen;
+    let stakeReward;
+
+    before(function () {
+        let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+        frozen = new Frozen(logger, null, null, null, { stakeRewards });
+        stakeReward = new StakeReward(stakeRewards);
+    });
+
+    describe('calculateOrderReward', function () {
+
+        it('should not reward the first vote', function () {
+            expect(frozen.calculateOrderReward({ freezedAmount: 100000000, voteCount: 0 }, 10)).to.equal(0);
+        });
+
+        it('should reward a vote that completes the reward vote count', function () {
+            let order = { freezedAmount: '100000000', voteCount: String(constants.froze.rewardVoteCount - 1) };
+
+            expect(frozen.calculateOrderReward(order, 10)).to.equal(100000000 * stakeReward.calcReward(10) / 100);
+        });
+    });
+
+    describe('calculateProjection', function () {
+
+        let order = { id: '1', freezedAmount: '100000000', voteCount: '0', nextVoteMilestone: '1000' };
+
+        it('should list every remaining vote up to unstake', function () {
+            let projection = frozen.calculateProjection(order, 100, 1000);
+
+            expect(projection.milestones).to.have.lengthOf(constants.froze.unstakeVoteCount);
+            projection.milestones.forEach(function (milestone, index) {
+                expect(milestone.voteCount).to.equal(index + 1);
+                expect(milestone.timestamp).to.equal(1000 + index * voteInterval);
+                expect(milestone.height).to.equal(100 + Math.ceil(index * voteInterval / slots.interval));
+                expect(milestone.unstake).to.equal(milestone.voteCount === constants.froze.unstakeVoteCount);
+            });
+            expect(projection.unstakeTime).to.equal(1000 + (constants.froze.unstakeVoteCount - 1) * voteInterval);
+            expect(projection.unstakeDate).to.equal(new Date(slots.getRealTime(projection.unstakeTime)).toISOString());
+        });
+
+        it('should compute each reward with chain reward rules', function () {
+            let projection = frozen.calculateProjection(order, 100, 1000);
+            let totalReward = 0;
+
+            projection.milestones.forEach(function (milestone) {
+                let voteCount = milestone.voteCount - 1;
+                let expected = frozen.calculateOrderReward({ freezedAmount: 100000000, voteCount }, milestone.height);
+
+                expect(milestone.reward).to.equal(expected);
+                totalReward += expected;
+            });
+            expect(projection.totalReward).to.equal(totalReward);
+            expect(projection.totalReward).to.be.above(0);
+        });
+
+        it('should start from current time if the vote milestone has passed', function () {
+            let projection = frozen.calculateProjection(Object.assign({}, order, { voteCount: '1' }), 100, 5000);
+
+            expect(projection.voteCount).to.equal(1);
+            expect(projection.milestones).to.have.lengthOf(constants.froze.unstakeVoteCount - 1);
+            expect(projection.milestones[0].voteCount).to.equal(2);
+            expect(projection.milestones[0].timestamp).to.equal(5000);
+            expect(projection.milestones[0].height).to.equal(100);
+        });
+    });
+});
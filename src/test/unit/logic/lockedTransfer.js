@@ -0,0 +1,169 @@
+let expect = require('chai').expect;
+
+let roundsSql = require('../../../sql/rounds.js');
+let sql = require('../../../sql/transactions.js');
+let Round = require('../../../logic/round.js');
+let Transfer = require('../../../logic/transfer.js');
+let createDb = require('../../common/dbStub.js');
+
+let recipientId = 'DDK5216144241543004733';
+
+// Stub of mem_accounts and locked_transfers tables
+let createState = function () {
+    let state = {
+        account: { balance: 0, lockedBalance: 0, u_lockedBalance: 0 },
+        lowestLockedBalance: 0,
+        locks: []
+    };
+
+    let changeLockedBalance = (rows, sign) => {
+        rows.forEach((row) => {
+            state.account.lockedBalance += sign * row.amount;
+            state.account.u_lockedBalance += sign * row.amount;
+        });
+        state.lowestLockedBalance = Math.min(state.lowestLockedBalance, state.account.lockedBalance);
+    };
+
+    state.db = createDb([
+        [roundsSql.releaseLockedTransfers, (params) => {
+            let released = state.locks.filter(row => !row.releasedBlockId && (
+                (row.unlockHeight !== null && row.unlockHeight <= params.height) ||
+                (row.unlockTime !== null && row.unlockTime <= params.timestamp)
+            ));
+            released.forEach((row) => {
+                row.releasedBlockId = params.blockId;
+            });
+            changeLockedBalance(released, -1);
+        }],
+        [roundsSql.restoreLockedTransfers, (params) => {
+            let restored = state.locks.filter(row => row.releasedBlockId === params.blockId);
+            restored.forEach((row) => {
+                row.releasedBlockId = null;
+            });
+            changeLockedBalance(restored, 1);
+        }],
+        [sql.deleteLockedTransfer, (params) => {
+            let lock = state.locks.find(row => row.transactionId === params.transactionId);
+            state.locks = state.locks.filter(row => row !== lock);
+            return lock ? { releasedBlockId: lock.releasedBlockId } : null;
+        }]
+    ]);
+
+    state.account.asyncMerge = async (address, diff) => {
+        expect(address).to.equal(recipientId);
+        state.account.balance += diff.balance;
+        if (diff.lockedBalance) {
+            changeLockedBalance([{ amount: diff.lockedBalance }], 1);
+        }
+    };
+
+    return state;
+};
+
+describe('Locked transfer', function () {
+
+    let state;
+    let transfer;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+    let trs = {
+        id: 't1',
+        recipientId,
+        amount: 100,
+        timestamp: 1000,
+        asset: { lock: { unlockHeight: 11 } }
+    };
+
+    let createRound = block => new Round({
+        library: { logger },
+        modules: { accounts: {} },
+        block,
+        round: 1,
+        backwards: false
+    }, state.db);
+
+    // Apply of block: transaction is applied and saved, then round tick releases reached locks
+    let applyBlock = async (block, transactions) => {
+        for (let i = 0; i < transactions.length; i++) {
+            await transfer.apply(transactions[i]);
+            state.locks.push(Object.assign({ releasedBlockId: null }, transfer.dbSave(transactions[i]).values));
+        }
+        await createRound(block).releaseLockedTransfers();
+    };
+
+    // Rollback of block: transactions are undone before backward tick restores locks released by block
+    let rollbackBlock = async (block, transactions) => {
+        for (let i = 0; i < transactions.length; i++) {
+            await transfer.undo(transactions[i]);
+        }
+        await createRound(block).restoreLockedTransfers();
+    };
+
+    beforeEach(function () {
+        state = createState();
+        transfer = new Transfer(state.account, null, state.db);
+        transfer.bind(null, null, { lastBlock: { get: () => ({ height: 9 }) } });
+    });
+
+    describe('newVerify', function () {
+
+        it('should fail with unlock height reached by containing block', function () {
+            expect(() => transfer.newVerify(trs, null, { height: 11, timestamp: 1010 }))
+                .to.throw('Invalid unlock height. Unlock height must be after block height');
+        });
+
+        it('should fail with unlock time reached by containing block', function () {
+            let timeLocked = Object.assign({}, trs, { asset: { lock: { unlockTime: 1010 } } });
+
+            expect(() => transfer.newVerify(timeLocked, null, { height: 10, timestamp: 1010 }))
+                .to.throw('Invalid unlock time. Unlock time must be after block timestamp');
+        });
+
+        it('should verify lock after containing block', function () {
+            expect(() => transfer.newVerify(trs, null, { height: 10, timestamp: 1010 })).to.not.throw();
+        });
+
+        it('should check lock against next block without containing block', function () {
+            expect(() => transfer.newVerify(trs, null)).to.not.throw();
+            expect(() => transfer.newVerify(trs, null, undefined)).to.not.throw();
+
+            let reached = Object.assign({}, trs, { asset: { lock: { unlockHeight: 10 } } });
+            expect(() => transfer.newVerify(reached, null))
+                .to.throw('Invalid unlock height. Unlock height must be after block height');
+        });
+    });
+
+    describe('undo', function () {
+
+        it('should restore balances after rollback of releasing and containing blocks', async function () {
+            await applyBlock({ id: 'b10', height: 10, timestamp: 1010 }, [trs]);
+            await applyBlock({ id: 'b11', height: 11, timestamp: 1020 }, []);
+            expect(state.account).to.include({ balance: 100, lockedBalance: 0 });
+
+            await rollbackBlock({ id: 'b11' }, []);
+            expect(state.account).to.include({ balance: 100, lockedBalance: 100, u_lockedBalance: 100 });
+
+            await rollbackBlock({ id: 'b10' }, [trs]);
+            expect(state.account).to.include({ balance: 0, lockedBalance: 0, u_lockedBalance: 0 });
+            expect(state.locks).to.have.lengthOf(0);
+            expect(state.lowestLockedBalance).to.equal(0);
+        });
+
+        it('should not drive locked balance negative for lock released by containing block', async function () {
+            await applyBlock({ id: 'b11', height: 11, timestamp: 1010 }, [trs]);
+            expect(state.account).to.include({ balance: 100, lockedBalance: 0 });
+
+            await rollbackBlock({ id: 'b11' }, [trs]);
+            expect(state.account).to.include({ balance: 0, lockedBalance: 0, u_lockedBalance: 0 });
+            expect(state.lowestLockedBalance).to.equal(0);
+        });
+
+        it('should not touch locked balance of plain transfer', async function () {
+            let plain = Object.assign({}, trs, { asset: {} });
+
+            await transfer.apply(plain);
+            await transfer.undo(plain);
+            expect(state.account).to.include({ balance: 0, lockedBalance: 0 });
+        });
+    });
+});
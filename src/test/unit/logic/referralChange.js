@@ -0,0 +1,231 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let transactionTypes = require('../../../helpers/transactionTypes.js');
+let sql = require('../../../sql/referal_sql.js');
+let accountSql = require('../../../sql/accounts.js');
+let ReferralChange = require('../../../logic/referralChange.js');
+let createDb = require('../../common/dbStub.js');
+
+let senderId = 'DDK14224602569244644359';
+let typoId = 'DDK4995063339468361088';
+let introducerId = 'DDK5216144241543004733';
+let rootId = 'DDK10720340277000928808';
+let memberId = 'DDK7214959811294852078';
+
+// Stub of referals, referral_change_levels, stake_orders and mem_accounts tables
+let createState = function () {
+    let state = {
+        referals: {
+            [introducerId]: [rootId],
+            [senderId]: [typoId],
+            [memberId]: [senderId, typoId]
+        },
+        changes: [],
+        stakers: [],
+        accounts: [senderId, typoId, introducerId, rootId, memberId]
+    };
+
+    state.db = createDb([
+        [sql.referLevelChain, params =>
+            (state.referals[params.address] ? { level: state.referals[params.address] } : null)],
+        [sql.getUpline, (params) => {
+            let upline = [];
+            let level = state.referals[params.address];
+
+            while (level && level.length && upline.indexOf(level[0]) === -1) {
+                upline.push(level[0]);
+                level = state.referals[level[0]];
+            }
+            return upline.map(address => ({ address }));
+        }],
+        [sql.getFirstStakeOrder, params => (state.stakers.indexOf(params.senderId) === -1 ? null : { id: '1' })],
+        [accountSql.getUserByAddress, params =>
+            (state.accounts.indexOf(params.address) === -1 ? null : { address: params.address })],
+        [sql.removeReferralChangeLevel, (params) => {
+            let row = state.changes.find(change => change.transactionId === params.transactionId);
+            state.changes = state.changes.filter(change => change !== row);
+            return row ? { address: row.address, previousLevel: row.previousLevel } : null;
+        }],
+        [sql.addReferralChangeLevel, params => state.changes.push(Object.assign({}, params))],
+        [sql.setLevelChain, (params) => {
+            state.referals[params.address] = params.level;
+        }],
+        [sql.removeLevelChain, (params) => {
+            delete state.referals[params.address];
+        }],
+        [sql.rebaseDownlineLevelChains, (params) => {
+            Object.keys(state.referals).forEach((address) => {
+                let level = state.referals[address];
+                let position = level.indexOf(params.address);
+
+                if (position !== -1) {
+                    state.referals[address] = level.slice(0, position + 1).concat(params.level)
+                        .slice(0, params.depth);
+                }
+            });
+        }]
+    ]);
+
+    return state;
+};
+
+describe('ReferralChange', function () {
+
+    let referralChange;
+    let state;
+    let trs;
+
+    beforeEach(function () {
+        state = createState();
+        referralChange = new ReferralChange(null, state.db);
+        trs = {
+            id: 'c1',
+            type: transactionTypes.REFERRAL_CHANGE,
+            senderId,
+            recipientId: null,
+            amount: 0,
+            asset: { referralChange: { referral: introducerId } }
+        };
+    });
+
+    describe('buildLevel', function () {
+
+        it('should cap chain by depth of referral rewards', function () {
+            let depth = constants.airdrop.referralPercentPerLevel.length;
+            let referralLevel = Array.from({ length: depth }, (value, index) => `DDK${index + 1}`);
+            let level = referralChange.buildLevel(introducerId, referralLevel);
+
+            expect(level).to.have.lengthOf(depth);
+            expect(level[0]).to.equal(introducerId);
+            expect(level[depth - 1]).to.equal(`DDK${depth - 1}`);
+        });
+    });
+
+    describe('newVerify', function () {
+
+        it('should accept change of account which never staked', async function () {
+            await referralChange.newVerify(trs);
+        });
+
+        it('should reject change after the first stake', async function () {
+            state.stakers.push(senderId);
+
+            let error = await referralChange.newVerify(trs).catch(e => e);
+
+            expect(error).to.be.an('error')
+                .with.property('message', 'Referral can not be changed after the first stake');
+        });
+
+        it('should reject sender as introducer', async function () {
+            trs.asset.referralChange.referral = senderId;
+
+            let error = await referralChange.newVerify(trs).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', 'Account can not introduce itself');
+        });
+
+        it('should reject unknown introducer', async function () {
+            state.accounts = state.accounts.filter(address => address !== introducerId);
+
+            let error = await referralChange.newVerify(trs).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', `Referral account ${introducerId} not found`);
+        });
+
+        it('should reject current introducer', async function () {
+            trs.asset.referralChange.referral = typoId;
+
+            let error = await referralChange.newVerify(trs).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', `Account is already introduced by ${typoId}`);
+        });
+
+        it('should reject introducer from downline of sender', async function () {
+            trs.asset.referralChange.referral = memberId;
+
+            let error = await referralChange.newVerify(trs).catch(e => e);
+
+            expect(error).to.be.an('error')
+                .with.property('message', 'Referral can not be a member of account downline');
+        });
+
+        it('should reject introducer from downline of sender deeper than referral chain', async function () {
+            let depth = constants.airdrop.referralPercentPerLevel.length;
+            let downline = Array.from({ length: depth + 1 }, (value, index) => `DDK${index + 1}`);
+
+            downline.forEach((address, index) => {
+                let introducers = [senderId, ...state.referals[senderId]];
+                state.referals[address] = [...downline.slice(0, index).reverse(), ...introducers].slice(0, depth);
+            });
+            state.accounts.push(...downline);
+            trs.asset.referralChange.referral = downline[depth];
+
+            expect(state.referals[downline[depth]]).to.not.include(senderId);
+
+            let error = await referralChange.newVerify(trs).catch(e => e);
+
+            expect(error).to.be.an('error')
+                .with.property('message', 'Referral can not be a member of account downline');
+        });
+
+        it('should reject change of account in upline of introducer changed earlier in block', async function () {
+            let change = { id: 'c0', type: transactionTypes.REFERRAL_CHANGE, senderId: introducerId };
+
+            let error = await referralChange.newVerify(trs, null, { transactions: [change, trs] }).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', 'Referral chain is already changed in block');
+        });
+
+        it('should reject second change of sender in block', async function () {
+            let change = { id: 'c0', type: transactionTypes.REFERRAL_CHANGE, senderId };
+
+            let error = await referralChange.newVerify(trs, null, { transactions: [change, trs] }).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', 'Referral chain is already changed in block');
+        });
+
+        it('should accept change of account outside of upline of introducer in block', async function () {
+            let change = { id: 'c0', type: transactionTypes.REFERRAL_CHANGE, senderId: memberId };
+
+            await referralChange.newVerify(trs, null, { transactions: [change, trs] });
+        });
+    });
+
+    describe('apply and undo', function () {
+
+        it('should rebuild chains of sender and its downline and restore them', async function () {
+            await referralChange.apply(trs);
+
+            expect(state.referals[senderId]).to.eql([introducerId, rootId]);
+            expect(state.referals[memberId]).to.eql([senderId, introducerId, rootId]);
+            expect(state.referals[introducerId]).to.eql([rootId]);
+
+            await referralChange.undo(trs);
+
+            expect(state.referals[senderId]).to.eql([typoId]);
+            expect(state.referals[memberId]).to.eql([senderId, typoId]);
+            expect(state.changes).to.eql([]);
+        });
+
+        it('should not verify change while applied', async function () {
+            state.stakers.push(senderId);
+
+            await referralChange.apply(trs);
+
+            expect(state.referals[senderId]).to.eql([introducerId, rootId]);
+            expect(state.db.queries.map(query => query.query)).to.not.include(sql.getFirstStakeOrder);
+        });
+
+        it('should set introducer of account without chain and remove chain on undo', async function () {
+            delete state.referals[senderId];
+
+            await referralChange.apply(trs);
+            expect(state.referals[senderId]).to.eql([introducerId, rootId]);
+
+            await referralChange.undo(trs);
+            expect(state.referals).to.not.have.property(senderId);
+            expect(state.referals[memberId]).to.eql([senderId]);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+let expect = require('chai').expect;
+
+let ed = require('../../../helpers/ed.js');
+let constants = require('../../../helpers/constants.js');
+let transactionTypes = require('../../../helpers/transactionTypes.js');
+let TransactionLogic = require('../../../logic/transaction.js');
+let Transfer = require('../../../logic/transfer.js');
+
+describe('Replace-by-fee', function () {
+
+    let transactionLogic;
+    let db;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+    let sender = { address: 'DDK14224602569244644359' };
+
+    let createTrs = (amount, data) => ({
+        type: transactionTypes.SEND,
+        amount,
+        data,
+        senderId: sender.address,
+        salt: '0145b4f09dc2d5008beeed1f45423eb7'
+    });
+
+    beforeEach(function () {
+        db = {};
+        transactionLogic = new TransactionLogic(db, ed, null, null, null, logger);
+        transactionLogic.attachAssetType(transactionTypes.SEND, new Transfer());
+    });
+
+    describe('canReplace', function () {
+
+        it('should not replace by transaction with the same fee', function () {
+            expect(transactionLogic.canReplace(createTrs(100000000), createTrs(100000000), sender)).to.equal(false);
+        });
+
+        it('should replace by transaction with larger amount', function () {
+            expect(transactionLogic.canReplace(createTrs(200000000), createTrs(100000000), sender)).to.equal(true);
+        });
+
+        it('should replace by transaction of the same amount with longer data', function () {
+            let trs = createTrs(100000000, 'fix');
+            let replaceable = createTrs(100000000, 'f');
+
+            expect(transactionLogic.calculateUnconfirmedFee(trs, sender) -
+                transactionLogic.calculateUnconfirmedFee(replaceable, sender)).to.equal(2 * constants.fees.databyte);
+            expect(transactionLogic.canReplace(trs, replaceable, sender)).to.equal(true);
+        });
+
+        it('should replace by transaction to other recipient paying higher priority fee', function () {
+            let trs = Object.assign(createTrs(100000000), { recipientId: 'DDK4995063339468361088', priorityFee: 1 });
+
+            expect(transactionLogic.canReplace(trs, createTrs(100000000), sender)).to.equal(true);
+        });
+
+        it('should not replace by transaction to other recipient paying the same priority fee', function () {
+            let trs = Object.assign(createTrs(100000000), { recipientId: 'DDK4995063339468361088', priorityFee: 1 });
+            let replaceable = Object.assign(createTrs(100000000), { priorityFee: 1 });
+
+            expect(transactionLogic.canReplace(trs, replaceable, sender)).to.equal(false);
+        });
+
+        it('should replace by transaction of smaller amount paying higher fee in total', function () {
+            let trs = Object.assign(createTrs(1), { priorityFee: 10000000 });
+
+            expect(transactionLogic.calculateUnconfirmedFee(trs, sender)).to.be.above(
+                transactionLogic.calculateUnconfirmedFee(createTrs(100000000), sender));
+            expect(transactionLogic.canReplace(trs, createTrs(100000000), sender)).to.equal(true);
+        });
+    });
+
+    describe('getBytes', function () {
+
+        let signed = trs => Object.assign(trs, {
+            timestamp: 1000,
+            senderPublicKey: '9d3058175acab969f41ad9b86f7a2926c74258670fe56b37c429c01fca9f2f0f',
+            recipientId: 'DDK4995063339468361088'
+        });
+
+        it('should not change bytes of transaction without priority fee', function () {
+            let trs = signed(createTrs(100000000));
+
+            expect(transactionLogic.getBytes(Object.assign({ priorityFee: 0 }, trs)))
+                .to.eql(transactionLogic.getBytes(trs));
+        });
+
+        it('should sign priority fee', function () {
+            let trs = signed(createTrs(100000000));
+
+            expect(transactionLogic.getBytes(Object.assign({ priorityFee: 2 }, trs)))
+                .to.not.eql(transactionLogic.getBytes(Object.assign({ priorityFee: 1 }, trs)));
+        });
+    });
+
+    describe('newCheckSaltConfirmed', function () {
+
+        it('should find confirmed transaction with the same salt', async function () {
+            db.one = async () => ({ count: 1 });
+
+            expect(await transactionLogic.newCheckSaltConfirmed(createTrs(100000000))).to.equal(true);
+        });
+
+        it('should propagate database error', async function () {
+            db.one = async () => { throw new Error('Connection terminated'); };
+
+            let error = await transactionLogic.newCheckSaltConfirmed(createTrs(100000000)).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', 'Connection terminated');
+        });
+    });
+});
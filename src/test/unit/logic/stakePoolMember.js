@@ -0,0 +1,106 @@
+let expect = require('chai').expect;
+
+let sql = require('../../../sql/frogings.js');
+let transactionTypes = require('../../../helpers/transactionTypes.js');
+let StakePoolMember = require('../../../logic/stakePoolMember.js');
+let createDb = require('../../common/dbStub.js');
+
+let memberId = 'DDK4995063339468361088';
+let poolId = '8e4bb8fc3b2a0b0ee8b15e1b1d7d5a8a52dc4a1e7e6b0a3cfd8b9b2b5e1d4c3a';
+let otherPoolId = '1f2c3b4a5d6e7f8091a2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f708';
+
+describe('StakePoolMember', function () {
+
+    let stakePoolMember;
+    let state;
+
+    let createTrs = (id, type, stakeId, pool) => ({
+        id,
+        type,
+        senderId: memberId,
+        recipientId: null,
+        amount: 0,
+        asset: { stakePoolMember: { poolId: pool || poolId, stakeId } }
+    });
+
+    beforeEach(function () {
+        state = {
+            pools: [poolId, otherPoolId],
+            orders: { a1: { id: 'a1', senderId: memberId, poolId: null }, b2: { id: 'b2', senderId: memberId, poolId } }
+        };
+        state.db = createDb([
+            [sql.getStakePoolById, params => (state.pools.indexOf(params.id) === -1 ? null : { id: params.id })],
+            [sql.getActiveFrozeOrder, params => state.orders[params.stakeId] || null],
+            [sql.setFrozeOrderPool, (params) => {
+                state.orders[params.stakeId].poolId = params.poolId;
+            }]
+        ]);
+        stakePoolMember = new StakePoolMember(null, state.db);
+    });
+
+    describe('newVerify', function () {
+
+        it('should verify join of order without pool and leave of attached one', async function () {
+            await stakePoolMember.newVerify(createTrs('t1', transactionTypes.STAKE_POOL_JOIN, 'a1'));
+            await stakePoolMember.newVerify(createTrs('t2', transactionTypes.STAKE_POOL_LEAVE, 'b2'));
+        });
+
+        it('should not join order already attached to pool', async function () {
+            let error = await stakePoolMember.newVerify(
+                createTrs('t1', transactionTypes.STAKE_POOL_JOIN, 'b2', otherPoolId)
+            ).catch(e => e);
+
+            expect(error).to.be.an('error')
+                .with.property('message', `Stake order b2 is already attached to pool ${poolId}`);
+        });
+
+        it('should not leave pool order is not attached to', async function () {
+            let error = await stakePoolMember.newVerify(
+                createTrs('t1', transactionTypes.STAKE_POOL_LEAVE, 'b2', otherPoolId)
+            ).catch(e => e);
+
+            expect(error).to.be.an('error')
+                .with.property('message', `Stake order b2 is not attached to pool ${otherPoolId}`);
+        });
+
+        it('should not verify second change of the same order in block', async function () {
+            let join = createTrs('t1', transactionTypes.STAKE_POOL_JOIN, 'a1');
+            let rejoin = createTrs('t2', transactionTypes.STAKE_POOL_JOIN, 'a1', otherPoolId);
+            let block = { transactions: [join, createTrs('t3', transactionTypes.STAKE_POOL_LEAVE, 'b2'), rejoin] };
+
+            await stakePoolMember.newVerify(join, null, block);
+            let error = await stakePoolMember.newVerify(rejoin, null, block).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', 'Pool of stake order a1 is already changed in block');
+        });
+    });
+
+    describe('apply and undo', function () {
+
+        it('should attach order and restore it without pool', async function () {
+            let trs = createTrs('t1', transactionTypes.STAKE_POOL_JOIN, 'a1');
+
+            await stakePoolMember.apply(trs);
+            expect(state.orders.a1.poolId).to.equal(poolId);
+
+            await stakePoolMember.undo(trs);
+            expect(state.orders.a1.poolId).to.equal(null);
+        });
+
+        it('should detach order and restore its pool', async function () {
+            let trs = createTrs('t1', transactionTypes.STAKE_POOL_LEAVE, 'b2');
+
+            await stakePoolMember.apply(trs);
+            expect(state.orders.b2.poolId).to.equal(null);
+
+            await stakePoolMember.undo(trs);
+            expect(state.orders.b2.poolId).to.equal(poolId);
+        });
+
+        it('should not verify order while applied', async function () {
+            await stakePoolMember.apply(createTrs('t1', transactionTypes.STAKE_POOL_JOIN, 'a1'));
+
+            expect(state.db.queries.map(query => query.query)).to.eql([sql.setFrozeOrderPool]);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+let expect = require('chai').expect;
+
+let StakeReward = require('../../../logic/stakeReward.js');
+
+describe('StakeReward', function () {
+
+    let stakeReward = new StakeReward([
+        { start: 100, percent: 8 },
+        { start: 0, percent: 10 },
+        { start: 200, percent: 6 }
+    ]);
+
+    describe('returning calcReward', function () {
+
+        it('when height is undefined should throw an error', function () {
+            expect(stakeReward.calcReward).to.throw(/Invalid block height/);
+        });
+
+        it('when height == 0 should return rate activated at 0', function () {
+            expect(stakeReward.calcReward(0)).to.equal(10);
+        });
+
+        it('when height == (start - 1) should return previous rate', function () {
+            expect(stakeReward.calcReward(99)).to.equal(10);
+        });
+
+        it('when height == start should return rate activated at start', function () {
+            expect(stakeReward.calcReward(100)).to.equal(8);
+        });
+
+        it('when height is above last start should return last rate', function () {
+            expect(stakeReward.calcReward(1000000)).to.equal(6);
+        });
+
+        it('when no rate is activated yet should return 0', function () {
+            expect(new StakeReward([{ start: 10, percent: 10 }]).calcReward(9)).to.equal(0);
+        });
+    });
+
+    describe('returning getMilestone', function () {
+
+        it('should return current and next rates', function () {
+            expect(stakeReward.getMilestone(150)).to.eql({
+                current: { start: 100, percent: 8 },
+                next: { start: 200, percent: 6 }
+            });
+        });
+
+        it('should return no next rate after last start', function () {
+            expect(stakeReward.getMilestone(200)).to.eql({
+                current: { start: 200, percent: 6 },
+                next: null
+            });
+        });
+    });
+});
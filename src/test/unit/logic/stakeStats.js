@@ -0,0 +1,50 @@
+let expect = require('chai').expect;
+let sql = require('../../../sql/rounds.js');
+let Round = require('../../../logic/round.js');
+let createDb = require('../../common/dbStub.js');
+
+describe('Stake stats', function () {
+
+    let t;
+    let queries;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+    let createRound = (round, prevRound) => new Round({
+        library: { logger },
+        modules: { accounts: {} },
+        block: { id: 'b12', height: 12, timestamp: 1200, previousBlock: 'b11' },
+        round,
+        prevRound,
+        backwards: prevRound !== undefined
+    }, t);
+
+    beforeEach(function () {
+        t = createDb([sql.applyStakeStats, sql.revertStakeStats, sql.removeStakeStats].map(query => [query, () => {}]));
+        queries = t.queries;
+    });
+
+    it('should add stats of applied block to its round', async function () {
+        await createRound(2).applyStakeStats();
+
+        expect(queries).to.have.lengthOf(1);
+        expect(queries[0].query).to.equal(sql.applyStakeStats);
+        expect(queries[0].params).to.eql({ round: 2, timestamp: 1200, blockId: 'b12' });
+        expect(queries[0].text).to.not.contain('full_blocks_list');
+    });
+
+    it('should remove stats of reverted block from its round', async function () {
+        await createRound(2, 2).revertStakeStats();
+
+        expect(queries).to.have.lengthOf(1);
+        expect(queries[0].query).to.equal(sql.revertStakeStats);
+        expect(queries[0].params).to.eql({ round: 2, blockId: 'b12', previousBlockId: 'b11' });
+    });
+
+    it('should remove round when its first block is reverted', async function () {
+        await createRound(2, 1).revertStakeStats();
+
+        expect(queries).to.have.lengthOf(1);
+        expect(queries[0].query).to.equal(sql.removeStakeStats);
+        expect(queries[0].params).to.eql({ round: 2 });
+    });
+});
@@ -0,0 +1,95 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let slots = require('../../../helpers/slots.js');
+let sql = require('../../../sql/transactions.js');
+let TransactionJournal = require('../../../logic/transactionJournal').default;
+let createDb = require('../../common/dbStub.js');
+
+// Stub of trs_journal table, insert is slower than delete as it may be on busy database
+let createState = function () {
+    let state = { rows: [] };
+
+    state.db = createDb([
+        [sql.saveInJournal, params => new Promise(resolve => setTimeout(() => {
+            if (!state.rows.find(row => row.id === params.id)) {
+                state.rows.push({ id: params.id, transaction: JSON.parse(params.transaction), insertTime: params.insertTime });
+            }
+            resolve();
+        }, 10))],
+        [sql.removeFromJournal, (params) => {
+            state.rows = state.rows.filter(row => row.id !== params.id);
+        }],
+        [sql.removeStaleFromJournal, (params) => {
+            let stale = state.rows.filter(row => row.insertTime < params.insertTime);
+            state.rows = state.rows.filter(row => row.insertTime >= params.insertTime);
+            return stale.map(row => ({ id: row.id }));
+        }],
+        [sql.getJournal, () => state.rows.slice().sort((a, b) => a.insertTime - b.insertTime)]
+    ]);
+
+    return state;
+};
+
+describe('TransactionJournal', function () {
+
+    let journal;
+    let state;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+    beforeEach(function () {
+        state = createState();
+        journal = new TransactionJournal({ logger, db: state.db });
+    });
+
+    describe('save', function () {
+
+        it('should keep transaction without its status', async function () {
+            await journal.save({ id: 't1', type: 0, amount: 100, status: 'QUEUED' });
+
+            expect(state.rows).to.have.lengthOf(1);
+            expect(state.rows[0].transaction).to.eql({ id: 't1', type: 0, amount: 100 });
+        });
+
+        it('should not leave transaction removed before it is saved', async function () {
+            let saved = journal.save({ id: 't1', type: 0, amount: 100 });
+            await journal.remove({ id: 't1' });
+            await saved;
+
+            expect(state.rows).to.eql([]);
+        });
+
+        it('should log database error instead of throwing it', async function () {
+            let errors = [];
+            state.db.none = async () => { throw new Error('Connection terminated'); };
+            journal = new TransactionJournal({ logger: Object.assign({}, logger, { error: e => errors.push(e) }), db: state.db });
+
+            await journal.save({ id: 't1' });
+            await journal.remove({ id: 't1' });
+
+            expect(errors).to.eql([
+                '[TransactionJournal][save]: Error: Connection terminated',
+                '[TransactionJournal][remove]: Error: Connection terminated'
+            ]);
+        });
+    });
+
+    describe('load', function () {
+
+        it('should return entries in order of insert time and drop stale ones', async function () {
+            let now = slots.getTime();
+
+            state.rows = [
+                { id: 't2', transaction: { id: 't2' }, insertTime: now - 1 },
+                { id: 't1', transaction: { id: 't1' }, insertTime: now - 2 },
+                { id: 't0', transaction: { id: 't0' }, insertTime: now - constants.unconfirmedTransactionTimeOut - 1 }
+            ];
+
+            let entries = await journal.load();
+
+            expect(entries.map(entry => entry.transaction.id)).to.eql(['t1', 't2']);
+            expect(entries[0].insertTime).to.equal(now - 2);
+            expect(state.rows.map(row => row.id)).to.eql(['t2', 't1']);
+        });
+    });
+});
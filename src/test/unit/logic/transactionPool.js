@@ -0,0 +1,200 @@
+let expect = require('chai').expect;
+
+let transactionTypes = require('../../../helpers/transactionTypes.js');
+let generateAddressByPublicKey = require('../../../helpers/account.utils').generateAddressByPublicKey;
+let newTransactionPool = require('../../../logic/newTransactionPool');
+
+let TransactionPool = newTransactionPool.default;
+let TransactionQueue = newTransactionPool.TransactionQueue;
+
+let publicKeys = [
+    '9d3058175acab969f41ad9b86f7a2926c74258670fe56b37c429c01fca9f2f0f',
+    '141b16ac8d5bd150f16b1caa08f689057ca4c4434445e56661831f4e671b7c0a',
+    '3ff32442bb6da7d60c1b7752b24e6467813c9b698e0f278d48c43580da972135'
+];
+let addresses = publicKeys.map(generateAddressByPublicKey);
+
+describe('TransactionPool', function () {
+
+    let pool;
+    let state;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+    // SEND of sender to recipient, fee per byte is fee / 100
+    let createTrs = (id, sender, recipientId, fee) => ({
+        id,
+        type: transactionTypes.SEND,
+        senderPublicKey: publicKeys[sender],
+        senderId: addresses[sender],
+        recipientId,
+        amount: 100,
+        fee,
+        timestamp: 1000,
+        salt: id
+    });
+
+    let transactionLogic = {
+        getBytes: () => Buffer.alloc(100),
+        newApplyUnconfirmed: async (trs) => {
+            if (trs.invalid) {
+                throw new Error('Account does not have enough DDK');
+            }
+            state.applied.push(trs.id);
+        },
+        newUndoUnconfirmed: async (trs) => {
+            state.applied = state.applied.filter(id => id !== trs.id);
+        },
+        newVerify: async () => {},
+        newVerifyUnconfirmed: async () => {}
+    };
+
+    let transactionJournal = {
+        save: async (trs) => {
+            state.journal.push(trs.id);
+        },
+        remove: async (trs) => {
+            state.journal = state.journal.filter(id => id !== trs.id);
+        }
+    };
+
+    beforeEach(function () {
+        state = { applied: [], journal: [] };
+        pool = new TransactionPool({
+            transactionLogic,
+            logger,
+            db: null,
+            bus: { message() {} },
+            config: { transactions: { maxTxsPerPool: 3, maxTxsPerSender: 2 } },
+            transactionJournal
+        });
+    });
+
+    let fill = async () => {
+        await pool.push(createTrs('t1', 0, 'DDK1', 300));
+        await pool.push(createTrs('t2', 0, 'DDK2', 100));
+        await pool.push(createTrs('t3', 1, 'DDK3', 200));
+    };
+
+    describe('checkCapacity', function () {
+
+        it('should accept transaction while pool is not full', async function () {
+            await pool.push(createTrs('t1', 0, 'DDK1', 100));
+
+            expect(pool.checkCapacity(createTrs('t2', 1, 'DDK2', 100))).to.eql({ success: true });
+        });
+
+        it('should decline transaction of sender over quota', async function () {
+            await pool.push(createTrs('t1', 0, 'DDK1', 100));
+            await pool.push(createTrs('t2', 0, 'DDK2', 100));
+
+            expect(pool.checkCapacity(createTrs('t3', 0, 'DDK3', 1000)))
+                .to.eql({ success: false, reason: 'SENDER_QUOTA' });
+        });
+
+        it('should count queued transactions of sender to quota', async function () {
+            await pool.push(createTrs('t1', 0, 'DDK1', 100));
+
+            expect(pool.isSenderQuotaExceeded(addresses[0])).to.equal(false);
+            expect(pool.isSenderQuotaExceeded(addresses[0], 1)).to.equal(true);
+        });
+
+        it('should decline transaction not paying more per byte than cheapest one when pool is full', async function () {
+            await fill();
+
+            expect(pool.checkCapacity(createTrs('t4', 2, 'DDK4', 100)))
+                .to.eql({ success: false, reason: 'POOL_FULL' });
+        });
+
+        it('should evict cheapest transaction when pool is full', async function () {
+            await fill();
+
+            let capacity = pool.checkCapacity(createTrs('t4', 2, 'DDK4', 150));
+
+            expect(capacity).to.include({ success: true, reason: 'EVICTED_LOWER_FEE' });
+            expect(capacity.evicted.id).to.equal('t2');
+        });
+    });
+
+    describe('getEvictionCandidate', function () {
+
+        it('should not evict transaction whose recipient has own transactions in pool', async function () {
+            await pool.push(createTrs('t1', 0, 'DDK1', 300));
+            await pool.push(createTrs('t2', 0, addresses[1], 100));
+            await pool.push(createTrs('t3', 1, 'DDK3', 200));
+
+            expect(pool.getEvictionCandidate().id).to.equal('t3');
+        });
+
+        it('should return nothing if every transaction has dependent ones', async function () {
+            await pool.push(createTrs('t1', 0, addresses[1], 100));
+            await pool.push(createTrs('t2', 1, addresses[0], 100));
+
+            expect(pool.getEvictionCandidate()).to.equal(null);
+        });
+    });
+
+    describe('push', function () {
+
+        it('should put transaction in pool with evicting cheapest one', async function () {
+            await fill();
+
+            let result = await pool.push(createTrs('t4', 2, 'DDK4', 150));
+
+            expect(result).to.eql({ success: true, reason: 'EVICTED_LOWER_FEE' });
+            expect(pool.has({ id: 't2' })).to.equal(false);
+            expect(state.applied).to.eql(['t1', 't3', 't4']);
+            expect(pool.getTransactionsBySenderId(addresses[0]).map(trs => trs.id)).to.eql(['t1']);
+        });
+
+        it('should keep evicted candidate if transaction is not applied', async function () {
+            await fill();
+
+            let result = await pool.push(Object.assign(createTrs('t4', 2, 'DDK4', 150), { invalid: true }));
+
+            expect(result).to.eql({ success: false, error: 'Account does not have enough DDK' });
+            expect(pool.has({ id: 't2' })).to.equal(true);
+            expect(state.applied).to.eql(['t1', 't2', 't3']);
+            expect(pool.getSize()).to.equal(3);
+        });
+
+        it('should not keep transaction that is not applied in sender and recipient indexes', async function () {
+            let result = await pool.push(Object.assign(createTrs('t1', 0, 'DDK1', 100), { invalid: true }));
+
+            expect(result.success).to.equal(false);
+            expect(pool.getTransactionsBySenderId(addresses[0])).to.eql([]);
+            expect(pool.getTransactionsByRecipientId('DDK1')).to.eql([]);
+            expect(pool.isSenderQuotaExceeded(addresses[0], 1)).to.equal(false);
+        });
+    });
+
+    describe('TransactionQueue', function () {
+
+        let queue;
+
+        beforeEach(function () {
+            queue = new TransactionQueue({
+                transactionLogic,
+                transactionPool: pool,
+                logger,
+                db: { oneOrNone: async (query, params) => ({ address: params.address, u_balance: '0' }) },
+                network: null,
+                transactionJournal
+            });
+        });
+
+        it('should resolve with pool outcome of transaction', async function () {
+            let result = await queue.enqueue(createTrs('t1', 0, 'DDK1', 100));
+
+            expect(result).to.include({ success: true });
+            expect(pool.has({ id: 't1' })).to.equal(true);
+        });
+
+        it('should decline transaction that is not applied instead of queueing it again', async function () {
+            let result = await queue.enqueue(Object.assign(createTrs('t1', 0, 'DDK1', 100), { invalid: true }));
+
+            expect(result).to.include({ success: false, error: 'Account does not have enough DDK' });
+            expect(queue.getSize()).to.eql({ conflictedQueue: 0, queue: 0 });
+            expect(state.journal).to.eql([]);
+        });
+    });
+});
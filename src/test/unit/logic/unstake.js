@@ -0,0 +1,245 @@
+let expect = require('chai').expect;
+
+let constants = require('../../../helpers/constants.js');
+let transactionTypes = require('../../../helpers/transactionTypes');
+let sql = require('../../../sql/frogings.js');
+let createDb = require('../../common/dbStub.js');
+let Unstake = require('../../../logic/unstake.js');
+
+let totalSupplyAccount = 'DDK5216144241543004733';
+let stakeId = '2eb8bc7ab982720b8b0e677840405d340988cfdc251ff5d8055a2a344079a825';
+
+let validTransaction = function (amount) {
+    return {
+        id: '8a8fcf9cbc27e1ec8e8a29ec6d0b5a3a07ee3c6b94fae3a2c8c1e7dd9a6e1dc5',
+        type: transactionTypes.UNSTAKE,
+        amount: 0,
+        timestamp: 1000,
+        senderId: 'DDK14224602569244644359',
+        asset: {
+            unstake: {
+                stakeId,
+                amount,
+                penalty: Math.ceil((amount * constants.froze.unstakePenalty) / 100)
+            }
+        }
+    };
+};
+
+// Stub of stake_orders table and account merges
+let createState = function () {
+    let state = {
+        orders: [{ id: stakeId, senderId: 'DDK14224602569244644359', status: 1, freezedAmount: '100000000000' }],
+        balances: {}
+    };
+
+    let merge = function (address, diff) {
+        let balance = state.balances[address] || {};
+        Object.keys(diff).forEach(function (field) {
+            balance[field] = (balance[field] || 0) + diff[field];
+        });
+        state.balances[address] = balance;
+        return balance;
+    };
+
+    state.account = {
+        asyncMerge: async (address, diff) => merge(address, diff),
+        merge: (address, diff, cb) => setImmediate(cb, null, merge(address, diff))
+    };
+
+    let findOrder = params => state.orders.find(o => o.id === params.stakeId);
+
+    state.db = createDb([
+        [sql.getActiveFrozeOrder, params => state.orders.find(o => o.id === params.stakeId &&
+            o.senderId === params.senderId && o.status === 1) || null],
+        [sql.removeOrderByTrsId, (params) => {
+            state.orders = state.orders.filter(o => o.id !== params.transactionId);
+        }],
+        [sql.reduceFrozeOrder, (params) => {
+            let order = findOrder(params);
+            order.status = parseInt(order.freezedAmount, 10) === params.amount ? 0 : 1;
+            order.freezedAmount = String(parseInt(order.freezedAmount, 10) - params.amount);
+        }],
+        [sql.mergeSplitFrozeOrder, (params) => {
+            let order = findOrder(params);
+            order.status = 1;
+            order.freezedAmount = String(parseInt(order.freezedAmount, 10) + params.amount);
+        }]
+    ]);
+
+    return state;
+};
+
+describe('Unstake', function () {
+
+    let unstake;
+    let state;
+
+    beforeEach(function () {
+        state = createState();
+        unstake = new Unstake(state.account, null, state.db, { forging: { totalSupplyAccount } });
+    });
+
+    describe('create', function () {
+
+        it('should set unstake asset with penalty', function () {
+            let trs = unstake.create({ stakeId, amount: 1000 }, { asset: {}, amount: 0 });
+
+            expect(trs.asset.unstake).to.eql({
+                stakeId,
+                amount: 1000,
+                penalty: Math.ceil(1000 * constants.froze.unstakePenalty / 100)
+            });
+            expect(trs.recipientId).to.be.null;
+            expect(trs.trsName).to.equal('UNSTAKE');
+        });
+    });
+
+    describe('calculateFee', function () {
+
+        it('should be percent of unstaked amount', function () {
+            expect(unstake.calculateFee(validTransaction(1000000000)))
+                .to.equal(1000000000 * constants.fees.unstake / 100);
+        });
+    });
+
+    describe('getBytes', function () {
+
+        it('should change if unstaked amount changes', function () {
+            let trs = validTransaction(1000);
+            let bytes = unstake.getBytes(trs);
+            trs.asset.unstake.amount += 1;
+
+            expect(unstake.getBytes(trs).equals(bytes)).to.be.false;
+        });
+    });
+
+    describe('newVerify', function () {
+
+        it('should be ok for amount up to stake order amount', async function () {
+            await unstake.newVerify(validTransaction(100000000000));
+        });
+
+        it('should throw if penalty is wrong', async function () {
+            let trs = validTransaction(1000);
+            trs.asset.unstake.penalty -= 1;
+
+            let error = await unstake.newVerify(trs).catch(e => e);
+            expect(error).to.be.an('error').with.property('message', 'Invalid unstake penalty');
+        });
+
+        it('should throw if amount exceeds stake order amount', async function () {
+            let error = await unstake.newVerify(validTransaction(100000000001)).catch(e => e);
+
+            expect(error).to.be.an('error').with.property('message', 'Unstake amount exceeds stake order amount');
+        });
+
+        it('should throw if stake order is not active', async function () {
+            state.orders[0].status = 0;
+
+            let error = await unstake.newVerify(validTransaction(1000)).catch(e => e);
+            expect(error).to.be.an('error').with.property('message', `Active stake order ${stakeId} not found`);
+        });
+    });
+
+    describe('newVerifyUnconfirmed', function () {
+
+        it('should be ok if balance covers penalty and fee', async function () {
+            let trs = Object.assign(validTransaction(1000), { fee: 10 });
+
+            await unstake.newVerifyUnconfirmed(trs, { u_totalFrozeAmount: '1000', u_balance: '110' });
+        });
+
+        it('should throw if balance does not cover penalty and fee', async function () {
+            let trs = Object.assign(validTransaction(1000), { fee: 10 });
+
+            let error = await unstake.newVerifyUnconfirmed(trs, { u_totalFrozeAmount: '1000', u_balance: '109' })
+                .catch(e => e);
+            expect(error).to.be.an('error')
+                .with.property('message', 'Insufficient unconfirmed balance for unstake penalty');
+        });
+    });
+
+    describe('apply and undo', function () {
+
+        it('should split order on partial unstake and merge it back on undo', async function () {
+            let trs = validTransaction(40000000000);
+
+            await unstake.apply(trs);
+
+            expect(state.orders[0]).to.include({ status: 1, freezedAmount: '60000000000' });
+            expect(state.db.queries.map(q => q.text)).to.include(
+                `UPDATE stake_orders SET "freezedAmount"=("freezedAmount" - 40000000000), "status"=(CASE WHEN ` +
+                `"freezedAmount"=40000000000 THEN 0 ELSE 1 END) WHERE "id"='${stakeId}' AND "status"=1`
+            );
+            expect(state.balances[trs.senderId]).to.eql({ balance: -4000000000, totalFrozeAmount: -40000000000 });
+            expect(state.balances[totalSupplyAccount]).to.eql({ balance: 4000000000 });
+
+            let rows = unstake.dbSave(trs);
+
+            expect(rows).to.have.lengthOf(2);
+            expect(rows[0].table).to.equal('stake_unstakes');
+            expect(rows[1].table).to.equal('stake_orders');
+            expect(rows[1].values).to.include({
+                id: trs.id, status: 0, senderId: trs.senderId, freezedAmount: 40000000000
+            });
+            state.orders.push(rows[1].values);
+
+            await unstake.undo(trs);
+
+            expect(state.orders).to.have.lengthOf(1);
+            expect(state.orders[0]).to.include({ status: 1, freezedAmount: '100000000000' });
+            expect(state.balances[trs.senderId]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+            expect(state.balances[totalSupplyAccount]).to.eql({ balance: 0 });
+        });
+
+        it('should disable emptied order on full unstake and enable it on undo', async function () {
+            let trs = validTransaction(100000000000);
+
+            await unstake.apply(trs);
+
+            expect(state.orders[0]).to.include({ status: 0, freezedAmount: '0' });
+            state.orders.push(unstake.dbSave(trs)[1].values);
+
+            await unstake.undo(trs);
+
+            expect(state.orders).to.have.lengthOf(1);
+            expect(state.orders[0]).to.include({ status: 1, freezedAmount: '100000000000' });
+            expect(state.balances[trs.senderId]).to.eql({ balance: 0, totalFrozeAmount: 0 });
+        });
+    });
+
+    describe('applyUnconfirmed and undoUnconfirmed', function () {
+
+        it('should merge unconfirmed balances and revert them', function (done) {
+            let trs = validTransaction(1000);
+            let sender = { address: trs.senderId };
+
+            unstake.applyUnconfirmed(trs, sender, function (err) {
+                expect(err).to.not.exist;
+                expect(state.balances[trs.senderId]).to.eql({ u_balance: -100, u_totalFrozeAmount: -1000 });
+                expect(state.balances[totalSupplyAccount]).to.eql({ u_balance: 100 });
+
+                unstake.undoUnconfirmed(trs, sender, function (err) {
+                    expect(err).to.not.exist;
+                    expect(state.balances[trs.senderId]).to.eql({ u_balance: 0, u_totalFrozeAmount: 0 });
+                    expect(state.balances[totalSupplyAccount]).to.eql({ u_balance: 0 });
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('dbRead', function () {
+
+        it('should return null if no unstake', function () {
+            expect(unstake.dbRead({})).to.be.null;
+        });
+
+        it('should return unstake', function () {
+            let raw = { us_stakeId: stakeId, us_amount: '1000', us_penalty: '100' };
+
+            expect(unstake.dbRead(raw)).to.eql({ unstake: { stakeId, amount: 1000, penalty: 100 } });
+        });
+    });
+});
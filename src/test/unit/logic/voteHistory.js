@@ -0,0 +1,104 @@
+let expect = require('chai').expect;
+
+let sql = require('../../../sql/accounts.js');
+let delegatesSql = require('../../../sql/delegates.js');
+let Vote = require('../../../logic/vote.js');
+let createDb = require('../../common/dbStub.js');
+
+let senderId = 'DDK14224602569244644359';
+let voterId = 'DDK5216144241543004733';
+let delegateKey = '9d3058175acab969f41ad9b86f7a2926c74258670fe56b37c429c01fca9f2f0f';
+
+// Stub of mem_accounts, mem_accounts2delegates and vote_history tables
+let createState = function () {
+    let state = {
+        accounts: { [senderId]: 200, [voterId]: 300 },
+        votes: [{ accountId: voterId, dependentId: delegateKey }],
+        history: []
+    };
+
+    state.db = createDb([
+        [delegatesSql.addVoteHistory, (params) => {
+            params.dependentIds.forEach((dependentId) => {
+                let voters = state.votes.filter(vote => vote.dependentId === dependentId);
+
+                state.history.push({
+                    transactionId: params.transactionId,
+                    accountId: params.accountId,
+                    dependentId,
+                    isDownVote: params.isDownVote,
+                    weight: state.accounts[params.accountId],
+                    voteCount: voters.length,
+                    totalWeight: voters.reduce((sum, vote) => sum + state.accounts[vote.accountId], 0)
+                });
+            });
+        }],
+        [delegatesSql.removeVoteHistory, (params) => {
+            state.history = state.history.filter(row => row.transactionId !== params.transactionId);
+        }],
+        [delegatesSql.removeVoteForDelegates, (params) => {
+            state.votes = state.votes.filter(vote =>
+                vote.accountId !== params.accountId || params.dependentIds.indexOf(vote.dependentId) === -1);
+        }],
+        [delegatesSql.addVoteForDelegates([delegateKey]), (params) => {
+            state.votes.push({ accountId: params.accountId, dependentId: delegateKey });
+        }],
+        [sql.changeDelegateVoteCount({ value: 1, votes: [delegateKey] }), () => {}],
+        [sql.changeDelegateVoteCount({ value: -1, votes: [delegateKey] }), () => {}],
+        [sql.updateStakeOrder, () => []],
+        [sql.undoUpdateStakeOrder, () => {}]
+    ]);
+
+    return state;
+};
+
+describe('Vote history', function () {
+
+    let state;
+    let vote;
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+    let frozen = { undoFrozeOrdersRewardAndUnstake: async () => {} };
+
+    let createTrs = (id, trsName, sign) => ({
+        id,
+        trsName,
+        senderId,
+        timestamp: 1000,
+        asset: { votes: [`${sign}${delegateKey}`] }
+    });
+
+    beforeEach(function () {
+        state = createState();
+        vote = new Vote(logger, null, state.db, frozen, null);
+    });
+
+    it('should keep vote with weight of voter and resulting voters and weight of delegate', async function () {
+        await vote.apply(createTrs('v1', 'VOTE', '+'));
+
+        expect(state.history).to.eql([{
+            transactionId: 'v1',
+            accountId: senderId,
+            dependentId: delegateKey,
+            isDownVote: false,
+            weight: 200,
+            voteCount: 2,
+            totalWeight: 500
+        }]);
+    });
+
+    it('should keep unvote with resulting voters and weight of delegate', async function () {
+        await vote.apply(createTrs('v1', 'VOTE', '+'));
+        await vote.apply(createTrs('v2', 'DOWNVOTE', '-'));
+
+        expect(state.history[1]).to.include({ isDownVote: true, voteCount: 1, totalWeight: 300 });
+    });
+
+    it('should remove history of undone vote only', async function () {
+        await vote.apply(createTrs('v1', 'VOTE', '+'));
+        await vote.apply(createTrs('v2', 'DOWNVOTE', '-'));
+        await vote.undo(createTrs('v2', 'DOWNVOTE', '-'));
+
+        expect(state.history.map(row => row.transactionId)).to.eql(['v1']);
+        expect(state.votes).to.have.lengthOf(2);
+    });
+});
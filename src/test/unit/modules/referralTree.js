@@ -0,0 +1,149 @@
+let expect = require('chai').expect;
+
+let ZSchema = require('../../../helpers/z_schema.js');
+let constants = require('../../../helpers/constants.js');
+let sql = require('../../../sql/referal_sql.js');
+let Cache = require('../../../modules/cache.js');
+let Referrals = require('../../../modules/referrals.js');
+let createDb = require('../../common/dbStub.js');
+
+let address = 'DDK14224602569244644359';
+
+// Downline of address: level and stake of members
+let downline = [
+    { address: 'DDK1', level: 1, staked: '100000000' },
+    { address: 'DDK2', level: 1, staked: '0' },
+    { address: 'DDK3', level: 1, staked: '300000000' },
+    { address: 'DDK4', level: 3, staked: '0' },
+    { address: 'DDK5', level: 3, staked: '50000000' }
+];
+
+// Stub of referral tree queries, levels are aggregated the way query does
+let createState = function (members) {
+    let state = {};
+
+    state.db = createDb([
+        [sql.getReferralTreeLevels, () => [1, 3].map((level) => {
+            let levelMembers = members.filter(member => member.level === level);
+            let stakers = levelMembers.filter(member => member.staked !== '0');
+
+            return levelMembers.length ? {
+                level,
+                members: levelMembers.length,
+                stakers: stakers.length,
+                staked: String(stakers.reduce((sum, member) => sum + parseInt(member.staked, 10), 0)),
+                rewards: String(level * 1000)
+            } : null;
+        }).filter(row => row)],
+        [sql.getReferralTreeMembers, (params) => {
+            let listed = members.filter(member => params.level === null || member.level === params.level);
+
+            return listed.slice(params.offset, params.offset + params.limit).map(member => Object.assign({
+                isStaking: member.staked !== '0',
+                count: listed.length
+            }, member));
+        }]
+    ]);
+
+    return state;
+};
+
+describe('Referrals tree', function () {
+
+    let referrals;
+    let state;
+    let cacheMethods = {};
+    let logger = { trace() {}, debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+    let getTree = body => new Promise((resolve, reject) => referrals.shared.getReferralTree(
+        { body }, (err, result) => (err ? reject(err) : resolve(result))
+    ));
+
+    let init = function (members) {
+        state = createState(members);
+        referrals = new Referrals(() => {}, {
+            logger,
+            db: state.db,
+            schema: new ZSchema(),
+            logic: { transaction: { attachAssetType: () => ({}) } },
+            config: {}
+        });
+    };
+
+    before(function () {
+        ['getJsonForKeyAsync', 'setJsonForKeyAsync'].forEach((method) => {
+            cacheMethods[method] = Cache.prototype[method];
+            Cache.prototype[method] = async () => { throw 'Cache Unavailable'; };
+        });
+    });
+
+    after(function () {
+        Object.keys(cacheMethods).forEach((method) => {
+            Cache.prototype[method] = cacheMethods[method];
+        });
+    });
+
+    beforeEach(function () {
+        init(downline);
+    });
+
+    it('should list statistics of every level of referral rewards', async function () {
+        let tree = await getTree({ address });
+
+        expect(tree.levels).to.have.lengthOf(constants.airdrop.referralPercentPerLevel.length);
+        expect(tree.levels[0]).to.eql({ level: 1, members: 3, stakers: 2, staked: 400000000, rewards: 1000 });
+        expect(tree.levels[2]).to.eql({ level: 3, members: 2, stakers: 1, staked: 50000000, rewards: 3000 });
+    });
+
+    it('should fill empty levels with zeros', async function () {
+        let tree = await getTree({ address });
+
+        expect(tree.levels[1]).to.eql({ level: 2, members: 0, stakers: 0, staked: 0, rewards: 0 });
+        expect(tree.levels[tree.levels.length - 1].members).to.equal(0);
+    });
+
+    it('should return empty tree of address without downline', async function () {
+        init([]);
+
+        let tree = await getTree({ address });
+
+        expect(tree.levels.every(level => level.members === 0 && level.staked === 0)).to.equal(true);
+        expect(tree.members).to.eql([]);
+        expect(tree.count).to.equal(0);
+    });
+
+    it('should list first page of all levels by default', async function () {
+        let tree = await getTree({ address });
+
+        expect(state.db.queries[1].params).to.eql({
+            address,
+            depth: constants.airdrop.referralPercentPerLevel.length,
+            level: null,
+            limit: 100,
+            offset: 0
+        });
+        expect(tree.members).to.have.lengthOf(5);
+        expect(tree.members[0]).to.eql({ address: 'DDK1', level: 1, staked: 100000000, isStaking: true });
+        expect(tree.count).to.equal(5);
+    });
+
+    it('should list page of members with total count of listed ones', async function () {
+        let tree = await getTree({ address, limit: 2, offset: 2 });
+
+        expect(tree.members.map(member => member.address)).to.eql(['DDK3', 'DDK4']);
+        expect(tree.count).to.equal(5);
+    });
+
+    it('should list members of one level', async function () {
+        let tree = await getTree({ address, level: 3, limit: 1, offset: 1 });
+
+        expect(tree.members.map(member => member.address)).to.eql(['DDK5']);
+        expect(tree.count).to.equal(2);
+    });
+
+    it('should reject limit over 100', async function () {
+        let error = await getTree({ address, limit: 101 }).catch(e => e);
+
+        expect(error).to.equal('Value 101 is greater than maximum 100');
+    });
+});